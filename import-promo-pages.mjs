@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * import-promo-pages.mjs — Saved promo-page HTML -> offer documents.
+ *
+ * Turns portal promo pages saved from a browser (e.g. mmt-offers.html in
+ * the repo root, a MakeMyTrip Bajaj Finserv EMI campaign) into documents
+ * in the exact shape getOffersForSearch reads from the offers collection,
+ * via the per-portal adapters in services/promoPageImporter.js. Works
+ * fully offline - the pages are read from disk, nothing is fetched.
+ *
+ * The portal is detected from the page's own "saved from url" stamp or
+ * canonical link; pass --portal= when a page has neither.
+ *
+ * Usage:
+ *   node import-promo-pages.mjs mmt-offers.html                  # print documents as JSON (dry run)
+ *   node import-promo-pages.mjs a.html b.html --portal=Goibibo    # force the adapter
+ *   node import-promo-pages.mjs mmt-offers.html --write           # upsert into the offers collection
+ *
+ * --write upserts on (sourceMetadata.sourcePortal, sourceMetadata.sourceUrl,
+ * couponCode, sourceMetadata.tableCategory) - not the title, which carries
+ * the row's amounts - so re-importing the same page updates rather than
+ * duplicates, even after the portal changes a cap. Follow it with
+ * `node parse-offers.mjs --write` to fill in parsedFields.
+ *
+ * Env (only with --write): MONGO_URI (required), MONGODB_DB, MONGO_COL -
+ * same names and defaults as index.js. Exit code 0 = every file imported,
+ * 1 = at least one file could not be read or placed.
+ */
+
+import { readFile } from "node:fs/promises";
+import { importPromoPage } from "./services/promoPageImporter.js";
+
+const WRITE = process.argv.includes("--write");
+const PORTAL = (process.argv.find((a) => a.startsWith("--portal=")) || "").replace("--portal=", "") || null;
+const FILES = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+
+async function writeDocuments(documents) {
+  const { MongoClient } = await import("mongodb");
+  const MONGO_URI = process.env.MONGO_URI;
+  if (!MONGO_URI) throw new Error("Missing MONGO_URI env var (needed for --write)");
+
+  const client = new MongoClient(MONGO_URI, {});
+  await client.connect();
+  try {
+    const col = client.db(process.env.MONGODB_DB || "skydeal").collection(process.env.MONGO_COL || "offers");
+    let upserted = 0;
+    let modified = 0;
+    for (const doc of documents) {
+      const res = await col.updateOne(
+        {
+          "sourceMetadata.sourcePortal": doc.sourceMetadata.sourcePortal,
+          "sourceMetadata.sourceUrl": doc.sourceMetadata.sourceUrl ?? null,
+          couponCode: doc.couponCode ?? null,
+          "sourceMetadata.tableCategory": doc.sourceMetadata.tableCategory ?? null
+        },
+        { $set: doc },
+        { upsert: true }
+      );
+      upserted += res.upsertedCount || 0;
+      modified += res.modifiedCount || 0;
+    }
+    return { upserted, modified };
+  } finally {
+    await client.close();
+  }
+}
+
+async function main() {
+  if (FILES.length === 0) {
+    console.error("Usage: node import-promo-pages.mjs <saved-page.html>... [--portal=MakeMyTrip] [--write]");
+    process.exit(1);
+  }
+
+  const results = [];
+  let failed = 0;
+
+  for (const file of FILES) {
+    let html;
+    try {
+      html = await readFile(file, "utf8");
+    } catch (err) {
+      failed++;
+      results.push({ file, error: `Could not read file: ${err?.message || err}` });
+      continue;
+    }
+
+    const result = importPromoPage(html, { portal: PORTAL });
+    if (result.error) failed++;
+    results.push({ file, ...result });
+  }
+
+  const documents = results.flatMap((r) => r.documents || []);
+  const written = WRITE && documents.length > 0 ? await writeDocuments(documents) : null;
+
+  console.log(JSON.stringify({ write: WRITE, documentCount: documents.length, written, files: results }, null, 2));
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error("[SkyDeal] import-promo-pages crashed:", err?.message || err);
+  process.exit(1);
+});
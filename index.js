@@ -2,6 +2,19 @@
 import express from "express";
 import cors from "cors";
 import { MongoClient } from "mongodb";
+import { createHash, randomUUID } from "node:crypto";
+import { buildKiwiRoundTripRequest, normalizeKiwiItineraries } from "./services/kiwiAdapter.js";
+import {
+  normalizeText,
+  canonicalizeCardFamily,
+  extractAllowedEmiTenuresFromOffer,
+  extractOfferCardFamilyRestrictions,
+  minTransactionFromText,
+  discountPercentFromText,
+  maxDiscountFromText,
+  normalizeWeekdayToken,
+  bookingDayRuleFromText
+} from "./services/offerTextParser.js";
 
 // Locked-door-with-a-key gate (2026-08-19, launch checklist item 3): the
 // old version was a bare on/off flag, meaning ANYONE who found a /debug/*
@@ -50,7 +63,77 @@ app.use(express.json({ limit: "2mb" }));
 // --------------------
 // Config
 // --------------------
-const OTAS = ["Goibibo", "MakeMyTrip", "Yatra", "EaseMyTrip", "Cleartrip", "Ixigo"];
+// The trip types offers are priced as. "multi-city" is a booking made
+// through a portal's multi-city flow: neither round-trip-only nor
+// one-way-only offers apply to it (see offerTripTypeRestrictionReason).
+const OFFER_TRIP_TYPES = ["one-way", "round-trip", "multi-city"];
+
+// Portal registry (2026-10). The six OTAs used to be a literal array here,
+// with portal-specific behaviour spread over separate tables. Each portal
+// is now an entry - these built-ins, overlaid by docs from
+// PORTAL_REGISTRY_COL (see getPortalRegistry), so a portal can be added,
+// retuned or pulled without a redeploy. Entry fields:
+//   name           display name and the key everything else uses (offer
+//                  sourcePortal, fee schedules, the correction tables)
+//   aliases        other spellings offers use for it (case-insensitive)
+//   enabled        false = not priced at all
+//   domestic / international   which routes it sells
+//   fareCorrections  { indigoNonstopInr, airIndiaNonstopInr } - overrides
+//                  the measured tables (INDIGO_/AIRINDIA_NONSTOP_PORTAL_
+//                  CORRECTIONS_INR) for this portal only
+//   openJawOfferTripType  overrides OPEN_JAW_OFFER_TRIP_TYPE_BY_PORTAL
+//   channel        "ota" (default) or "airline_direct" - see below
+//   airlines       airline_direct only: the airlineName(s) it sells
+// Registry order is pricing order (and so portalPrices order).
+//
+// Airline-direct channels (2026-10): "Book direct on <airline>" priced
+// from the carrier's own fare - the carrier_airline pricing option
+// mapFlightsFromFlightAPI already isolates - before any of the OTA-side
+// corrections, and evaluated against the airline website's own offers
+// (sourcePortal = the airline). Only added for single-carrier flights
+// that actually have a carrier fare; never for estimated or Kiwi prices.
+const DEFAULT_PORTAL_REGISTRY = [
+  { name: "Goibibo" },
+  { name: "MakeMyTrip", aliases: ["make my trip"] },
+  { name: "Yatra" },
+  { name: "EaseMyTrip", aliases: ["ease my trip"] },
+  { name: "Cleartrip", aliases: ["clear trip"] },
+  { name: "Ixigo" },
+  { name: "IndiGo", channel: "airline_direct", airlines: ["IndiGo"], aliases: ["goindigo", "indigo airlines"] },
+  { name: "Air India", channel: "airline_direct", airlines: ["Air India"], aliases: ["airindia"] },
+  { name: "Akasa Air", channel: "airline_direct", airlines: ["Akasa Air"], aliases: ["akasa"] },
+  { name: "SpiceJet", channel: "airline_direct", airlines: ["SpiceJet"] }
+].map((entry) => normalizePortalRegistryEntry(entry)).filter(Boolean);
+
+// Open-jaw round trips (return leg doesn't mirror the outbound, e.g.
+// DEL->GOI then GOX->BOM - see isOpenJawTrip): which trip type each portal
+// books them as, and so which offer rules apply. The only evidence on file
+// is MakeMyTrip's own T&Cs (mmt-offers.html: multi-city flights "are booked
+// through multi-city tab on website" and offers are "not valid on multi
+// city flights"); nothing shows any portal's round-trip form taking a
+// different return city, so every portal defaults to "multi-city". A
+// portal confirmed to book open-jaw as a round trip gets "round-trip"
+// here, or openJawOfferTripType in its registry doc.
+const OPEN_JAW_OFFER_TRIP_TYPE_BY_PORTAL = {
+  Goibibo: "multi-city",
+  MakeMyTrip: "multi-city",
+  Yatra: "multi-city",
+  EaseMyTrip: "multi-city",
+  Cleartrip: "multi-city",
+  Ixigo: "multi-city"
+};
+
+// The trip type the offer engine should price `portal` as. Only "open-jaw"
+// is portal-dependent; everything else passes through unchanged, so this
+// is safe to apply to an already-resolved value.
+function resolveOfferTripTypeForPortal(tripType, portal) {
+  if (tripType !== "open-jaw") return tripType;
+  return (
+    portalRegistryEntry(portal)?.openJawOfferTripType ||
+    OPEN_JAW_OFFER_TRIP_TYPE_BY_PORTAL[portal] ||
+    "multi-city"
+  );
+}
 
 // Single source of truth for "/search's page size" and "how many pages
 // ever get fetched" - every other cap/margin that depends on "max flights
@@ -65,6 +148,10 @@ const OTAS = ["Goibibo", "MakeMyTrip", "Yatra", "EaseMyTrip", "Cleartrip", "Ixig
 const SEARCH_RESULTS_PAGE_SIZE = 40;
 const SEARCH_MAX_PAGES = 2; // today: page 1 (initial) + page 2 (background prefetch) - see prefetchNextPage in script.js
 const SEARCH_MAX_FLIGHTS_PER_LEG = SEARCH_RESULTS_PAGE_SIZE * SEARCH_MAX_PAGES;
+// tripType "multi-city": every leg is its own full buildLegFlights pass
+// (metro expansion, every provider, offer pricing), so this caps one
+// request at 5x a one-way search's FlightAPI cost.
+const MULTI_CITY_MAX_LEGS = 5;
 
 // Phase 1 intelligent payment guide — tunables kept in one place.
 const PAYMENT_RECOMMENDATION_CONFIG = {
@@ -231,6 +318,7 @@ const ENABLE_ESTIMATED_DISCOUNTS =
 const OFFERS_CACHE_TTL_MS = Number(process.env.OFFERS_CACHE_TTL_MS || 60000);
 let offersCacheData = null;
 let offersCacheLoadedAt = 0;
+let offersCacheRuleStats = null;
 
 // Same volatility profile as the main offers cache above (both refreshed
 // by the same scraper pipeline) - getGenericDisplayContextForSearch()
@@ -240,8 +328,62 @@ let offersCacheLoadedAt = 0;
 let genericDisplayContextCacheData = null;
 let genericDisplayContextCacheLoadedAt = 0;
 
+// Portal registry docs (see DEFAULT_PORTAL_REGISTRY), cached like the
+// fee schedules below.
+const PORTAL_REGISTRY_COL = process.env.PORTAL_REGISTRY_COL || "portal_registry";
+const PORTAL_REGISTRY_CACHE_TTL_MS = Number(process.env.PORTAL_REGISTRY_CACHE_TTL_MS || 300000);
+let portalRegistryCacheData = null;
+let portalRegistryCacheLoadedAt = 0;
+let portalRegistryLoadInFlight = null;
+// name/alias (lowercased) -> entry, for whichever registry is current.
+let portalRegistryIndex = null;
+
+// Portal convenience fees (2026-10). Offer discounts alone don't decide
+// where a fare is cheapest: every portal adds a checkout fee that depends
+// on how you pay (UPI often free, cards not), so a portal "winning" by ₹100
+// on offers can lose by ₹300 at checkout. Schedules live in Mongo, one doc
+// per portal x payment bucket x domestic/international:
+//   { portal: "MakeMyTrip", paymentBucket: "Credit Card", scope: "domestic",
+//     basis: "per_passenger", amount: 350 }
+// paymentBucket is anything normalizePaymentType understands, or "*";
+// scope is "domestic" | "international" | "*"; basis is "per_passenger" |
+// "per_booking"; enabled: false switches a doc off. A portal with no
+// schedule has no fee (the pre-2026-10 behaviour), and a Mongo failure
+// is treated the same - fees refine prices, they never block them.
+const PORTAL_FEE_SCHEDULE_COL = process.env.PORTAL_FEE_SCHEDULE_COL || "portal_fee_schedules";
+const PORTAL_FEE_SCHEDULE_CACHE_TTL_MS = Number(process.env.PORTAL_FEE_SCHEDULE_CACHE_TTL_MS || 300000);
+let portalFeeScheduleCacheData = null;
+let portalFeeScheduleCacheLoadedAt = 0;
+let portalFeeScheduleLoadInFlight = null;
+
 const FLIGHTAPI_CACHE_TTL_MS = Number(process.env.FLIGHTAPI_CACHE_TTL_MS || 600000);
-const flightApiSuccessCache = new Map();
+
+// Two-tier provider response cache (see createTieredFlightCache): a
+// size-bounded LRU per provider in memory, backed by one Mongo collection
+// shared by every provider so a Render restart/deploy doesn't throw away
+// every cached fare and re-spend FlightAPI quota on the same searches.
+const FLIGHT_CACHE_MEMORY_MAX_ENTRIES = Number(process.env.FLIGHT_CACHE_MEMORY_MAX_ENTRIES || 500);
+const FLIGHT_CACHE_MONGO_COL = process.env.FLIGHT_CACHE_MONGO_COL || "flight_search_cache";
+// A Mongo read is only worth waiting for if it's much faster than the
+// FlightAPI call it saves - past this, treat the persistent tier as a miss.
+const FLIGHT_CACHE_MONGO_LOOKUP_TIMEOUT_MS = Number(process.env.FLIGHT_CACHE_MONGO_LOOKUP_TIMEOUT_MS || 800);
+// Each provider's cacheTtlMs is scaled by how far out the travel date is:
+// close-in fares reprice fastest, fares weeks away barely move within an
+// hour. First matching row wins.
+const FLIGHT_CACHE_TTL_BY_DAYS_OUT = [
+  { maxDaysOut: 3, multiplier: 0.5 },
+  { maxDaysOut: 21, multiplier: 1 },
+  { maxDaysOut: Infinity, multiplier: 3 }
+];
+// Stale-while-revalidate (2026-10): past its TTL an entry isn't thrown
+// away. Up to FLIGHT_CACHE_REVALIDATE_WINDOW_MS past TTL it's served
+// immediately while a background refresh replaces it; beyond that, up to
+// FLIGHT_CACHE_STALE_FALLBACK_MAX_AGE_MS old, it's only used if the live
+// fetch fails - a FlightAPI outage shows slightly old fares (flagged via
+// meta.staleResults) instead of an empty 500.
+const FLIGHT_CACHE_REVALIDATE_WINDOW_MS = Number(process.env.FLIGHT_CACHE_REVALIDATE_WINDOW_MS || 600000);
+const FLIGHT_CACHE_STALE_FALLBACK_MAX_AGE_MS = Number(process.env.FLIGHT_CACHE_STALE_FALLBACK_MAX_AGE_MS || 6 * 60 * 60 * 1000);
+const flightApiSuccessCache = createTieredFlightCache({ namespace: "flightapi" });
 
 // Page-2 prefetch is speculative (only useful if the user clicks "next
 // page") and CPU-bound in the exact same way the payment-suggestions
@@ -312,6 +454,226 @@ function expandMetroAirportGroup(code) {
   return METRO_AIRPORT_GROUPS[upper] || [upper];
 }
 
+// Airport reference points (rounded to 0.01 deg, ~1 km) for the
+// "nearby airports" lookup behind /search's alternateAirports option -
+// unlike METRO_AIRPORT_GROUPS these are only ever suggested, never merged
+// into the results. Covers INDIAN_IATA_AIRPORTS except LEH and SBI, which
+// have no verified location (Leh itself is IXL, listed); an airport
+// missing here simply gets no suggestions.
+const AIRPORT_COORDINATES = {
+  AGX: { city: "Agatti", lat: 10.82, lon: 72.18 },
+  AIP: { city: "Adampur", lat: 31.43, lon: 75.76 },
+  AJL: { city: "Aizawl", lat: 23.84, lon: 92.62 },
+  AMD: { city: "Ahmedabad", lat: 23.07, lon: 72.63 },
+  ATQ: { city: "Amritsar", lat: 31.71, lon: 74.8 },
+  BBI: { city: "Bhubaneswar", lat: 20.24, lon: 85.82 },
+  BDQ: { city: "Vadodara", lat: 22.34, lon: 73.22 },
+  BEP: { city: "Ballari", lat: 15.16, lon: 76.63 },
+  BHO: { city: "Bhopal", lat: 23.29, lon: 77.34 },
+  BHU: { city: "Bhavnagar", lat: 21.75, lon: 72.19 },
+  BLR: { city: "Bengaluru", lat: 13.2, lon: 77.71 },
+  BOM: { city: "Mumbai", lat: 19.09, lon: 72.87 },
+  CCJ: { city: "Kozhikode", lat: 11.14, lon: 75.96 },
+  CCU: { city: "Kolkata", lat: 22.65, lon: 88.45 },
+  CJB: { city: "Coimbatore", lat: 11.03, lon: 77.04 },
+  COH: { city: "Cooch Behar", lat: 26.33, lon: 89.47 },
+  COK: { city: "Kochi", lat: 10.15, lon: 76.4 },
+  DBR: { city: "Darbhanga", lat: 26.19, lon: 85.92 },
+  DED: { city: "Dehradun", lat: 30.19, lon: 78.18 },
+  DEL: { city: "Delhi", lat: 28.56, lon: 77.1 },
+  DHM: { city: "Dharamshala", lat: 32.17, lon: 76.26 },
+  DIB: { city: "Dibrugarh", lat: 27.48, lon: 95.02 },
+  DMU: { city: "Dimapur", lat: 25.88, lon: 93.77 },
+  DXN: { city: "Noida", lat: 28.17, lon: 77.6 },
+  GAU: { city: "Guwahati", lat: 26.11, lon: 91.59 },
+  GOI: { city: "Goa (Dabolim)", lat: 15.38, lon: 73.83 },
+  GOP: { city: "Gorakhpur", lat: 26.74, lon: 83.45 },
+  GOX: { city: "Goa (Mopa)", lat: 15.74, lon: 73.86 },
+  GWL: { city: "Gwalior", lat: 26.29, lon: 78.23 },
+  HBX: { city: "Hubballi", lat: 15.36, lon: 75.08 },
+  HDO: { city: "Ghaziabad (Hindon)", lat: 28.71, lon: 77.36 },
+  HJR: { city: "Khajuraho", lat: 24.82, lon: 79.92 },
+  HSR: { city: "Rajkot", lat: 22.38, lon: 71.03 },
+  HYD: { city: "Hyderabad", lat: 17.24, lon: 78.43 },
+  IDR: { city: "Indore", lat: 22.72, lon: 75.8 },
+  IMF: { city: "Imphal", lat: 24.76, lon: 93.9 },
+  ISK: { city: "Nashik", lat: 20.12, lon: 73.91 },
+  IXA: { city: "Agartala", lat: 23.89, lon: 91.24 },
+  IXB: { city: "Bagdogra", lat: 26.68, lon: 88.33 },
+  IXC: { city: "Chandigarh", lat: 30.67, lon: 76.79 },
+  IXD: { city: "Prayagraj", lat: 25.44, lon: 81.73 },
+  IXE: { city: "Mangaluru", lat: 12.96, lon: 74.89 },
+  IXG: { city: "Belagavi", lat: 15.86, lon: 74.62 },
+  IXJ: { city: "Jammu", lat: 32.69, lon: 74.84 },
+  IXK: { city: "Keshod", lat: 21.32, lon: 70.27 },
+  IXL: { city: "Leh", lat: 34.14, lon: 77.55 },
+  IXM: { city: "Madurai", lat: 9.83, lon: 78.09 },
+  IXR: { city: "Ranchi", lat: 23.31, lon: 85.32 },
+  IXS: { city: "Silchar", lat: 24.91, lon: 92.98 },
+  IXU: { city: "Aurangabad", lat: 19.86, lon: 75.4 },
+  IXY: { city: "Kandla", lat: 23.11, lon: 70.1 },
+  JAI: { city: "Jaipur", lat: 26.82, lon: 75.81 },
+  JDH: { city: "Jodhpur", lat: 26.25, lon: 73.05 },
+  JGA: { city: "Jamnagar", lat: 22.47, lon: 70.01 },
+  JGB: { city: "Jagdalpur", lat: 19.07, lon: 82.04 },
+  JLG: { city: "Jalgaon", lat: 20.96, lon: 75.63 },
+  JLR: { city: "Jabalpur", lat: 23.18, lon: 80.05 },
+  JRG: { city: "Jharsuguda", lat: 21.91, lon: 84.05 },
+  JRH: { city: "Jorhat", lat: 26.73, lon: 94.18 },
+  JSA: { city: "Jaisalmer", lat: 26.89, lon: 70.86 },
+  KNU: { city: "Kanpur", lat: 26.4, lon: 80.41 },
+  KUU: { city: "Kullu", lat: 31.88, lon: 77.15 },
+  LKO: { city: "Lucknow", lat: 26.76, lon: 80.89 },
+  MAA: { city: "Chennai", lat: 12.99, lon: 80.17 },
+  MYQ: { city: "Mysuru", lat: 12.23, lon: 76.66 },
+  NAG: { city: "Nagpur", lat: 21.09, lon: 79.05 },
+  NDC: { city: "Nanded", lat: 19.18, lon: 77.32 },
+  NMI: { city: "Navi Mumbai", lat: 18.99, lon: 73.06 },
+  PAT: { city: "Patna", lat: 25.59, lon: 85.09 },
+  PNQ: { city: "Pune", lat: 18.58, lon: 73.92 },
+  PNY: { city: "Puducherry", lat: 11.97, lon: 79.81 },
+  RDP: { city: "Durgapur", lat: 23.62, lon: 87.24 },
+  RJA: { city: "Rajahmundry", lat: 17.11, lon: 81.82 },
+  RPR: { city: "Raipur", lat: 21.18, lon: 81.74 },
+  SAG: { city: "Shirdi", lat: 19.69, lon: 74.38 },
+  SHL: { city: "Shillong", lat: 25.7, lon: 91.98 },
+  SLV: { city: "Shimla", lat: 31.08, lon: 77.07 },
+  STV: { city: "Surat", lat: 21.11, lon: 72.74 },
+  SXR: { city: "Srinagar", lat: 33.99, lon: 74.77 },
+  SXV: { city: "Salem", lat: 11.78, lon: 78.07 },
+  TCR: { city: "Thoothukudi", lat: 8.72, lon: 78.03 },
+  TEZ: { city: "Tezpur", lat: 26.71, lon: 92.78 },
+  TIR: { city: "Tirupati", lat: 13.63, lon: 79.54 },
+  TRV: { city: "Thiruvananthapuram", lat: 8.48, lon: 76.92 },
+  TRZ: { city: "Tiruchirappalli", lat: 10.77, lon: 78.71 },
+  UDR: { city: "Udaipur", lat: 24.62, lon: 73.9 },
+  VGA: { city: "Vijayawada", lat: 16.53, lon: 80.8 },
+  VNS: { city: "Varanasi", lat: 25.45, lon: 82.86 },
+  VTZ: { city: "Visakhapatnam", lat: 17.72, lon: 83.22 }
+};
+
+function haversineKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// Airports within radiusKm of code (straight-line), nearest first. Its
+// own metro group is left out - /search already queries those.
+function nearbyAirports(code, radiusKm) {
+  const upper = String(code || "").trim().toUpperCase();
+  const origin = AIRPORT_COORDINATES[upper];
+  if (!origin) return [];
+
+  const sameMetro = new Set(expandMetroAirportGroup(upper));
+  return Object.entries(AIRPORT_COORDINATES)
+    .filter(([other]) => !sameMetro.has(other))
+    .map(([other, pos]) => ({ code: other, city: pos.city, distanceKm: Math.round(haversineKm(origin, pos)) }))
+    .filter((a) => a.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm || a.code.localeCompare(b.code));
+}
+
+// Minimum connection time (minutes) per connecting airport, same-airport
+// domestic-to-domestic transfers - roughly what the airlines themselves
+// publish as the shortest connection they'll sell. A layover shorter than
+// this is flagged shortConnection. Connections that change airports (DEL
+// -> HDO, BOM -> NMI now that METRO_AIRPORT_GROUPS pulls those in) need a
+// cross-city ground transfer, so they use AIRPORT_CHANGE_MIN_CONNECTION_
+// MINUTES instead, regardless of airport.
+const MIN_CONNECTION_MINUTES_BY_AIRPORT = {
+  DEL: 75,
+  BOM: 75,
+  BLR: 60,
+  HYD: 60,
+  MAA: 60,
+  CCU: 60,
+  AMD: 45,
+  COK: 45,
+  GOI: 45,
+  PNQ: 45,
+  __default: 45
+};
+const AIRPORT_CHANGE_MIN_CONNECTION_MINUTES = Number(process.env.AIRPORT_CHANGE_MIN_CONNECTION_MINUTES || 240);
+
+// The flags annotateLayoverFlags sets, and what /search's
+// excludeLayoverFlags option accepts.
+const LAYOVER_FLAG_NAMES = ["airportChange", "overnight", "shortConnection", "selfTransfer"];
+
+// Sets airportChange / overnight / shortConnection / selfTransfer on each
+// of flight.layovers (each layover i sits between segment i and i+1, the
+// same indexing as segmentAirlineNames), plus flight.layoverFlags - the
+// OR of each across the itinerary. Works off the shape both mappers
+// produce, so FlightAPI and Kiwi flights are flagged identically.
+// selfTransfer: the two segments are on different carriers in a
+// mixed-carrier itinerary. Neither provider says whether a mixed-carrier
+// fare is one protected ticket or separate ones, so this is the
+// conservative reading - the traveller may have to recheck bags and a
+// missed connection may be theirs to absorb.
+function annotateLayoverFlags(flight) {
+  const summary = Object.fromEntries(LAYOVER_FLAG_NAMES.map((name) => [name, false]));
+  const layovers = Array.isArray(flight?.layovers) ? flight.layovers : [];
+  const segmentAirlines = Array.isArray(flight?.segmentAirlineNames) ? flight.segmentAirlineNames : [];
+
+  layovers.forEach((layover, i) => {
+    const arrivalAirport = String(layover.airportCode || "").toUpperCase();
+    const departureAirport = String(layover.departureAirportCode || layover.airportCode || "").toUpperCase();
+    const airportChange = Boolean(arrivalAirport && departureAirport && arrivalAirport !== departureAirport);
+
+    const arrivalDay = String(layover.arrivalTime || "").slice(0, 10);
+    const departureDay = String(layover.departureTime || "").slice(0, 10);
+    const overnight = Boolean(arrivalDay && departureDay && arrivalDay !== departureDay);
+
+    const minConnectionMinutes = airportChange
+      ? AIRPORT_CHANGE_MIN_CONNECTION_MINUTES
+      : (MIN_CONNECTION_MINUTES_BY_AIRPORT[arrivalAirport] ?? MIN_CONNECTION_MINUTES_BY_AIRPORT.__default);
+    const shortConnection = Number.isFinite(layover.durationMinutes) && layover.durationMinutes < minConnectionMinutes;
+
+    const arrivingCarrier = segmentAirlines[i] || null;
+    const departingCarrier = segmentAirlines[i + 1] || null;
+    const selfTransfer = Boolean(
+      flight.isMixedCarrierItinerary && arrivingCarrier && departingCarrier && arrivingCarrier !== departingCarrier
+    );
+
+    Object.assign(layover, { airportChange, overnight, shortConnection, selfTransfer, minConnectionMinutes });
+    for (const name of LAYOVER_FLAG_NAMES) {
+      if (layover[name]) summary[name] = true;
+    }
+  });
+
+  flight.layoverFlags = summary;
+  return flight;
+}
+
+// /search's excludeLayoverFlags: true = every flag, or a list (array or
+// comma-separated) of LAYOVER_FLAG_NAMES. Returns { flags } or { error }.
+function parseLayoverFlagExclusions(raw) {
+  if (raw == null || raw === false || raw === "") return { flags: [] };
+  if (raw === true || String(raw).toLowerCase() === "true") return { flags: [...LAYOVER_FLAG_NAMES] };
+
+  const requested = (Array.isArray(raw) ? raw : String(raw).split(","))
+    .map((name) => String(name || "").trim())
+    .filter(Boolean);
+  const unknown = requested.filter((name) => !LAYOVER_FLAG_NAMES.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown excludeLayoverFlags value(s): ${unknown.join(", ")} - expected ${LAYOVER_FLAG_NAMES.join(", ")}` };
+  }
+  return { flags: [...new Set(requested)] };
+}
+
+function isSameMetroArea(a, b) {
+  return expandMetroAirportGroup(a).includes(String(b || "").trim().toUpperCase());
+}
+
+// A round trip is open-jaw when the return leg doesn't come back between
+// the same two cities - compared metro-group-wise, so DEL->BOM / NMI->DEL
+// is still a plain round trip (NMI is Mumbai), but DEL->GOI / GOX->BOM
+// isn't (Goa back to Mumbai, not Delhi).
+function isOpenJawTrip({ from, to, returnFrom, returnTo }) {
+  return !isSameMetroArea(to, returnFrom) || !isSameMetroArea(from, returnTo);
+}
+
 // --------------------
 // Helpers: Date + Cabin
 // --------------------
@@ -515,11 +877,23 @@ const AIRINDIA_RETRY_TIMEOUT_MS = Number(process.env.FLIGHTAPI_AIRINDIA_RETRY_TI
 async function maybeRetryForMissingAirIndiaNonStop(parsedData, activeUrl, tried) {
   if (hasNonStopAirIndiaItinerary(parsedData)) return parsedData;
 
+  // Optional extra call - never spent while FlightAPI's breaker isn't fully
+  // closed or the call budget is in cache-only mode.
+  await ensureProviderCallBudgetLoaded(flightApiCallBudget);
+  const skipReason =
+    (FLIGHT_PROVIDER_REGISTRY.flightapi.breaker.state !== "closed" ? "CIRCUIT_NOT_CLOSED" : null) ||
+    providerBudgetBlockReason(flightApiCallBudget);
+  if (skipReason) {
+    tried.push({ airIndiaNonStopRetry: true, skipped: skipReason });
+    return parsedData;
+  }
+
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), AIRINDIA_RETRY_TIMEOUT_MS);
   const startedAt = Date.now();
 
   try {
+    recordProviderCall(flightApiCallBudget);
     const res = await flightApiFetch(activeUrl, { signal: controller.signal });
     clearTimeout(timeout);
 
@@ -572,6 +946,145 @@ function buildFlightApiCacheKey({ from, to, date, adults, children, infants, cab
   ].join("|");
 }
 
+function flightCacheTtlMsForTravelDate(baseTtlMs, date) {
+  const travelDay = /^\d{4}-\d{2}-\d{2}$/.test(String(date || ""))
+    ? new Date(`${date}T00:00:00.000Z`)
+    : null;
+  if (!travelDay) return baseTtlMs;
+
+  const daysOut = Math.round((travelDay - getTimezoneDateOnly(new Date(), APP_TIMEZONE)) / (24 * 60 * 60 * 1000));
+  const row = FLIGHT_CACHE_TTL_BY_DAYS_OUT.find((r) => daysOut <= r.maxDaysOut);
+  return Math.round(baseTtlMs * (row ? row.multiplier : 1));
+}
+
+let _flightCacheIndexEnsured = false;
+async function getFlightCacheCollection() {
+  await getOffersCollection();
+  const col = _mongoClient.db(MONGODB_DB).collection(FLIGHT_CACHE_MONGO_COL);
+  // Same idempotent, fail-open pattern as ensureGenericDisplayIndexes.
+  // expireAfterSeconds: 0 = Mongo deletes each doc at its own expiresAt.
+  if (!_flightCacheIndexEnsured) {
+    _flightCacheIndexEnsured = true;
+    try {
+      await col.createIndex({ expiresAt: 1 }, { name: "expiresAt_ttl", expireAfterSeconds: 0 });
+    } catch (err) {
+      console.error("flight cache TTL index creation failed (entries still expire on read):", err?.message || err);
+    }
+  }
+  return col;
+}
+
+// get() resolves to { entry, tier, fresh, lookup } - entry is
+// { loadedAt, data } or null, tier is "memory" | "mongo" | null, fresh is
+// false for an entry past ttlMs but within maxStaleMs of it, and lookup
+// records what each tier said ({ status: "hit" | "stale" | "miss" |
+// "expired" | "error" | "timeout" | "disabled", ageMs? }) for the tried
+// row. Never throws: a Mongo problem degrades to a miss, exactly as if the
+// persistent tier didn't exist.
+function createTieredFlightCache({ namespace, maxEntries = FLIGHT_CACHE_MEMORY_MAX_ENTRIES }) {
+  const memory = new Map();
+
+  function remember(key, entry) {
+    // Map iteration order is insertion order, so delete + set moves a key
+    // to the most-recently-used end and the first key is always the LRU.
+    memory.delete(key);
+    memory.set(key, entry);
+    while (memory.size > maxEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  }
+
+  return {
+    namespace,
+    memory,
+
+    async get(key, ttlMs, maxStaleMs = 0) {
+      const now = Date.now();
+      const lookup = {};
+
+      const mem = memory.get(key);
+      if (mem && now - mem.loadedAt < ttlMs + maxStaleMs) {
+        remember(key, mem);
+        const fresh = now - mem.loadedAt < ttlMs;
+        lookup.memory = { status: fresh ? "hit" : "stale", ageMs: now - mem.loadedAt };
+        // A stale memory entry is still this process's newest copy - Mongo
+        // only ever holds what some set() here already put in memory.
+        return { entry: mem, tier: "memory", fresh, lookup };
+      }
+      if (mem) memory.delete(key);
+      lookup.memory = mem ? { status: "expired", ageMs: now - mem.loadedAt } : { status: "miss" };
+
+      if (!MONGO_URI) {
+        lookup.mongo = { status: "disabled" };
+        return { entry: null, tier: null, fresh: false, lookup };
+      }
+
+      let timer = null;
+      try {
+        const doc = await Promise.race([
+          getFlightCacheCollection().then((col) =>
+            col.findOne({ _id: `${namespace}|${key}` }, { projection: { loadedAt: 1, data: 1 } })
+          ),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(Object.assign(new Error("timeout"), { isTimeout: true })), FLIGHT_CACHE_MONGO_LOOKUP_TIMEOUT_MS);
+          })
+        ]);
+
+        const loadedAt = doc?.loadedAt ? new Date(doc.loadedAt).getTime() : 0;
+        if (!doc) {
+          lookup.mongo = { status: "miss" };
+        } else if (now - loadedAt >= ttlMs + maxStaleMs) {
+          // Mongo's TTL monitor only sweeps every ~60s, and this request's
+          // TTL can be shorter than the one the doc was written with.
+          lookup.mongo = { status: "expired", ageMs: now - loadedAt };
+        } else {
+          const entry = { loadedAt, data: doc.data };
+          remember(key, entry);
+          const fresh = now - loadedAt < ttlMs;
+          lookup.mongo = { status: fresh ? "hit" : "stale", ageMs: now - loadedAt };
+          return { entry, tier: "mongo", fresh, lookup };
+        }
+      } catch (err) {
+        lookup.mongo = err?.isTimeout
+          ? { status: "timeout", timeoutMs: FLIGHT_CACHE_MONGO_LOOKUP_TIMEOUT_MS }
+          : { status: "error", error: err?.message || String(err) };
+      } finally {
+        clearTimeout(timer);
+      }
+
+      return { entry: null, tier: null, fresh: false, lookup };
+    },
+
+    set(key, entry, ttlMs) {
+      remember(key, entry);
+      if (!MONGO_URI) return;
+
+      // Fire-and-forget: a response is never held up by (or failed for) the
+      // persistent write.
+      getFlightCacheCollection()
+        .then((col) =>
+          col.replaceOne(
+            { _id: `${namespace}|${key}` },
+            {
+              _id: `${namespace}|${key}`,
+              namespace,
+              key,
+              loadedAt: new Date(entry.loadedAt),
+              // Kept past its TTL for stale fallback, see
+              // FLIGHT_CACHE_STALE_FALLBACK_MAX_AGE_MS.
+              expiresAt: new Date(entry.loadedAt + ttlMs + FLIGHT_CACHE_STALE_FALLBACK_MAX_AGE_MS),
+              data: entry.data
+            },
+            { upsert: true }
+          )
+        )
+        .catch((err) => {
+          console.error(`[SkyDeal] ${namespace} flight cache write failed`, err?.message || err);
+        });
+    }
+  };
+}
+
 // FlightAPI's current paid tier caps concurrent requests at 5 (confirmed by
 // founder, 2026-08-14). A single one-way search can already fan out to up
 // to 6 parallel metro-airport-group calls (METRO_AIRPORT_GROUPS), and a
@@ -590,38 +1103,269 @@ function buildFlightApiCacheKey({ from, to, date, adults, children, infants, cab
 // queuing for us. Does not change what's requested, parsed, cached, or
 // returned - purely gates *when* each already-existing fetch call starts.
 const FLIGHTAPI_MAX_CONCURRENCY = Number(process.env.FLIGHTAPI_MAX_CONCURRENCY || 5);
-let _flightApiInFlight = 0;
-const _flightApiWaitQueue = [];
 
-function acquireFlightApiSlot() {
-  if (_flightApiInFlight < FLIGHTAPI_MAX_CONCURRENCY) {
-    _flightApiInFlight++;
+// One queue per flight-data provider (see FLIGHT_PROVIDER_REGISTRY): each
+// provider's account has its own concurrency cap, and a slow provider must
+// never hold up slots another provider's calls are waiting on.
+//
+// "low" priority (opt-in extras like the alternate-airport search) waits
+// in its own queue: it only starts while nothing normal is waiting, and
+// never takes a pool's last free slot (unless the pool only has one), so
+// the user's own search always finds a slot within one call's time.
+function createProviderSlotPool(maxConcurrency) {
+  return { maxConcurrency, inFlight: 0, waitQueue: [], lowPriorityQueue: [] };
+}
+
+function lowPrioritySlotFree(pool) {
+  return pool.waitQueue.length === 0 && pool.inFlight < Math.max(1, pool.maxConcurrency - 1);
+}
+
+function acquireProviderSlot(pool, priority = "normal") {
+  const low = priority === "low";
+  if (low ? lowPrioritySlotFree(pool) : pool.inFlight < pool.maxConcurrency) {
+    pool.inFlight++;
     return Promise.resolve();
   }
   return new Promise((resolve) => {
-    _flightApiWaitQueue.push(() => {
-      _flightApiInFlight++;
+    (low ? pool.lowPriorityQueue : pool.waitQueue).push(() => {
+      pool.inFlight++;
       resolve();
     });
   });
 }
 
-function releaseFlightApiSlot() {
-  _flightApiInFlight--;
-  const next = _flightApiWaitQueue.shift();
+function releaseProviderSlot(pool) {
+  pool.inFlight--;
+  const next = pool.waitQueue.shift() || (lowPrioritySlotFree(pool) ? pool.lowPriorityQueue.shift() : null);
   if (next) next();
 }
 
-async function flightApiFetch(url, options) {
-  await acquireFlightApiSlot();
+async function providerSlotFetch(pool, url, options, priority = "normal") {
+  await acquireProviderSlot(pool, priority);
   try {
     return await fetch(url, options);
   } finally {
-    releaseFlightApiSlot();
+    releaseProviderSlot(pool);
+  }
+}
+
+const flightApiSlotPool = createProviderSlotPool(FLIGHTAPI_MAX_CONCURRENCY);
+
+async function flightApiFetch(url, options) {
+  return providerSlotFetch(flightApiSlotPool, url, options);
+}
+
+// --------------------
+// Provider circuit breaker + call budget
+// --------------------
+// During an upstream incident every user search used to run its own full
+// shouldRetry loop (up to FLIGHTAPI_MAX_ATTEMPTS calls each), so a FlightAPI
+// outage turned into a quota drain. The breaker is shared per provider:
+// after PROVIDER_BREAKER_FAILURE_THRESHOLD consecutive failures it opens
+// and every call is skipped (fetchFromProvider falls back to stale cache,
+// other providers still answer); after PROVIDER_BREAKER_OPEN_MS it
+// half-opens and lets exactly one trial call through to decide.
+const PROVIDER_BREAKER_FAILURE_THRESHOLD = Number(process.env.PROVIDER_BREAKER_FAILURE_THRESHOLD || 5);
+const PROVIDER_BREAKER_OPEN_MS = Number(process.env.PROVIDER_BREAKER_OPEN_MS || 60000);
+
+function createProviderCircuitBreaker({
+  failureThreshold = PROVIDER_BREAKER_FAILURE_THRESHOLD,
+  openMs = PROVIDER_BREAKER_OPEN_MS
+} = {}) {
+  return {
+    state: "closed",
+    failureThreshold,
+    openMs,
+    consecutiveFailures: 0,
+    openedAt: 0,
+    timesOpened: 0,
+    halfOpenTrialInFlight: false,
+    lastFailure: null
+  };
+}
+
+// null = the call may go ahead; otherwise the tried-row status for why not.
+function providerBreakerBlockReason(breaker) {
+  if (!breaker || breaker.state === "closed") return null;
+
+  if (breaker.state === "open") {
+    if (Date.now() - breaker.openedAt < breaker.openMs) return "CIRCUIT_OPEN";
+    breaker.state = "half-open";
+  }
+
+  if (breaker.halfOpenTrialInFlight) return "CIRCUIT_HALF_OPEN";
+  breaker.halfOpenTrialInFlight = true;
+  return null;
+}
+
+// A failure is anything the provider's own shouldRetry considers
+// transient (429/5xx/timeouts/network) - a plain 4xx means the upstream is
+// up and answering, so it counts as a success here.
+function recordProviderBreakerResult(breaker, ok, failure = {}) {
+  if (!breaker) return;
+  breaker.halfOpenTrialInFlight = false;
+
+  if (ok) {
+    breaker.state = "closed";
+    breaker.consecutiveFailures = 0;
+    return;
+  }
+
+  breaker.consecutiveFailures++;
+  breaker.lastFailure = { at: new Date().toISOString(), ...failure };
+
+  if (breaker.state === "half-open" || breaker.consecutiveFailures >= breaker.failureThreshold) {
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+    breaker.timesOpened++;
+  }
+}
+
+// FlightAPI call budget: every real HTTP call (retries and the Air India
+// re-check included) is counted per APP_TIMEZONE day and month, persisted
+// in Mongo so a restart doesn't reset it. Past softLimitRatio of either
+// limit the provider goes cache-only - fresh and stale cache entries are
+// still served, nothing new is fetched - leaving the remaining headroom
+// for manual checks rather than running the paid plan to zero. A limit of
+// 0 means unlimited. Fails open: if Mongo is unreachable the counters
+// start from 0 in memory.
+const PROVIDER_CALL_BUDGET_COL = process.env.PROVIDER_CALL_BUDGET_COL || "provider_call_budget";
+
+function createProviderCallBudget({ namespace, dailyLimit = 0, monthlyLimit = 0, softLimitRatio = 0.9 }) {
+  return {
+    namespace,
+    dailyLimit,
+    monthlyLimit,
+    softLimitRatio,
+    day: { period: null, count: 0 },
+    month: { period: null, count: 0 },
+    loading: null
+  };
+}
+
+const flightApiCallBudget = createProviderCallBudget({
+  namespace: "flightapi",
+  dailyLimit: Number(process.env.FLIGHTAPI_DAILY_CALL_BUDGET || 0),
+  monthlyLimit: Number(process.env.FLIGHTAPI_MONTHLY_CALL_BUDGET || 0),
+  softLimitRatio: Number(process.env.FLIGHTAPI_BUDGET_SOFT_LIMIT_RATIO || 0.9)
+});
+
+function currentBudgetPeriods() {
+  const day = getTimezoneDateOnly(new Date(), APP_TIMEZONE).toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+}
+
+async function getProviderCallBudgetCollection() {
+  await getOffersCollection();
+  return _mongoClient.db(MONGODB_DB).collection(PROVIDER_CALL_BUDGET_COL);
+}
+
+// Loads the persisted count the first time a new day/month is seen (i.e.
+// after a restart, or at midnight) - every call after that only touches
+// the in-memory counter plus a fire-and-forget $inc.
+async function ensureProviderCallBudgetLoaded(budget) {
+  const { day, month } = currentBudgetPeriods();
+  if (budget.day.period === day && budget.month.period === month) return;
+
+  if (!budget.loading) {
+    budget.loading = (async () => {
+      let dayCount = 0;
+      let monthCount = 0;
+      if (MONGO_URI) {
+        try {
+          const col = await getProviderCallBudgetCollection();
+          const [dayDoc, monthDoc] = await Promise.all([
+            col.findOne({ _id: `${budget.namespace}|day|${day}` }),
+            col.findOne({ _id: `${budget.namespace}|month|${month}` })
+          ]);
+          dayCount = Number(dayDoc?.count || 0);
+          monthCount = Number(monthDoc?.count || 0);
+        } catch (err) {
+          console.error(`[SkyDeal] ${budget.namespace} call budget load failed (counting from 0)`, err?.message || err);
+        }
+      }
+      budget.day = { period: day, count: dayCount };
+      budget.month = { period: month, count: monthCount };
+    })().finally(() => {
+      budget.loading = null;
+    });
   }
+
+  await budget.loading;
+}
+
+function providerCallBudgetSoftLimits(budget) {
+  return {
+    day: budget.dailyLimit > 0 ? Math.floor(budget.dailyLimit * budget.softLimitRatio) : null,
+    month: budget.monthlyLimit > 0 ? Math.floor(budget.monthlyLimit * budget.softLimitRatio) : null
+  };
+}
+
+// Synchronous on purpose: callers await ensureProviderCallBudgetLoaded
+// first, then check and recordProviderCall with no await in between, so
+// concurrent calls can't all pass the check before any of them counts.
+function providerBudgetBlockReason(budget) {
+  if (!budget) return null;
+
+  const soft = providerCallBudgetSoftLimits(budget);
+  if (soft.day !== null && budget.day.count >= soft.day) return "BUDGET_DAILY_SOFT_LIMIT";
+  if (soft.month !== null && budget.month.count >= soft.month) return "BUDGET_MONTHLY_SOFT_LIMIT";
+  return null;
+}
+
+function recordProviderCall(budget) {
+  if (!budget) return;
+  budget.day.count++;
+  budget.month.count++;
+  if (!MONGO_URI || !budget.day.period) return;
+
+  const { day, month } = { day: budget.day.period, month: budget.month.period };
+  getProviderCallBudgetCollection()
+    .then((col) =>
+      Promise.all([
+        col.updateOne(
+          { _id: `${budget.namespace}|day|${day}` },
+          { $inc: { count: 1 }, $set: { namespace: budget.namespace, period: "day", key: day, updatedAt: new Date() } },
+          { upsert: true }
+        ),
+        col.updateOne(
+          { _id: `${budget.namespace}|month|${month}` },
+          { $inc: { count: 1 }, $set: { namespace: budget.namespace, period: "month", key: month, updatedAt: new Date() } },
+          { upsert: true }
+        )
+      ])
+    )
+    .catch((err) => {
+      console.error(`[SkyDeal] ${budget.namespace} call budget write failed`, err?.message || err);
+    });
+}
+
+function describeProviderCallBudget(budget) {
+  if (!budget) return null;
+  const soft = providerCallBudgetSoftLimits(budget);
+  const remaining = (limit, count) => (limit > 0 ? Math.max(0, limit - count) : null);
+  return {
+    dailyLimit: budget.dailyLimit || null,
+    monthlyLimit: budget.monthlyLimit || null,
+    softLimitRatio: budget.softLimitRatio,
+    day: { ...budget.day, softLimit: soft.day, remaining: remaining(budget.dailyLimit, budget.day.count) },
+    month: { ...budget.month, softLimit: soft.month, remaining: remaining(budget.monthlyLimit, budget.month.count) },
+    cacheOnly: (soft.day !== null && budget.day.count >= soft.day) || (soft.month !== null && budget.month.count >= soft.month)
+  };
 }
 
-async function fetchOneWayTrip({
+// Background refreshes already running, keyed `${provider.id}|${cacheKey}`,
+// so a burst of requests hitting the same stale entry triggers one
+// provider call, not one each.
+const providerCacheRefreshesInFlight = new Map();
+
+// The cache/retry/timeout loop every provider in FLIGHT_PROVIDER_REGISTRY
+// shares - originally FlightAPI's own fetchOneWayTrip loop, lifted out
+// unchanged so a new fare source only has to describe its request,
+// completeness check and retry policy, never re-implement this loop.
+// A successful result may carry stale: { ageMs, reason, tier } when it was
+// served from a past-TTL cache entry (see FLIGHT_CACHE_REVALIDATE_WINDOW_MS).
+async function fetchFromProvider(provider, {
   from,
   to,
   date,
@@ -630,89 +1374,132 @@ async function fetchOneWayTrip({
   infants = 0,
   cabin = "Economy",
   currency = "INR",
-  direction = "oneway"
+  direction = "oneway",
+  // "low" for opt-in extras - see createProviderSlotPool.
+  priority = "normal"
 }) {
-  const url = buildOnewayTripUrl({
-    from,
-    to,
-    date,
-    adults,
-    children,
-    infants,
-    cabin,
-    currency,
+  const query = { from, to, date, adults, children, infants, cabin, currency };
+  const firstRequest = provider.buildAttemptRequest(query, 1);
+  const cacheKey = buildFlightApiCacheKey(query);
+  const cacheTtlMs = flightCacheTtlMsForTravelDate(provider.cacheTtlMs, date);
+
+  const cached = await provider.cache.get(cacheKey, cacheTtlMs, FLIGHT_CACHE_STALE_FALLBACK_MAX_AGE_MS);
+  const cacheAgeMs = cached.entry ? Date.now() - cached.entry.loadedAt : null;
+  const cacheTriedRow = (status, extra = {}) => ({
+    provider: provider.id,
+    url: firstRequest.displayUrl,
+    status,
+    attempt: 0,
+    direction,
+    cacheTier: cached.tier,
+    cacheAgeMs,
+    cacheTtlMs,
+    cacheLookup: cached.lookup,
+    ...extra
   });
 
-  const fallbackCabin = String(cabin || "").trim() === "Economy" ? "economy" : null;
-  const fallbackUrl = fallbackCabin
-    ? buildOnewayTripUrl({
-        from,
-        to,
-        date,
-        adults,
-        children,
-        infants,
-        cabin: fallbackCabin,
-        currency,
-      })
-    : null;
+  if (cached.entry && cached.fresh) {
+    return {
+      status: 200,
+      data: cached.entry.data,
+      tried: [cacheTriedRow("CACHE_HIT")]
+    };
+  }
 
-  const cacheKey = buildFlightApiCacheKey({
-    from,
-    to,
-    date,
-    adults,
-    children,
-    infants,
-    cabin,
-    currency
-  });
+  if (cached.entry && cacheAgeMs < cacheTtlMs + FLIGHT_CACHE_REVALIDATE_WINDOW_MS) {
+    const refreshKey = `${provider.id}|${cacheKey}`;
+    const alreadyRefreshing = providerCacheRefreshesInFlight.has(refreshKey);
+    if (!alreadyRefreshing) {
+      const refresh = fetchFromProviderLive(provider, { query, direction, priority, cacheKey, cacheTtlMs, cacheLookup: cached.lookup })
+        .catch((err) => {
+          console.error(`[SkyDeal] ${provider.label} background cache refresh failed`, err?.message || err);
+        })
+        .finally(() => providerCacheRefreshesInFlight.delete(refreshKey));
+      providerCacheRefreshesInFlight.set(refreshKey, refresh);
+    }
 
-  const cached = flightApiSuccessCache.get(cacheKey);
-  if (cached && Date.now() - cached.loadedAt < FLIGHTAPI_CACHE_TTL_MS) {
     return {
       status: 200,
-      data: cached.data,
-      tried: [{
-        url: maskFlightApiKeyInUrl(url),
-        status: "CACHE_HIT",
-        attempt: 0,
-        direction,
-        cacheAgeMs: Date.now() - cached.loadedAt,
-        cacheTtlMs: FLIGHTAPI_CACHE_TTL_MS
-      }]
+      data: cached.entry.data,
+      stale: { ageMs: cacheAgeMs, reason: "revalidating", tier: cached.tier },
+      tried: [cacheTriedRow("CACHE_STALE", { backgroundRefresh: alreadyRefreshing ? "already_running" : "started" })]
+    };
+  }
+
+  try {
+    return await fetchFromProviderLive(provider, { query, direction, priority, cacheKey, cacheTtlMs, cacheLookup: cached.lookup });
+  } catch (err) {
+    if (!cached.entry) throw err;
+
+    return {
+      status: 200,
+      data: cached.entry.data,
+      stale: { ageMs: cacheAgeMs, reason: "live_fetch_failed", tier: cached.tier, error: err?.message || String(err) },
+      tried: [...(err?.tried || []), cacheTriedRow("STALE_FALLBACK")]
     };
   }
+}
 
+async function fetchFromProviderLive(provider, { query, direction, priority = "normal", cacheKey, cacheTtlMs, cacheLookup }) {
   const tried = [];
   let lastError = null;
   // Holds the last successfully-parsed-but-suspiciously-incomplete
-  // response (see looksLikeIncompleteFlightApiResponse) so a route that
-  // genuinely never stabilizes across every attempt still returns
-  // something, rather than erroring out entirely.
+  // response (see provider.looksIncomplete) so a route that genuinely
+  // never stabilizes across every attempt still returns something, rather
+  // than erroring out entirely.
   let lastIncompleteResult = null;
 
-  const timeoutMs = Number(process.env.FLIGHTAPI_TIMEOUT_MS || 12000);
-  const maxAttempts = Number(process.env.FLIGHTAPI_MAX_ATTEMPTS || 3);
+  const timeoutMs = provider.timeoutMs();
+  const maxAttempts = provider.maxAttempts();
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const request = provider.buildAttemptRequest(query, attempt);
+
+    // Budget first: the breaker check claims the half-open trial slot, so
+    // it must be the last thing that can say no before the real call.
+    // Loaded even with no limits set, so usage is still counted and
+    // visible on /debug/provider-health before anyone picks a limit.
+    if (provider.budget) await ensureProviderCallBudgetLoaded(provider.budget);
+    const blockedBy = providerBudgetBlockReason(provider.budget) || providerBreakerBlockReason(provider.breaker);
+    if (blockedBy) {
+      tried.push({
+        provider: provider.id,
+        url: request.displayUrl,
+        attempt,
+        direction,
+        status: blockedBy,
+        ...(attempt > 1 ? { retry: true } : { cacheTtlMs, cacheLookup }),
+      });
+      lastError = { status: 503, blockedBy };
+      break;
+    }
+
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), timeoutMs);
 
     try {
-      const activeUrl = fallbackUrl && attempt > 1 ? fallbackUrl : url;
-      const res = await flightApiFetch(activeUrl, { signal: controller.signal });
+      recordProviderCall(provider.budget);
+      const res = await providerSlotFetch(provider.slotPool, request.url, {
+        signal: controller.signal,
+        ...(request.headers ? { headers: request.headers } : {})
+      }, priority);
       clearTimeout(timeout);
 
       const text = await res.text();
+      const transientFailure = !res.ok && provider.shouldRetry(res.status, text);
+      // One breaker result per attempt. A 200 only counts once its body
+      // has parsed (below) - a 200 full of garbage is a failure, and must
+      // not reset consecutiveFailures or close a half-open breaker first.
+      if (!res.ok) recordProviderBreakerResult(provider.breaker, !transientFailure, { status: res.status });
 
       const triedRow = {
-        url: maskFlightApiKeyInUrl(activeUrl),
+        provider: provider.id,
+        url: request.displayUrl,
         status: res.status,
         attempt,
         direction,
         timeoutMs,
-        ...(attempt > 1 ? { retry: true } : {}),
+        ...(attempt > 1 ? { retry: true } : { cacheTtlMs, cacheLookup }),
       };
 
       if (!res.ok) {
@@ -725,31 +1512,35 @@ async function fetchOneWayTrip({
         try {
           const parsedData = JSON.parse(text);
 
-          if (looksLikeIncompleteFlightApiResponse(parsedData)) {
+          if (provider.looksIncomplete && provider.looksIncomplete(parsedData)) {
+            // Well-formed, just not settled yet - the provider is up.
+            recordProviderBreakerResult(provider.breaker, true, { status: res.status });
             triedRow.incompleteSnapshot = true;
-            triedRow.itinerariesCount = Array.isArray(parsedData?.itineraries) ? parsedData.itineraries.length : 0;
-            triedRow.statsTotalCount = parsedData?.stats?.itineraries?.total?.count ?? null;
+            Object.assign(triedRow, provider.describeIncomplete ? provider.describeIncomplete(parsedData) : {});
             lastIncompleteResult = { status: res.status, data: parsedData, tried };
 
             if (attempt < maxAttempts) {
-              // Don't cache or return yet - retry, since FlightAPI's own
-              // stats disagree with the itineraries it just sent, a sign
-              // its search job hadn't finished populating (see
-              // looksLikeIncompleteFlightApiResponse above).
+              // Don't cache or return yet - retry, since the provider's
+              // own response disagrees with itself, a sign its search job
+              // hadn't finished populating (see e.g.
+              // looksLikeIncompleteFlightApiResponse).
             } else {
               // Out of attempts - better to return the incomplete
               // snapshot than nothing, but never cache it, so the next
               // request gets a fresh chance at a stable response instead
-              // of being locked into this one for FLIGHTAPI_CACHE_TTL_MS.
+              // of being locked into this one for the cache TTL.
               return lastIncompleteResult;
             }
           } else {
-            const finalData = await maybeRetryForMissingAirIndiaNonStop(parsedData, activeUrl, tried);
+            const finalData = provider.afterSuccess
+              ? await provider.afterSuccess(parsedData, { url: request.url, tried })
+              : parsedData;
+            recordProviderBreakerResult(provider.breaker, true, { status: res.status });
 
-            flightApiSuccessCache.set(cacheKey, {
+            provider.cache.set(cacheKey, {
               loadedAt: Date.now(),
               data: finalData
-            });
+            }, cacheTtlMs);
 
             return {
               status: res.status,
@@ -758,6 +1549,7 @@ async function fetchOneWayTrip({
             };
           }
         } catch (jsonErr) {
+          recordProviderBreakerResult(provider.breaker, false, { status: "INVALID_JSON" });
           lastError = {
             status: "INVALID_JSON",
             body: text.slice(0, 800),
@@ -770,7 +1562,7 @@ async function fetchOneWayTrip({
           body: text,
         };
 
-        if (!shouldRetryFlightApiFailure(res.status, text)) {
+        if (!transientFailure) {
           break;
         }
       }
@@ -779,14 +1571,16 @@ async function fetchOneWayTrip({
 
       const isAbort = err?.name === "AbortError";
       lastError = {
-        error: isAbort ? `FlightAPI request timed out after ${timeoutMs}ms` : (err?.message || String(err)),
+        error: isAbort ? `${provider.label} request timed out after ${timeoutMs}ms` : (err?.message || String(err)),
       };
+      recordProviderBreakerResult(provider.breaker, false, { status: isAbort ? "TIMEOUT" : "ERROR", error: lastError.error });
 
       tried.push({
-        url: maskFlightApiKeyInUrl(fallbackUrl && attempt > 1 ? fallbackUrl : url),
+        provider: provider.id,
+        url: request.displayUrl,
         attempt,
         direction,
-        ...(attempt > 1 ? { retry: true } : {}),
+        ...(attempt > 1 ? { retry: true } : { cacheTtlMs, cacheLookup }),
         status: isAbort ? "TIMEOUT" : "ERROR",
         timeoutMs,
         error: lastError.error,
@@ -794,7 +1588,7 @@ async function fetchOneWayTrip({
     }
 
     if (attempt < maxAttempts) {
-      const waitMs = flightApiRetryDelayMs(attempt);
+      const waitMs = provider.retryDelayMs(attempt);
       const lastTried = tried[tried.length - 1];
       if (lastTried) lastTried.waitBeforeNextAttemptMs = waitMs;
       await new Promise((r) => setTimeout(r, waitMs));
@@ -802,14 +1596,35 @@ async function fetchOneWayTrip({
   }
 
   const err = new Error(
-    `FlightAPI request failed (${lastError?.status || lastError?.error || "no-status"})`
+    lastError?.blockedBy
+      ? `${provider.label} call skipped (${lastError.blockedBy})`
+      : `${provider.label} request failed (${lastError?.status || lastError?.error || "no-status"})`
   );
   err.status = lastError?.status || 500;
   err.tried = tried;
-  err.flightApiLastError = lastError;
+  err.providerLastError = lastError;
   throw err;
 }
 
+async function fetchOneWayTrip(params) {
+  return fetchFromProvider(FLIGHT_PROVIDER_REGISTRY.flightapi, params);
+}
+
+// --------------------
+// Kiwi (RapidAPI): second flight-data provider
+// --------------------
+// 2026-07-15 Mumbai-Jammu incident (see smoke-test.mjs): when FlightAPI
+// times out on every attempt, /search had nothing else to fall back on and
+// returned an empty 500. Kiwi is queried alongside FlightAPI on every leg,
+// so a FlightAPI outage still leaves real, bookable flights on screen.
+// Only enabled when RAPIDAPI_KEY is set (buildKiwiRoundTripRequest throws
+// without it); see FLIGHT_PROVIDER_REGISTRY for how it's wired in.
+const KIWI_TIMEOUT_MS = Number(process.env.KIWI_TIMEOUT_MS || 12000);
+const KIWI_CACHE_TTL_MS = Number(process.env.KIWI_CACHE_TTL_MS || FLIGHTAPI_CACHE_TTL_MS);
+const KIWI_MAX_ROWS = Number(process.env.KIWI_MAX_ROWS || 50);
+const KIWI_MAX_CONCURRENCY = Number(process.env.KIWI_MAX_CONCURRENCY || 2);
+const kiwiSuccessCache = createTieredFlightCache({ namespace: "kiwi" });
+const kiwiSlotPool = createProviderSlotPool(KIWI_MAX_CONCURRENCY);
 
 // --------------------
 // Map FlightAPI response to consistent flights
@@ -870,7 +1685,12 @@ function applyCarrierFareCorrection(amount, airlineName) {
   const normalized = normalizeForMatch(airlineName);
   for (const [alias, correctionInr] of Object.entries(CARRIER_FARE_CORRECTIONS_INR)) {
     if (normalized.includes(alias)) {
-      return Math.max(0, amount - correctionInr);
+      // Learned number when there are enough recent observations (see
+      // FARE_CALIBRATION_CONFIG) - a calibrated delta is observed minus
+      // FlightAPI, so the correction to subtract is its negation.
+      const calibratedDelta = calibratedFareDeltaInr(`carrier|${alias}`);
+      const effectiveCorrection = calibratedDelta != null ? -calibratedDelta : correctionInr;
+      return Math.max(0, amount - effectiveCorrection);
     }
   }
   return amount;
@@ -908,9 +1728,18 @@ function applyIndigoNonstopPortalCorrection(portalBase, flight, portal, passenge
   if (!airline.includes("indigo")) return portalBase;
   if (Number(flight?.stops) !== 0) return portalBase;
 
-  const correctionInr = Object.prototype.hasOwnProperty.call(INDIGO_NONSTOP_PORTAL_CORRECTIONS_INR, portal)
-    ? INDIGO_NONSTOP_PORTAL_CORRECTIONS_INR[portal]
-    : INDIGO_NONSTOP_PORTAL_CORRECTIONS_INR.__default;
+  // A registry entry's own number (e.g. a newly added portal once it's
+  // been audited) beats everything; then the calibrated delta once it has
+  // enough samples; then the measured table.
+  const registryCorrection = portalRegistryEntry(portal)?.fareCorrections?.indigoNonstopInr;
+  const calibratedDelta = calibratedFareDeltaInr(`portal|indigo|${portal}|nonstop`);
+  const correctionInr = Number.isFinite(registryCorrection)
+    ? registryCorrection
+    : calibratedDelta != null
+      ? calibratedDelta
+      : Object.prototype.hasOwnProperty.call(INDIGO_NONSTOP_PORTAL_CORRECTIONS_INR, portal)
+        ? INDIGO_NONSTOP_PORTAL_CORRECTIONS_INR[portal]
+        : INDIGO_NONSTOP_PORTAL_CORRECTIONS_INR.__default;
 
   const pax = Math.max(1, Number(passengers) || 1);
   return portalBase + correctionInr * pax;
@@ -940,14 +1769,203 @@ function applyAirIndiaNonstopPortalCorrection(portalBase, flight, portal, passen
   if (!airline.includes("air india")) return portalBase;
   if (Number(flight?.stops) !== 0) return portalBase;
 
-  const correctionInr = Object.prototype.hasOwnProperty.call(AIRINDIA_NONSTOP_PORTAL_CORRECTIONS_INR, portal)
-    ? AIRINDIA_NONSTOP_PORTAL_CORRECTIONS_INR[portal]
-    : 0;
+  // Same precedence as the IndiGo correction above.
+  const registryCorrection = portalRegistryEntry(portal)?.fareCorrections?.airIndiaNonstopInr;
+  const calibratedDelta = calibratedFareDeltaInr(`portal|air india|${portal}|nonstop`);
+  const correctionInr = Number.isFinite(registryCorrection)
+    ? registryCorrection
+    : calibratedDelta != null
+      ? calibratedDelta
+      : Object.prototype.hasOwnProperty.call(AIRINDIA_NONSTOP_PORTAL_CORRECTIONS_INR, portal)
+        ? AIRINDIA_NONSTOP_PORTAL_CORRECTIONS_INR[portal]
+        : 0;
 
   const pax = Math.max(1, Number(passengers) || 1);
   return portalBase + correctionInr * pax;
 }
 
+// --------------------
+// Fare-correction calibration
+// --------------------
+// Every correction above is a hand-measured constant, and they go stale
+// silently - the only way to notice was another manual audit. Observed
+// checkout prices (portal, airline, stops, FlightAPI's raw carrier price -
+// carrierPriceRawFromFlightApi where a flight has one - and what the
+// portal actually charged) now go into FARE_CALIBRATION_COL, via POST
+// /debug/fare-observations (JSON rows or an exported CSV). Each segment's
+// correction becomes the median of its recent per-passenger deltas
+// (observed - FlightAPI raw) - a median, so a stale quote or a fat-fingered
+// row doesn't drag it - and the constants stay as the fallback until a
+// segment has minSamples observations. Segments mirror what the constants
+// model:
+//   carrier|<alias>                          CARRIER_FARE_CORRECTIONS_INR,
+//                                            pooled over every OTA
+//   portal|<airline>|<portal>|nonstop        the IndiGo/Air India tables
+// (connecting segments are tabulated too, for the debug view, but nothing
+// reads them yet - every constant above is non-stop-only on purpose.)
+const FARE_CALIBRATION_COL = process.env.FARE_CALIBRATION_COL || "fare_calibration_observations";
+const FARE_CALIBRATION_CONFIG = {
+  minSamples: Number(process.env.FARE_CALIBRATION_MIN_SAMPLES || 5),
+  // Older observations describe a pricing regime that may have changed.
+  windowDays: Number(process.env.FARE_CALIBRATION_WINDOW_DAYS || 30),
+  maxObservationsLoaded: 20000,
+  cacheTtlMs: Number(process.env.FARE_CALIBRATION_CACHE_TTL_MS || 600000),
+  // A portal price more than this far from FlightAPI's is a different
+  // fare (or a typo), not a correction - rejected at import.
+  maxDeltaRatio: 0.5
+};
+let fareCalibrationTable = null;
+let fareCalibrationLoadedAt = 0;
+let fareCalibrationLoadInFlight = null;
+
+// Which correction an airline's observations feed. Air India Express is
+// split out for the same substring reason as
+// applyAirIndiaNonstopPortalCorrection.
+function fareCalibrationAirlineKey(airlineName) {
+  const normalized = normalizeForMatch(airlineName);
+  if (normalized.includes("air india express")) return "air india express";
+  const known = [...Object.keys(CARRIER_FARE_CORRECTIONS_INR), "indigo", "air india"];
+  return known.find((alias) => normalized.includes(alias)) || normalized;
+}
+
+// Synchronous: read from applyCarrierFareCorrection and the portal
+// corrections, inside mapping/pricing loops. null = not enough samples
+// (or not loaded yet) - use the constant.
+function calibratedFareDeltaInr(segmentKey) {
+  const row = fareCalibrationTable?.get(segmentKey);
+  return row && row.samples >= FARE_CALIBRATION_CONFIG.minSamples ? row.medianDeltaInr : null;
+}
+
+function medianOf(sortedNumbers) {
+  const n = sortedNumbers.length;
+  if (n === 0) return null;
+  return n % 2 ? sortedNumbers[(n - 1) / 2] : (sortedNumbers[n / 2 - 1] + sortedNumbers[n / 2]) / 2;
+}
+
+function buildFareCalibrationTable(observations) {
+  const groups = new Map();
+  const add = (key, delta, observedAt) => {
+    if (!groups.has(key)) groups.set(key, { deltas: [], latestObservedAt: null });
+    const g = groups.get(key);
+    g.deltas.push(delta);
+    if (!g.latestObservedAt || observedAt > g.latestObservedAt) g.latestObservedAt = observedAt;
+  };
+
+  for (const o of observations) {
+    const delta = (Number(o.observedPrice) - Number(o.flightApiPrice)) / Math.max(1, Number(o.passengers) || 1);
+    if (!Number.isFinite(delta)) continue;
+    const observedAt = o.observedAt ? new Date(o.observedAt) : null;
+    // A direct booking is the carrier fare itself - it says nothing about
+    // the OTA-side carrier correction.
+    if (o.channel !== "airline_direct") add(`carrier|${o.airlineKey}`, delta, observedAt);
+    add(`portal|${o.airlineKey}|${o.portal}|${Number(o.stops) === 0 ? "nonstop" : "connecting"}`, delta, observedAt);
+  }
+
+  const table = new Map();
+  for (const [key, g] of groups) {
+    const sorted = [...g.deltas].sort((a, b) => a - b);
+    const median = medianOf(sorted);
+    const deviations = sorted.map((d) => Math.abs(d - median)).sort((a, b) => a - b);
+    table.set(key, {
+      medianDeltaInr: Math.round(median),
+      // Median absolute deviation - how much to trust the median.
+      madInr: Math.round(medianOf(deviations)),
+      samples: sorted.length,
+      latestObservedAt: g.latestObservedAt ? g.latestObservedAt.toISOString() : null
+    });
+  }
+  return table;
+}
+
+// Same caching shape as getPortalRegistry; a failed reload keeps the last
+// table (or none - constants everywhere).
+async function getFareCalibrationTable({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && fareCalibrationTable && now - fareCalibrationLoadedAt < FARE_CALIBRATION_CONFIG.cacheTtlMs) {
+    return fareCalibrationTable;
+  }
+
+  if (!fareCalibrationLoadInFlight) {
+    fareCalibrationLoadInFlight = (async () => {
+      try {
+        await getOffersCollection();
+        const col = _mongoClient.db(MONGODB_DB).collection(FARE_CALIBRATION_COL);
+        const since = new Date(Date.now() - FARE_CALIBRATION_CONFIG.windowDays * 24 * 60 * 60 * 1000);
+        const observations = await col
+          .find({ observedAt: { $gte: since } }, { projection: { _id: 0 } })
+          .sort({ observedAt: -1 })
+          .limit(FARE_CALIBRATION_CONFIG.maxObservationsLoaded)
+          .toArray();
+        fareCalibrationTable = buildFareCalibrationTable(observations);
+      } catch (err) {
+        console.error("[SkyDeal] fare calibration load failed (using constants)", err?.message || err);
+        // Keep the last good table (or an empty one) so the TTL applies -
+        // otherwise every priced flight retries Mongo during an outage.
+        fareCalibrationTable = fareCalibrationTable || new Map();
+      }
+      fareCalibrationLoadedAt = Date.now();
+      return fareCalibrationTable;
+    })().finally(() => {
+      fareCalibrationLoadInFlight = null;
+    });
+  }
+
+  return fareCalibrationLoadInFlight;
+}
+
+// One observed checkout price -> a stored observation, or { error }.
+function normalizeFareObservation(raw) {
+  const portalName = String(raw?.portal || "").trim();
+  const airlineName = String(raw?.airlineName || raw?.airline || "").trim();
+  const flightApiPrice = Number(raw?.flightApiPrice);
+  const observedPrice = Number(raw?.observedPrice);
+  const passengers = Math.max(1, Math.floor(Number(raw?.passengers ?? 1) || 1));
+  const stops = Math.floor(Number(raw?.stops));
+  const observedAt = raw?.observedAt ? new Date(raw.observedAt) : new Date();
+
+  if (!portalName) return { error: "portal is required" };
+  if (!airlineName) return { error: "airlineName is required" };
+  if (!Number.isFinite(stops) || stops < 0) return { error: "stops must be a non-negative integer" };
+  if (!Number.isFinite(flightApiPrice) || flightApiPrice <= 0) return { error: "flightApiPrice must be a positive number" };
+  if (!Number.isFinite(observedPrice) || observedPrice <= 0) return { error: "observedPrice must be a positive number" };
+  if (Number.isNaN(observedAt.getTime())) return { error: "observedAt is not a valid date" };
+  if (Math.abs(observedPrice - flightApiPrice) > flightApiPrice * FARE_CALIBRATION_CONFIG.maxDeltaRatio) {
+    return { error: `observedPrice is more than ${FARE_CALIBRATION_CONFIG.maxDeltaRatio * 100}% away from flightApiPrice` };
+  }
+
+  const entry = portalRegistryEntry(portalName);
+  return {
+    observation: {
+      portal: entry?.name || portalName,
+      channel: entry?.channel || "ota",
+      airlineName,
+      airlineKey: fareCalibrationAirlineKey(airlineName),
+      stops,
+      passengers,
+      flightApiPrice,
+      observedPrice,
+      route: raw?.route ? String(raw.route).trim().toUpperCase() : null,
+      travelDate: raw?.travelDate ? String(raw.travelDate).slice(0, 10) : null,
+      observedAt,
+      source: String(raw?.source || "manual").trim(),
+      importedAt: new Date()
+    }
+  };
+}
+
+// Audit spreadsheets export as CSV: a header row naming the
+// normalizeFareObservation fields, one observation per line. Plain
+// comma-split - none of those fields ever contains a comma.
+function parseFareObservationsCsv(text) {
+  const lines = String(text || "").split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines.length < 2) return [];
+  const header = lines[0].split(",").map((h) => h.trim());
+  return lines.slice(1).map((line) => {
+    const cells = line.split(",").map((c) => c.trim());
+    return Object.fromEntries(header.map((h, i) => [h, cells[i] === "" ? undefined : cells[i]]));
+  });
+}
+
 // 2026-07-24/25: regional carriers (Star Air and Alliance Air confirmed,
 // Fly91/IndiaOne Air likely a different problem - see
 // FLIGHTAPI_CARRIER_PRICING_AUDIT_2026-07.md) never expose a carrier-direct
@@ -1255,7 +2273,10 @@ function resolveAirportCountryCode(place, placeById) {
 // A leg's stop_ids/segment_ids let us tell the user WHERE a connection is
 // and how long the layover is (FlightAPI has no terminal-change data
 // anywhere in its schema, so we only surface what we can actually verify -
-// airport/city and duration, not a terminal claim).
+// airport/city and duration, not a terminal claim). The airport you land
+// at and the one the next segment leaves from are read separately (each
+// segment's own destination/origin place, else the stop_ids group) so
+// annotateLayoverFlags can catch an airport change.
 function getLegLayovers(leg, segmentById, placeById) {
   const segIds = Array.isArray(leg?.segment_ids) ? leg.segment_ids : [];
   const stopIdGroups = Array.isArray(leg?.stop_ids) ? leg.stop_ids : [];
@@ -1278,6 +2299,13 @@ function getLegLayovers(leg, segmentById, placeById) {
     const parentPlace = place?.parent_id != null ? placeById[place.parent_id] : null;
     const cityName = (parentPlace?.type === "City" ? parentPlace?.name : null) || place?.name || null;
 
+    const lastStopPlaceId = Array.isArray(stopPlaceIds) ? stopPlaceIds[stopPlaceIds.length - 1] : stopPlaceIds;
+    const arrivalPlace = (segA?.destination_place_id != null ? placeById[segA.destination_place_id] : null) || place;
+    const departurePlace =
+      (segB?.origin_place_id != null ? placeById[segB.origin_place_id] : null) ||
+      (lastStopPlaceId != null ? placeById[lastStopPlaceId] : null) ||
+      arrivalPlace;
+
     let durationMinutes = null;
     if (segA?.arrival && segB?.departure) {
       const ms = new Date(segB.departure).getTime() - new Date(segA.arrival).getTime();
@@ -1285,11 +2313,14 @@ function getLegLayovers(leg, segmentById, placeById) {
     }
 
     layovers.push({
-      airportCode: place?.display_code || place?.alt_id || null,
-      airportName: place?.name || null,
+      airportCode: arrivalPlace?.display_code || arrivalPlace?.alt_id || null,
+      airportName: arrivalPlace?.name || null,
+      departureAirportCode: departurePlace?.display_code || departurePlace?.alt_id || null,
       cityName,
       durationMinutes,
-      countryCode: place ? resolveAirportCountryCode(place, placeById) : null,
+      arrivalTime: segA?.arrival || null,
+      departureTime: segB?.departure || null,
+      countryCode: arrivalPlace ? resolveAirportCountryCode(arrivalPlace, placeById) : null,
     });
   }
 
@@ -1416,6 +2447,9 @@ function mapFlightsFromFlightAPI(raw) {
     const departureTime = leg?.departure || null;
     const arrivalTime = leg?.arrival || null;
     const stops = typeof leg?.stop_count === "number" ? leg.stop_count : 0;
+    // The leg's own duration is timezone-correct; departure/arrival are
+    // local wall-clock times (see flightDurationMinutes).
+    const legDurationMinutes = Number(leg?.duration);
 
     const layovers = getLegLayovers(leg, segmentById, placeById);
 
@@ -1436,6 +2470,7 @@ function mapFlightsFromFlightAPI(raw) {
       segmentAirlineNames,
       departureTime,
       arrivalTime,
+      durationMinutes: Number.isFinite(legDurationMinutes) && legDurationMinutes > 0 ? legDurationMinutes : null,
       stops,
       layovers,
       price: carrierAmount,
@@ -1450,49 +2485,875 @@ function mapFlightsFromFlightAPI(raw) {
       flight.raw = { itinerary: it, leg };
     }
 
-    flights.push(flight);
+    flights.push(annotateLayoverFlags(flight));
   }
 
   return flights;
 }
 
-// --------------------
-// --------------------
-// Limit results
-// --------------------
-const MAX_RESULTS_PER_DIRECTION = 100;
+// Kiwi only gives IATA carrier codes, but offer matching
+// (offerTargetsThisAirline, the portal corrections above) keys off the
+// carrier NAME exactly as FlightAPI spells it - so Kiwi rows are renamed to
+// FlightAPI's spelling for every carrier SkyDeal actually sells. Anything
+// not listed keeps its bare code (still displayed, just never matched to an
+// airline-specific offer).
+const CARRIER_NAME_BY_IATA_CODE = {
+  "6E": "IndiGo",
+  AI: "Air India",
+  IX: "Air India Express",
+  QP: "Akasa Air",
+  SG: "SpiceJet",
+  UK: "Vistara",
+  "9I": "Alliance Air",
+  S5: "Star Air",
+  IC: "Fly91"
+};
 
-const INDIAN_CARRIERS = [
-  "air india express",
-  "air india",
-  "indigo",
-  "akasa",
-  "spicejet",
-  "fly91",
-  "star air",
-  "alliance air",
-  "trujet",
-  "vistara",
-  "go first",
-];
+function carrierNameFromIataCode(code) {
+  const upper = String(code || "").trim().toUpperCase();
+  return CARRIER_NAME_BY_IATA_CODE[upper] || upper || "-";
+}
+
+// Kiwi's route_data epochs are local wall-clock time encoded as if UTC
+// (Kiwi's own dTime convention, not dTimeUTC), so dropping the "Z" yields
+// the same local "YYYY-MM-DDTHH:MM:SS" form FlightAPI's leg.departure uses.
+function kiwiTimeToLocalIso(value) {
+  if (!value) return null;
+  const m = String(value).match(/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2})?)/);
+  if (!m) return null;
+  return m[1].length === 16 ? `${m[1]}:00` : m[1];
+}
+
+// Maps normalizeKiwiItineraries rows into the same flight shape
+// mapFlightsFromFlightAPI produces, so everything downstream (sorting,
+// applyOffersToFlight, the slimmed response) treats both providers alike.
+// Kiwi's price is its own reseller price, not FlightAPI's carrier-direct
+// number, so the FlightAPI-measured CARRIER_FARE_CORRECTIONS_INR offsets are
+// deliberately NOT applied here - priceSource "kiwi_reseller" keeps these
+// distinguishable from a verified carrier price, same idea as
+// "estimated_min_reseller".
+function mapFlightsFromKiwi(rows) {
+  const flights = [];
 
-function isIndianCarrier(airlineName) {
-  const n = String(airlineName || "").toLowerCase();
-  return INDIAN_CARRIERS.some((c) => n.includes(c));
-}
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const price = Number(row?.priceINR);
+    if (!Number.isFinite(price) || price <= 0) continue;
 
-function limitAndSortFlights(flights) {
-  const pool = Array.isArray(flights) ? [...flights] : [];
+    const segments = Array.isArray(row.segments) ? row.segments : [];
+    const segmentAirlineNames = segments.map((seg) => (seg.carrier ? carrierNameFromIataCode(seg.carrier) : null));
+    const allAirlineNames = Array.from(new Set(segmentAirlineNames.filter(Boolean)));
+    const airlineName = carrierNameFromIataCode(row.carrier);
+    const isMixedCarrierItinerary = allAirlineNames.length > 1;
 
-  return pool.sort((a, b) => {
-    const aStops = Number(a.stops || 0);
-    const bStops = Number(b.stops || 0);
+    const layovers = [];
+    for (let i = 0; i < segments.length - 1; i++) {
+      const arriving = segments[i];
+      const departing = segments[i + 1];
 
-    // Default SkyDeal ordering: non-stop flights first.
-    if (aStops !== bStops) return aStops - bStops;
+      let durationMinutes = null;
+      if (arriving?.arrTime && departing?.depTime) {
+        const ms = new Date(departing.depTime).getTime() - new Date(arriving.arrTime).getTime();
+        if (Number.isFinite(ms) && ms >= 0) durationMinutes = Math.round(ms / 60000);
+      }
 
-    const aPrice = Number(a.price || 0);
-    const bPrice = Number(b.price || 0);
+      // No places hierarchy to walk here (see resolveAirportCountryCode) -
+      // only a code known to be Indian counts as "IN", so the domestic
+      // foreign-layover filter still treats anything unconfirmed as foreign.
+      layovers.push({
+        airportCode: arriving?.to || null,
+        airportName: null,
+        departureAirportCode: departing?.from || arriving?.to || null,
+        cityName: null,
+        durationMinutes,
+        arrivalTime: kiwiTimeToLocalIso(arriving?.arrTime),
+        departureTime: kiwiTimeToLocalIso(departing?.depTime),
+        countryCode: isIndianAirportIata(arriving?.to) ? "IN" : null,
+      });
+    }
+
+    const allFlightNumbers = (Array.isArray(row.flightNos) ? row.flightNos : [row.flightNo]).filter(Boolean);
+
+    flights.push(annotateLayoverFlags({
+      airlineName,
+      displayAirlineName: isMixedCarrierItinerary ? allAirlineNames.join(" + ") : airlineName,
+      isMixedCarrierItinerary,
+      allAirlineNames: allAirlineNames.length ? allAirlineNames : [airlineName],
+      flightNumber: allFlightNumbers[0] || "-",
+      allFlightNumbers,
+      segmentAirlineNames,
+      departureTime: kiwiTimeToLocalIso(row.depTime),
+      arrivalTime: kiwiTimeToLocalIso(row.arrTime),
+      stops: Number.isFinite(row.stops) ? row.stops : Math.max(0, segments.length - 1),
+      layovers,
+      price: Math.round(price),
+      priceSource: "kiwi_reseller",
+      carrierAgentIds: [],
+      pricingOptionCount: 1,
+      carrierPricingOptionCount: 0,
+      departureAirportCode: row.depIATA || null,
+      arrivalAirportCode: row.arrIATA || null,
+    }));
+  }
+
+  return flights;
+}
+
+// Canonical flight identity (2026-10): the same physical itinerary gets the
+// same flightId whichever page, cache entry or provider it came from, so
+// the frontend (and every endpoint that takes flights back) can match
+// flights exactly instead of by heuristics. Built only from what every
+// provider agrees on: airport pair, local departure minute, and each
+// segment's bare flight number (FlightAPI's "2134" and Kiwi's "6E-2134"
+// both reduce to 2134). null when any of those is missing.
+function flightIdentityOf(flight) {
+  const depAirport = String(flight?.departureAirportCode || "").trim().toUpperCase();
+  const arrAirport = String(flight?.arrivalAirportCode || "").trim().toUpperCase();
+  const departure = String(flight?.departureTime || "").slice(0, 16);
+  const numbers = Array.isArray(flight?.allFlightNumbers) && flight.allFlightNumbers.length > 0
+    ? flight.allFlightNumbers
+    : [flight?.flightNumber];
+  const digitChain = numbers.map((n) => String(n || "").match(/(\d+)\s*$/)?.[1]);
+
+  if (!depAirport || !arrAirport || departure.length < 16 || digitChain.some((d) => !d)) return null;
+
+  return `${depAirport}|${arrAirport}|${departure}|${digitChain.map(Number).join("-")}`;
+}
+
+function canonicalFlightId(flight) {
+  const identity = flightIdentityOf(flight);
+  if (!identity) return null;
+  return `f_${createHash("sha1").update(identity).digest("hex").slice(0, 16)}`;
+}
+
+// Two providers routinely return the same physical flight. Merges each
+// provider's flights in FLIGHT_PROVIDERS priority order - the first
+// provider to return a flight wins the duplicate, matched on
+// flightIdentityOf (the whole flight-number chain plus both airports, so
+// two connections sharing a first leg stay two flights). With the default
+// order that's always FlightAPI: its carrier-direct price is the one the
+// SkyDeal base-fare rule trusts (see the IMPORTANT note above
+// mapFlightsFromFlightAPI), so Kiwi only fills in flights FlightAPI didn't
+// return. `lists` is [{ providerId, flights }]. Only checked ACROSS
+// providers: a provider's own list is never deduped against itself - that
+// list is what it would have returned on its own.
+function mergeProviderFlights(lists) {
+  const seen = new Set();
+  const merged = [];
+  const statsByProvider = {};
+
+  for (const { providerId, flights } of lists) {
+    const stats = { kept: 0, duplicatesDropped: 0 };
+    statsByProvider[providerId] = stats;
+    const keys = [];
+
+    for (const f of flights) {
+      const key = flightIdentityOf(f);
+      if (key && seen.has(key)) {
+        stats.duplicatesDropped++;
+        continue;
+      }
+      if (key) keys.push(key);
+      merged.push(f);
+      stats.kept++;
+    }
+
+    for (const key of keys) seen.add(key);
+  }
+
+  return { flights: merged, statsByProvider };
+}
+
+// --------------------
+// Flight-data provider registry
+// --------------------
+// Everything /search needs to know about a fare source lives in its entry
+// here, so adding one (or pulling a misbehaving one via FLIGHT_PROVIDERS)
+// never means editing the FlightAPI path or buildLegFlights. Each entry:
+//   id / label            - meta/tried key and human-readable name
+//   queryScope            - "airport-pair": one call per metro-group pair
+//                           (flights tagged with that pair's codes);
+//                           "leg": one call per leg, mapFlights supplies
+//                           departureAirportCode/arrivalAirportCode itself
+//   isEnabled()           - false drops it from the active set (missing key)
+//   cache / cacheTtlMs    - per-provider createTieredFlightCache, keyed by
+//                           buildFlightApiCacheKey; cacheTtlMs is the base
+//                           TTL, scaled by FLIGHT_CACHE_TTL_BY_DAYS_OUT
+//   slotPool              - per-provider concurrency cap
+//   breaker / budget      - createProviderCircuitBreaker, and an optional
+//                           createProviderCallBudget (null = uncounted)
+//   timeoutMs() / maxAttempts() / retryDelayMs(attempt)
+//   buildAttemptRequest(query, attempt) -> { url, headers?, displayUrl }
+//   shouldRetry(status, bodyText)
+//   looksIncomplete(data) / describeIncomplete(data)   (optional)
+//   afterSuccess(data, { url, tried }) -> data          (optional)
+//   countItineraries(data) - raw count before mapping, for meta
+//   appliesCarrierPriceRule - its mapping drops flights without a
+//                           carrier-direct price (meta.*CarrierPriceRule)
+//   mapFlights(data) -> flights in mapFlightsFromFlightAPI's shape
+const FLIGHT_PROVIDER_REGISTRY = {
+  flightapi: {
+    id: "flightapi",
+    label: "FlightAPI",
+    queryScope: "airport-pair",
+    appliesCarrierPriceRule: true,
+    isEnabled: () => Boolean(FLIGHTAPI_KEY),
+    cache: flightApiSuccessCache,
+    cacheTtlMs: FLIGHTAPI_CACHE_TTL_MS,
+    slotPool: flightApiSlotPool,
+    breaker: createProviderCircuitBreaker(),
+    budget: flightApiCallBudget,
+    timeoutMs: () => Number(process.env.FLIGHTAPI_TIMEOUT_MS || 12000),
+    maxAttempts: () => Number(process.env.FLIGHTAPI_MAX_ATTEMPTS || 3),
+    retryDelayMs: flightApiRetryDelayMs,
+    buildAttemptRequest(query, attempt) {
+      // Retries fall back to the lowercase "economy" cabin spelling, which
+      // FlightAPI has accepted when "Economy" intermittently failed.
+      const useFallbackCabin = attempt > 1 && String(query.cabin || "").trim() === "Economy";
+      const url = buildOnewayTripUrl({ ...query, cabin: useFallbackCabin ? "economy" : query.cabin });
+      return { url, displayUrl: maskFlightApiKeyInUrl(url) };
+    },
+    shouldRetry: shouldRetryFlightApiFailure,
+    looksIncomplete: looksLikeIncompleteFlightApiResponse,
+    describeIncomplete: (data) => ({
+      itinerariesCount: Array.isArray(data?.itineraries) ? data.itineraries.length : 0,
+      statsTotalCount: data?.stats?.itineraries?.total?.count ?? null
+    }),
+    afterSuccess: (data, { url, tried }) => maybeRetryForMissingAirIndiaNonStop(data, url, tried),
+    countItineraries: (data) => (Array.isArray(data?.itineraries) ? data.itineraries.length : 0),
+    mapFlights: (data) => mapFlightsFromFlightAPI(data)
+  },
+
+  kiwi: {
+    id: "kiwi",
+    label: "Kiwi",
+    queryScope: "leg",
+    appliesCarrierPriceRule: false,
+    isEnabled: () => Boolean(process.env.RAPIDAPI_KEY),
+    cache: kiwiSuccessCache,
+    cacheTtlMs: KIWI_CACHE_TTL_MS,
+    slotPool: kiwiSlotPool,
+    breaker: createProviderCircuitBreaker(),
+    budget: null,
+    timeoutMs: () => KIWI_TIMEOUT_MS,
+    // No retries by default: Kiwi is the backup provider, and a retry
+    // backoff would only stretch a leg FlightAPI has usually finished.
+    maxAttempts: () => Number(process.env.KIWI_MAX_ATTEMPTS || 1),
+    retryDelayMs: flightApiRetryDelayMs,
+    buildAttemptRequest(query) {
+      const { url, headers } = buildKiwiRoundTripRequest({
+        from: query.from,
+        to: query.to,
+        departureDate: query.date,
+        adults: query.adults,
+        children: query.children,
+        infants: query.infants,
+        travelClass: String(query.cabin || "Economy").toLowerCase(),
+        currency: query.currency
+      });
+      return { url, headers, displayUrl: url };
+    },
+    shouldRetry: (status) => Number(status) === 429 || Number(status) >= 500,
+    countItineraries: (data) => (Array.isArray(data?.itineraries) ? data.itineraries.length : 0),
+    mapFlights: (data) => mapFlightsFromKiwi(normalizeKiwiItineraries(data, KIWI_MAX_ROWS))
+  }
+};
+
+// Comma-separated, in dedupe-priority order (see mergeProviderFlights).
+// Unknown ids are ignored; disabled providers (e.g. no API key) drop out.
+const FLIGHT_PROVIDERS = String(process.env.FLIGHT_PROVIDERS || "flightapi,kiwi")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+function getActiveFlightProviders() {
+  return FLIGHT_PROVIDERS
+    .map((id) => FLIGHT_PROVIDER_REGISTRY[id])
+    .filter((provider) => provider && provider.isEnabled());
+}
+
+// See the domestic-route sanity filter in /search's buildLegFlights.
+function isDomesticSafeFlight(f) {
+  const flightIsDomestic = isIndianAirportIata(f.departureAirportCode) && isIndianAirportIata(f.arrivalAirportCode);
+  return !flightIsDomestic || (f.layovers || []).every((l) => l.countryCode === "IN");
+}
+
+// --------------------
+// Alternate-airport suggestions
+// --------------------
+// /search's opt-in alternateAirports mode: besides the searched route,
+// search the outbound leg from/to up to maxAlternates airports within
+// radiusKm (see nearbyAirports) and report each one's cheapest final
+// price and how far it is from the searched airport - e.g. PNQ for BOM
+// (124 km), TIR for MAA (99 km). They run alongside the main search;
+// /search waits at most waitAfterSearchMs past its own legs for them, and
+// a straggler keeps going in the background so its fares are cached for
+// the next search.
+// Every alternate is extra provider quota the user never explicitly
+// asked for, so none run once any active provider has used
+// maxBudgetUsageRatio of its daily or monthly call budget.
+const ALTERNATE_AIRPORT_CONFIG = {
+  defaultRadiusKm: 150,
+  maxRadiusKm: 300,
+  maxAlternates: Number(process.env.ALTERNATE_AIRPORT_MAX_SEARCHES || 3),
+  pricedFlightsPerAirport: 5,
+  waitAfterSearchMs: Number(process.env.ALTERNATE_AIRPORT_WAIT_MS || 3000),
+  maxBudgetUsageRatio: 0.7
+};
+
+// body.alternateAirports: true, a radius in km, or { radiusKm }.
+// Returns { option } (null = off) or { error }.
+function parseAlternateAirportOption(raw) {
+  if (raw == null || raw === false || raw === "") return { option: null };
+
+  const cfg = ALTERNATE_AIRPORT_CONFIG;
+  let radiusKm = cfg.defaultRadiusKm;
+  if (typeof raw === "number" || typeof raw === "string") {
+    radiusKm = Number(raw);
+  } else if (typeof raw === "object" && !Array.isArray(raw)) {
+    if (raw.radiusKm != null) radiusKm = Number(raw.radiusKm);
+  } else if (raw !== true) {
+    return { error: "alternateAirports must be true, a radius in km, or { radiusKm }" };
+  }
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+    return { error: "alternateAirports radiusKm must be a positive number" };
+  }
+
+  return { option: { radiusKm: Math.min(radiusKm, cfg.maxRadiusKm) } };
+}
+
+async function providersHaveAlternateSearchHeadroom(providers) {
+  const ratio = ALTERNATE_AIRPORT_CONFIG.maxBudgetUsageRatio;
+  for (const provider of providers) {
+    const budget = provider.budget;
+    if (!budget) continue;
+    await ensureProviderCallBudgetLoaded(budget);
+    if (budget.dailyLimit > 0 && budget.day.count >= budget.dailyLimit * ratio) return false;
+    if (budget.monthlyLimit > 0 && budget.month.count >= budget.monthlyLimit * ratio) return false;
+  }
+  return true;
+}
+
+// Nearest first across both ends, never the other end's own metro group.
+function alternateAirportCandidates(from, to, radiusKm) {
+  const fromMetro = new Set(expandMetroAirportGroup(from));
+  const toMetro = new Set(expandMetroAirportGroup(to));
+  return [
+    ...nearbyAirports(from, radiusKm)
+      .filter((a) => !toMetro.has(a.code))
+      .map((a) => ({ ...a, replaces: "origin", from: a.code, to })),
+    ...nearbyAirports(to, radiusKm)
+      .filter((a) => !fromMetro.has(a.code))
+      .map((a) => ({ ...a, replaces: "destination", from, to: a.code }))
+  ]
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, ALTERNATE_AIRPORT_CONFIG.maxAlternates);
+}
+
+// Prices the cheapest few by carrier fare (the same cut /fare-calendar
+// uses) and returns the one with the lowest final price.
+async function cheapestPricedFlight(flights, priceFlight, limit = ALTERNATE_AIRPORT_CONFIG.pricedFlightsPerAirport) {
+  let best = null;
+  const pool = [...flights].sort((a, b) => Number(a.price || 0) - Number(b.price || 0)).slice(0, limit);
+  for (const f of pool) {
+    const priced = await priceFlight(f);
+    const finalPrice = bestFinalPriceOf(priced);
+    if (!best || finalPrice < best.finalPrice) best = { flight: priced, finalPrice };
+  }
+  return best;
+}
+
+// One alternate route, every active provider, mapped and filtered the way
+// buildLegFlights does (keepFlight carries the request's layover
+// exclusions and result filters).
+async function searchAlternateAirport(candidate, { date, passengerCounts, cabin, currency, keepFlight, priceFlight }) {
+  const providers = getActiveFlightProviders();
+  const settled = await Promise.allSettled(
+    providers.map((provider) =>
+      fetchFromProvider(provider, {
+        from: candidate.from,
+        to: candidate.to,
+        date,
+        adults: passengerCounts.adults,
+        children: passengerCounts.children,
+        infants: passengerCounts.infants,
+        cabin,
+        currency,
+        direction: "alternate",
+        priority: "low"
+      })
+    )
+  );
+  if (settled.every((s) => s.status !== "fulfilled")) {
+    throw settled[0]?.reason || new Error("Alternate airport search failed");
+  }
+
+  const lists = settled.map((s, i) => {
+    const provider = providers[i];
+    if (s.status !== "fulfilled") return { providerId: provider.id, flights: [] };
+    let flights = provider.mapFlights(s.value.data);
+    if (provider.queryScope === "airport-pair") {
+      flights.forEach((f) => {
+        f.departureAirportCode = candidate.from;
+        f.arrivalAirportCode = candidate.to;
+      });
+    } else {
+      flights = flights.filter((f) => f.departureAirportCode === candidate.from && f.arrivalAirportCode === candidate.to);
+    }
+    flights = flights.filter(isDomesticSafeFlight).filter(keepFlight);
+    flights.forEach((f) => {
+      f.flightId = canonicalFlightId(f);
+    });
+    return { providerId: provider.id, flights };
+  });
+
+  const flights = mergeProviderFlights(lists).flights;
+  const best = await cheapestPricedFlight(flights, (f) => priceFlight(f, isDomesticRoute(candidate.from, candidate.to)));
+  return { flightsFound: flights.length, best };
+}
+
+// Starts every candidate search; resolve() later settles them against the
+// searched route's cheapest final price and the wait deadline.
+async function startAlternateAirportSearch({ from, to, radiusKm, ...searchArgs }) {
+  const candidates = alternateAirportCandidates(from, to, radiusKm);
+  if (candidates.length === 0) return { radiusKm, skipped: "no_nearby_airports", candidates, searches: [] };
+  if (!(await providersHaveAlternateSearchHeadroom(getActiveFlightProviders()))) {
+    return { radiusKm, skipped: "provider_budget", candidates, searches: [] };
+  }
+
+  const searches = candidates.map((candidate) => {
+    const search = { candidate, done: false, result: null, error: null };
+    search.promise = searchAlternateAirport(candidate, searchArgs)
+      .then((result) => {
+        search.result = result;
+      })
+      .catch((err) => {
+        search.error = err?.message || String(err);
+      })
+      .finally(() => {
+        search.done = true;
+      });
+    return search;
+  });
+  return { radiusKm, skipped: null, candidates, searches };
+}
+
+async function resolveAlternateAirportSuggestions(started, searchedCheapestFinalPrice) {
+  if (started.searches.length > 0) {
+    await Promise.race([
+      Promise.all(started.searches.map((s) => s.promise)),
+      new Promise((resolve) => setTimeout(resolve, ALTERNATE_AIRPORT_CONFIG.waitAfterSearchMs))
+    ]);
+  }
+
+  const suggestions = started.searches.map(({ candidate, done, result, error }) => {
+    const row = {
+      airport: candidate.code,
+      city: candidate.city,
+      replaces: candidate.replaces,
+      from: candidate.from,
+      to: candidate.to,
+      // Straight-line distance from the searched airport - the extra
+      // ground journey to get there.
+      extraGroundDistanceKm: candidate.distanceKm,
+      status: !done ? "pending" : error ? "error" : result?.best ? "ok" : "no_flights",
+      cheapestFinalPrice: result?.best?.finalPrice ?? null,
+      savingVsSearched: null,
+      cheapestFlight: null
+    };
+    if (error) row.error = error;
+    if (result?.best) {
+      const f = result.best.flight;
+      row.savingVsSearched = Number.isFinite(searchedCheapestFinalPrice)
+        ? Math.round((searchedCheapestFinalPrice - result.best.finalPrice) * 100) / 100
+        : null;
+      row.cheapestFlight = {
+        flightId: f.flightId || null,
+        airlineName: f.airlineName || null,
+        flightNumber: f.flightNumber || null,
+        departureTime: f.departureTime || null,
+        arrivalTime: f.arrivalTime || null,
+        stops: f.stops ?? null,
+        price: f.price ?? null,
+        bestDeal: slimPortalPriceForSearchResponse(f.bestDeal || null)
+      };
+    }
+    return row;
+  });
+
+  suggestions.sort((a, b) =>
+    (a.cheapestFinalPrice ?? Infinity) - (b.cheapestFinalPrice ?? Infinity) || a.extraGroundDistanceKm - b.extraGroundDistanceKm
+  );
+
+  return {
+    suggestions,
+    summary: {
+      radiusKm: started.radiusKm,
+      skipped: started.skipped,
+      candidates: started.candidates.map((c) => c.code),
+      searchedCheapestFinalPrice: Number.isFinite(searchedCheapestFinalPrice) ? searchedCheapestFinalPrice : null,
+      pending: suggestions.filter((s) => s.status === "pending").length
+    }
+  };
+}
+
+// --------------------
+// --------------------
+// Limit results
+// --------------------
+const MAX_RESULTS_PER_DIRECTION = 100;
+
+const INDIAN_CARRIERS = [
+  "air india express",
+  "air india",
+  "indigo",
+  "akasa",
+  "spicejet",
+  "fly91",
+  "star air",
+  "alliance air",
+  "trujet",
+  "vistara",
+  "go first",
+];
+
+function isIndianCarrier(airlineName) {
+  const n = String(airlineName || "").toLowerCase();
+  return INDIAN_CARRIERS.some((c) => n.includes(c));
+}
+
+// --------------------
+// /search result filters + sort modes
+// --------------------
+// Applied to a leg's full merged list BEFORE pagination, so page 2 is the
+// continuation of the same filtered, sorted list page 1 came from (every
+// page re-runs the same pipeline over the same provider-cached data).
+// "recommended" is the pre-2026-10 order (limitAndSortFlights).
+// needsPricing modes rank on the offer-adjusted price, so they price up to
+// SEARCH_PRICED_SORT_MAX_FLIGHTS of the leg (cheapest carrier fares first)
+// before sorting; anything past that cap keeps its carrier-price order
+// after the priced ones.
+const SEARCH_SORT_MODES = {
+  recommended: { needsPricing: false },
+  cheapest: { needsPricing: true },
+  shortest: { needsPricing: false },
+  earliest: { needsPricing: false },
+  latest: { needsPricing: false },
+  best_value: { needsPricing: true }
+};
+const SEARCH_PRICED_SORT_MAX_FLIGHTS = Number(process.env.SEARCH_PRICED_SORT_MAX_FLIGHTS || 120);
+// Departures in this local window count as red-eye (wraps past midnight).
+const RED_EYE_DEPARTURE_WINDOW = { from: 23 * 60, to: 5 * 60 };
+
+function minutesOfDay(localIso) {
+  const m = String(localIso || "").match(/T(\d{2}):(\d{2})/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function isWithinDayWindow(minutes, window) {
+  if (minutes == null) return false;
+  return window.from <= window.to
+    ? minutes >= window.from && minutes <= window.to
+    : minutes >= window.from || minutes <= window.to;
+}
+
+// Both times are local wall-clock, so this is only exact for same-timezone
+// trips - the provider's own durationMinutes wins whenever it has one.
+function flightDurationMinutes(flight) {
+  if (Number.isFinite(flight?.durationMinutes)) return flight.durationMinutes;
+  const ms = Date.parse(flight?.arrivalTime) - Date.parse(flight?.departureTime);
+  return Number.isFinite(ms) && ms >= 0 ? Math.round(ms / 60000) : null;
+}
+
+// "06:00-12:00" or { from: "06:00", to: "12:00" } -> { from, to } minutes.
+function parseDayWindow(raw, label) {
+  if (raw == null || raw === "") return { window: null };
+  const [fromText, toText] = typeof raw === "string" ? raw.split("-") : [raw?.from, raw?.to];
+  const parse = (t) => {
+    const m = String(t || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+    return Number(m[1]) * 60 + Number(m[2]);
+  };
+  const from = parse(fromText);
+  const to = parse(toText);
+  if (from == null || to == null) return { error: `${label} must look like "HH:MM-HH:MM"` };
+  return { window: { from, to } };
+}
+
+function parseSearchResultOptions(body) {
+  const filters = {};
+
+  const nonNegativeInt = (value, label) => {
+    if (value == null || value === "") return { value: null };
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) return { error: `${label} must be a non-negative integer` };
+    return { value: n };
+  };
+  const airlineList = (value) =>
+    (Array.isArray(value) ? value : String(value || "").split(","))
+      .map(normalizeForMatch)
+      .filter(Boolean);
+
+  for (const [key, label] of [
+    ["maxStops", "maxStops"],
+    ["maxDurationMinutes", "maxDurationMinutes"],
+    ["maxLayoverMinutes", "maxLayoverMinutes"]
+  ]) {
+    const parsed = nonNegativeInt(body[key], label);
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.value != null) filters[key] = parsed.value;
+  }
+
+  const includeAirlines = airlineList(body.airlines);
+  const excludeAirlines = airlineList(body.excludeAirlines);
+  if (includeAirlines.length > 0) filters.airlines = includeAirlines;
+  if (excludeAirlines.length > 0) filters.excludeAirlines = excludeAirlines;
+
+  for (const [key, label] of [["departureWindow", "departureWindow"], ["arrivalWindow", "arrivalWindow"]]) {
+    const parsed = parseDayWindow(body[key], label);
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.window) filters[key] = parsed.window;
+  }
+
+  if (body.excludeRedEye === true || String(body.excludeRedEye || "").toLowerCase() === "true") {
+    filters.excludeRedEye = true;
+  }
+
+  const sortMode = String(body.sort || "recommended").trim().toLowerCase().replace(/-/g, "_");
+  if (!SEARCH_SORT_MODES[sortMode]) {
+    return { error: `Unknown sort "${body.sort}" - expected ${Object.keys(SEARCH_SORT_MODES).join(", ")}` };
+  }
+
+  const valueWeights = parseValueScoreWeights(body.valueWeights);
+  if (valueWeights.error) return { error: valueWeights.error };
+
+  return { filters, sortMode, valueWeights: valueWeights.weights };
+}
+
+function flightPassesResultFilters(flight, filters) {
+  if (filters.maxStops != null && Number(flight.stops || 0) > filters.maxStops) return false;
+
+  // Every carrier on the itinerary counts: "IndiGo only" excludes an
+  // IndiGo + Air India connection, and excluding Air India excludes it too.
+  const carriers = (flight.allAirlineNames?.length ? flight.allAirlineNames : [flight.airlineName]).map(normalizeForMatch);
+  if (filters.airlines && !carriers.every((c) => filters.airlines.includes(c))) return false;
+  if (filters.excludeAirlines && carriers.some((c) => filters.excludeAirlines.includes(c))) return false;
+
+  if (filters.departureWindow && !isWithinDayWindow(minutesOfDay(flight.departureTime), filters.departureWindow)) return false;
+  if (filters.arrivalWindow && !isWithinDayWindow(minutesOfDay(flight.arrivalTime), filters.arrivalWindow)) return false;
+
+  if (filters.maxDurationMinutes != null) {
+    const duration = flightDurationMinutes(flight);
+    if (duration == null || duration > filters.maxDurationMinutes) return false;
+  }
+  if (filters.maxLayoverMinutes != null &&
+      (flight.layovers || []).some((l) => !Number.isFinite(l.durationMinutes) || l.durationMinutes > filters.maxLayoverMinutes)) {
+    return false;
+  }
+
+  if (filters.excludeRedEye && isWithinDayWindow(minutesOfDay(flight.departureTime), RED_EYE_DEPARTURE_WINDOW)) return false;
+
+  return true;
+}
+
+// priced: Map flight -> applyOffersToFlight result, for needsPricing
+// modes; a flight missing from it ranks on its carrier price.
+// valueScores: scoreFlightsForValue's Map, for best_value. Ties fall back
+// to the recommended order, so every mode is deterministic.
+function sortFlightsForMode(flights, sortMode, priced = null, valueScores = null) {
+  const recommended = limitAndSortFlights(flights);
+  if (sortMode === "recommended") return recommended;
+
+  const rank = new Map(recommended.map((f, i) => [f, i]));
+  const finalPrice = (f) => bestFinalPriceOf(priced?.get(f) || f);
+  const duration = (f) => flightDurationMinutes(f) ?? Infinity;
+  const key = {
+    cheapest: (f) => finalPrice(f),
+    shortest: (f) => duration(f),
+    earliest: (f) => String(f.departureTime || ""),
+    latest: (f) => String(f.departureTime || ""),
+    // Higher score first.
+    best_value: (f) => -(valueScores?.get(f)?.valueScore ?? 0)
+  }[sortMode];
+  const direction = sortMode === "latest" ? -1 : 1;
+
+  return recommended.slice().sort((a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    if (ka !== kb) return (ka < kb ? -1 : 1) * direction;
+    return rank.get(a) - rank.get(b);
+  });
+}
+
+// --------------------
+// "Best value" scoring
+// --------------------
+// Raw price ignores that a 9-hour one-stop for ₹200 less is a bad deal.
+// With sort=best_value, every /search flight gets a valueScore (0-100,
+// higher = better value) and a one-line valueReason, scored against the
+// rest of its leg's (filtered) results on four components, each 0-1:
+//   price          cheapest offer-adjusted price / this flight's
+//   duration       shortest journey / this journey (flightDurationMinutes)
+//   layovers       1 for non-stop, minus LAYOVER_PENALTIES per connection
+//   departureTime  DEPARTURE_DESIRABILITY for the local departure hour
+// valueScore = the weighted mean. Weights come from VALUE_SCORE_WEIGHTS
+// (env JSON, partial ok) and can be overridden per request with
+// body.valueWeights. Scores are computed before the page is priced, so
+// they're the same whichever page is requested: flights inside the
+// sort's pricing pool (SEARCH_PRICED_SORT_MAX_FLIGHTS) score on their
+// offer-adjusted price, the rest on their carrier price. Other sort
+// modes don't price that pool, so they return no valueScore.
+const VALUE_SCORE_WEIGHTS = {
+  price: 0.55,
+  duration: 0.25,
+  layovers: 0.1,
+  departureTime: 0.1,
+  ...(() => {
+    try {
+      return JSON.parse(process.env.VALUE_SCORE_WEIGHTS || "{}");
+    } catch {
+      return {};
+    }
+  })()
+};
+const VALUE_SCORE_LAYOVER_PENALTIES = {
+  perStop: 0.25,
+  airportChange: 0.3,
+  overnight: 0.25,
+  shortConnection: 0.2,
+  selfTransfer: 0.3,
+  // Per layover longer than longLayoverMinutes.
+  longLayover: 0.15,
+  longLayoverMinutes: 240
+};
+// [fromHour, toHour) local departure -> desirability.
+const DEPARTURE_DESIRABILITY = [
+  { from: 0, to: 5, score: 0.2 },
+  { from: 5, to: 7, score: 0.6 },
+  { from: 7, to: 11, score: 1 },
+  { from: 11, to: 17, score: 0.9 },
+  { from: 17, to: 21, score: 0.85 },
+  { from: 21, to: 24, score: 0.5 }
+];
+
+function parseValueScoreWeights(raw) {
+  if (raw == null || raw === "") return { weights: VALUE_SCORE_WEIGHTS };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { error: "valueWeights must be an object" };
+
+  const weights = { ...VALUE_SCORE_WEIGHTS };
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(key in VALUE_SCORE_WEIGHTS)) {
+      return { error: `Unknown valueWeights key "${key}" - expected ${Object.keys(VALUE_SCORE_WEIGHTS).join(", ")}` };
+    }
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) return { error: `valueWeights.${key} must be a non-negative number` };
+    weights[key] = n;
+  }
+  if (Object.values(weights).every((w) => w === 0)) return { error: "valueWeights cannot all be 0" };
+  return { weights };
+}
+
+function layoverQualityScore(flight) {
+  const p = VALUE_SCORE_LAYOVER_PENALTIES;
+  let score = 1;
+  for (const layover of flight.layovers || []) {
+    score -= p.perStop;
+    for (const flag of LAYOVER_FLAG_NAMES) {
+      if (layover[flag]) score -= p[flag];
+    }
+    if (Number(layover.durationMinutes) > p.longLayoverMinutes) score -= p.longLayover;
+  }
+  return Math.max(0, score);
+}
+
+function departureDesirabilityScore(flight) {
+  const minutes = minutesOfDay(flight.departureTime);
+  if (minutes == null) return 0.5;
+  const hour = minutes / 60;
+  return DEPARTURE_DESIRABILITY.find((band) => hour >= band.from && hour < band.to)?.score ?? 0.5;
+}
+
+function formatMinutesShort(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  return h > 0 ? (m > 0 ? `${h}h ${m}m` : `${h}h`) : `${m}m`;
+}
+
+// Map flight -> { valueScore, valueReason, valueComponents }.
+function scoreFlightsForValue(flights, priced = null, weights = VALUE_SCORE_WEIGHTS) {
+  const rows = flights.map((f) => ({
+    flight: f,
+    price: bestFinalPriceOf(priced?.get(f) || f),
+    duration: flightDurationMinutes(f)
+  }));
+  const validPrices = rows.map((r) => r.price).filter((n) => n > 0);
+  const validDurations = rows.map((r) => r.duration).filter((n) => Number.isFinite(n) && n > 0);
+  const minPrice = validPrices.length ? Math.min(...validPrices) : null;
+  const minDuration = validDurations.length ? Math.min(...validDurations) : null;
+  const cheapest = rows.find((r) => r.price === minPrice) || null;
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+
+  const scores = new Map();
+  for (const row of rows) {
+    const f = row.flight;
+    const components = {
+      price: minPrice && row.price > 0 ? minPrice / row.price : 0,
+      duration: minDuration && row.duration > 0 ? minDuration / row.duration : 0,
+      layovers: layoverQualityScore(f),
+      departureTime: departureDesirabilityScore(f)
+    };
+    const weighted = Object.entries(components).reduce((sum, [key, value]) => sum + value * (weights[key] || 0), 0);
+
+    // Lead with the price story relative to the cheapest flight, then the
+    // one convenience fact that most explains the rest of the score.
+    const reasons = [];
+    if (row.price === minPrice) {
+      reasons.push("Lowest price");
+    } else if (minPrice) {
+      reasons.push(`₹${Math.round(row.price - minPrice)} more than the cheapest`);
+    }
+    if (row.duration === minDuration) {
+      reasons.push("fastest journey");
+    } else if (cheapest && Number.isFinite(row.duration) && Number.isFinite(cheapest.duration) && row.duration < cheapest.duration) {
+      reasons.push(`${formatMinutesShort(cheapest.duration - row.duration)} shorter than the cheapest`);
+    } else if (Number.isFinite(row.duration) && minDuration) {
+      reasons.push(`${formatMinutesShort(row.duration - minDuration)} longer than the fastest`);
+    }
+    const flags = LAYOVER_FLAG_NAMES.filter((name) => f.layoverFlags?.[name]);
+    if (flags.length > 0) {
+      reasons.push(flags.map((name) => ({
+        airportChange: "airport change",
+        overnight: "overnight layover",
+        shortConnection: "tight connection",
+        selfTransfer: "self-transfer"
+      })[name]).join(", "));
+    } else if (Number(f.stops || 0) === 0) {
+      reasons.push("non-stop");
+    }
+    if (components.departureTime <= 0.5) reasons.push("inconvenient departure time");
+
+    scores.set(f, {
+      valueScore: Math.round((weighted / totalWeight) * 100),
+      valueReason: reasons.join("; "),
+      valueComponents: Object.fromEntries(
+        Object.entries(components).map(([key, value]) => [key, Math.round(value * 100) / 100])
+      )
+    });
+  }
+  return scores;
+}
+
+function limitAndSortFlights(flights) {
+  const pool = Array.isArray(flights) ? [...flights] : [];
+
+  return pool.sort((a, b) => {
+    const aStops = Number(a.stops || 0);
+    const bStops = Number(b.stops || 0);
+
+    // Default SkyDeal ordering: non-stop flights first.
+    if (aStops !== bStops) return aStops - bStops;
+
+    const aPrice = Number(a.price || 0);
+    const bPrice = Number(b.price || 0);
 
     if (aPrice !== bPrice) return aPrice - bPrice;
 
@@ -1629,14 +3490,6 @@ function isValidBestOffer(offer) {
   return true;
 }
 
-function normalizeText(s) {
-  return String(s || "")
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, " ")
-    .replace(/[^\w\s]/g, "");
-}
-
 // Bank-alias map (2026-08-17 founder catch): a real search with ICICI +
 // RBL Bank credit cards selected showed "Your ICICI gets you the best
 // price" on an offer whose title literally says "...with RBL Bank Credit
@@ -1752,9 +3605,373 @@ function extractOfferConstraints(offer) {
     appOnly: text.includes("mobile app"),
     websiteOnly: text.includes("website bookings"),
     onePerUser: text.includes("once per"),
+    // "valid once per card per month", "max 2 transactions per credit card
+    // in a calendar month" - matters once a trip is split into two bookings.
+    perCardPerMonth: /per\s+(?:credit\s+|debit\s+)?card\s+(?:per|in\s+a|in\s+the)\s+(?:calendar\s+)?month/.test(text),
   };
 }
 
+// --------------------
+// Structured offer rules
+// --------------------
+// Eligibility used to live only in free-text regexes (getPassengerRestrictionResult,
+// inferMinTxnFromText, extractBookingDayRule, offerRequiresRoundTrip,
+// parsePercentFromRawDiscount, isCashbackStyleOffer, offerIsPerPassenger),
+// each re-parsing title/rawDiscount/terms on every request. An offer doc
+// can now carry `rules`, validated against OFFER_RULES_SCHEMA (JSON Schema,
+// the subset validateJsonSchema below understands) and compiled ONCE per
+// offers-cache load by getOffersForSearch into offer.compiledRules. Those
+// functions read compiledRules first. An offer without `rules` - or whose
+// `rules` fail validation - is compiled by running the old regexes once,
+// and flagged inferred: true / ruleSource: "inferred".
+// Bump OFFER_RULES_SCHEMA_VERSION on any breaking change; docs written for
+// another version are treated as invalid (inferred), never half-read.
+const OFFER_RULES_SCHEMA_VERSION = 1;
+
+const OFFER_RULES_SCHEMA = {
+  $id: "skydeal/offer-rules/v1",
+  type: "object",
+  required: ["schemaVersion"],
+  additionalProperties: false,
+  properties: {
+    schemaVersion: { const: OFFER_RULES_SCHEMA_VERSION },
+    paymentMethods: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["type"],
+        additionalProperties: false,
+        properties: {
+          type: { enum: ["Credit Card", "Debit Card", "Net Banking", "UPI", "Wallet", "EMI"] },
+          bank: { type: "string" },
+          network: { type: "string" },
+          cardVariant: { type: "string" },
+          emiOnly: { type: "boolean" },
+          tenureMonths: { type: "integer", minimum: 1 }
+        }
+      }
+    },
+    discount: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        percent: { type: "number", minimum: 0, maximum: 100 },
+        flatAmount: { type: "number", minimum: 0 },
+        maxDiscountAmount: { type: "number", minimum: 0 },
+        perPassenger: { type: "boolean" },
+        cashback: { type: "boolean" }
+      }
+    },
+    minTransactionValue: { type: "number", minimum: 0 },
+    tiers: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          minTransactionValue: { type: "number", minimum: 0 },
+          maxTransactionValue: { type: "number", minimum: 0 },
+          discountPercent: { type: "number", minimum: 0, maximum: 100 },
+          flatDiscountAmount: { type: "number", minimum: 0 },
+          maxDiscountAmount: { type: "number", minimum: 0 },
+          tenureMonths: { type: "integer", minimum: 1 },
+          tripType: { enum: ["one-way", "round-trip"] }
+        }
+      }
+    },
+    passengers: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        min: { type: "integer", minimum: 1 },
+        max: { type: "integer", minimum: 1 },
+        soloOnly: { type: "boolean" },
+        infantsAllowed: { type: "boolean" }
+      }
+    },
+    bookingDays: {
+      type: "object",
+      required: ["mode", "days"],
+      additionalProperties: false,
+      properties: {
+        mode: { enum: ["include", "exclude"] },
+        days: {
+          type: "array",
+          minItems: 1,
+          items: { enum: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"] }
+        }
+      }
+    },
+    travelPeriod: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        from: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" },
+        to: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" }
+      }
+    },
+    tripTypes: { type: "array", minItems: 1, items: { enum: OFFER_TRIP_TYPES } },
+    cabins: { type: "array", minItems: 1, items: { enum: ["economy", "premium", "business", "first"] } },
+    routes: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        domestic: { type: "boolean" },
+        international: { type: "boolean" }
+      }
+    },
+    airlines: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        include: { type: "array", items: { type: "string" } },
+        exclude: { type: "array", items: { type: "string" } }
+      }
+    }
+  }
+};
+
+function jsonSchemaTypeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// Just the JSON Schema keywords OFFER_RULES_SCHEMA uses - type, const,
+// enum, required, properties, additionalProperties (false), items,
+// minItems, minimum, maximum, pattern. Returns ["path: problem", ...].
+function validateJsonSchema(schema, value, path = "$") {
+  const errors = [];
+  const actual = jsonSchemaTypeOf(value);
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return [`${path}: must be ${JSON.stringify(schema.const)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: must be one of ${schema.enum.join(", ")}`];
+  }
+  if (schema.type) {
+    const ok = schema.type === actual || (schema.type === "number" && actual === "integer");
+    if (!ok) return [`${path}: must be ${schema.type}`];
+  }
+
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validateJsonSchema(childSchema, child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    }
+  }
+  if (actual === "array") {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateJsonSchema(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+  if (actual === "integer" || actual === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (actual === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: must match ${schema.pattern}`);
+  }
+  return errors;
+}
+
+function compiledOfferRules(offer) {
+  return offer?.compiledRules || null;
+}
+
+// Structured rules -> the compiled shape every reader expects. The
+// engine's own structured fields (eligiblePaymentMethods, discountPercent,
+// discountTiers, travelPeriod, ...) are set from the rules too, so the
+// parts of pricing that already trust those fields need no second path.
+function compileStructuredOfferRules(offer, rules) {
+  const discount = rules.discount || {};
+  const tiers = Array.isArray(rules.tiers) ? rules.tiers : null;
+  const tierMins = (tiers || []).map((t) => Number(t.minTransactionValue || 0)).filter((n) => n > 0);
+
+  if (rules.paymentMethods) {
+    offer.eligiblePaymentMethods = rules.paymentMethods.map((pm) => ({
+      type: pm.type,
+      bank: pm.bank || null,
+      network: pm.network || null,
+      cardVariant: pm.cardVariant || null,
+      emiOnly: pm.emiOnly === true || pm.type === "EMI",
+      tenureMonths: pm.tenureMonths ?? null
+    }));
+  }
+  if (discount.percent != null) offer.discountPercent = discount.percent;
+  if (discount.flatAmount != null) offer.flatDiscountAmount = discount.flatAmount;
+  if (discount.maxDiscountAmount != null) offer.maxDiscountAmount = discount.maxDiscountAmount;
+  if (rules.minTransactionValue != null) offer.minTransactionValue = rules.minTransactionValue;
+  if (tiers) offer.discountTiers = tiers;
+  if (rules.travelPeriod) offer.travelPeriod = rules.travelPeriod;
+
+  const percent = discount.percent > 0 ? discount.percent : null;
+  return {
+    schemaVersion: OFFER_RULES_SCHEMA_VERSION,
+    source: "structured",
+    minTransactionValue: rules.minTransactionValue ?? (tierMins.length ? Math.min(...tierMins) : 0),
+    discountPercent: { domestic: percent, international: percent },
+    perPassenger: discount.perPassenger === true,
+    cashback: discount.cashback === true,
+    passengers: {
+      soloOnly: rules.passengers?.soloOnly === true,
+      minPassengers: rules.passengers?.min ?? null,
+      maxPassengers: rules.passengers?.max ?? null,
+      infantsAllowed: rules.passengers?.infantsAllowed !== false
+    },
+    bookingDayRule: rules.bookingDays
+      ? { mode: rules.bookingDays.mode, days: rules.bookingDays.days, source: "rules.bookingDays" }
+      : null,
+    requiresRoundTrip: Array.isArray(rules.tripTypes) && rules.tripTypes.length === 1 && rules.tripTypes[0] === "round-trip",
+    requiresOneWayOnly: Array.isArray(rules.tripTypes) && rules.tripTypes.length === 1 && rules.tripTypes[0] === "one-way",
+    tripTypes: rules.tripTypes || null,
+    cabins: rules.cabins || null,
+    routes: rules.routes || null,
+    airlines: rules.airlines
+      ? {
+          include: (rules.airlines.include || []).map(normalizeForMatch).filter(Boolean),
+          exclude: (rules.airlines.exclude || []).map(normalizeForMatch).filter(Boolean)
+        }
+      : null
+  };
+}
+
+// The regex path, run once. Must be called before offer.compiledRules is
+// set - every reader below falls through to its text parsing only while
+// it isn't.
+function compileInferredOfferRules(offer) {
+  return {
+    schemaVersion: OFFER_RULES_SCHEMA_VERSION,
+    source: "inferred",
+    minTransactionValue: inferMinTxnFromText(offer),
+    discountPercent: {
+      domestic: parsePercentFromRawDiscount(offer, true),
+      international: parsePercentFromRawDiscount(offer, false)
+    },
+    perPassenger: offerIsPerPassenger(offer),
+    cashback: isCashbackStyleOffer(offer),
+    passengers: inferPassengerLimitsFromText(offer),
+    bookingDayRule: extractBookingDayRule(offer),
+    requiresRoundTrip: offerRequiresRoundTrip(offer),
+    requiresOneWayOnly: offerRequiresOneWayOnly(offer),
+    // Not inferable from text - the existing scope/cabin checks still run.
+    tripTypes: null,
+    cabins: null,
+    routes: null,
+    airlines: null
+  };
+}
+
+// Compiles every offer of one cache load in place. Returns load stats for
+// meta.offerRules / the log line.
+function compileOffersForCache(offers) {
+  const stats = { schemaVersion: OFFER_RULES_SCHEMA_VERSION, structured: 0, inferred: 0, invalid: 0, invalidSamples: [] };
+
+  for (const offer of offers) {
+    if (!offer || typeof offer !== "object") continue;
+    delete offer.compiledRules;
+
+    let ruleErrors = null;
+    if (offer.rules != null) {
+      ruleErrors = validateJsonSchema(OFFER_RULES_SCHEMA, offer.rules, "rules");
+      if (ruleErrors.length === 0) {
+        offer.compiledRules = compileStructuredOfferRules(offer, offer.rules);
+        offer.ruleSource = "structured";
+        offer.inferred = false;
+        stats.structured++;
+        continue;
+      }
+      stats.invalid++;
+      if (stats.invalidSamples.length < 10) {
+        stats.invalidSamples.push({ code: getOfferCodeForCabinScope(offer) || offer.title || null, errors: ruleErrors.slice(0, 5) });
+      }
+    }
+
+    offer.compiledRules = compileInferredOfferRules(offer);
+    if (ruleErrors) offer.compiledRules.ruleErrors = ruleErrors;
+    offer.ruleSource = "inferred";
+    offer.inferred = true;
+    stats.inferred++;
+  }
+
+  return stats;
+}
+
+// The counts only - invalidSamples stay in the log / debug endpoints.
+function describeOfferRuleStats(stats) {
+  if (!stats) return null;
+  const { invalidSamples, ...counts } = stats;
+  return counts;
+}
+
+function evaluatePassengerLimits(limits, passengers = 1, infants = 0) {
+  const pax = Math.max(1, Number(passengers) || 1);
+
+  if (limits.soloOnly && pax !== 1) {
+    return { ok: false, reason: "PASSENGER_COUNT_RESTRICTED_SOLO_ONLY" };
+  }
+  if (Number.isFinite(limits.minPassengers) && pax < limits.minPassengers) {
+    return { ok: false, reason: "PASSENGER_COUNT_BELOW_MINIMUM", minPassengers: limits.minPassengers };
+  }
+  if (Number.isFinite(limits.maxPassengers) && pax > limits.maxPassengers) {
+    return { ok: false, reason: "PASSENGER_COUNT_ABOVE_MAXIMUM", maxPassengers: limits.maxPassengers };
+  }
+  if (!limits.infantsAllowed && Math.max(0, Number(infants) || 0) > 0) {
+    return { ok: false, reason: "INFANT_RESTRICTION_PRESENT" };
+  }
+  return { ok: true };
+}
+
+// Restrictions only structured rules can express: trip type, cabin,
+// domestic/international, airline. null = no objection.
+// Open-jaw is first resolved per portal (resolveOfferTripTypeForPortal).
+// Multi-city is allowed when named, or when the offer lists both one-way
+// and round-trip (i.e. isn't restricted by trip type at all) - a
+// round-trip-only or one-way-only offer doesn't cover it.
+function offerRuleTripTypesAllow(tripTypes, tripType) {
+  if (tripTypes.includes(tripType)) return true;
+  return tripType === "multi-city" && tripTypes.includes("one-way") && tripTypes.includes("round-trip");
+}
+
+function offerRulesRestrictionReason(offer, { tripType, portal, cabin, isDomestic, flightAirlineName }) {
+  const rules = compiledOfferRules(offer);
+  if (!rules || rules.source !== "structured") return null;
+
+  if (rules.tripTypes && !offerRuleTripTypesAllow(rules.tripTypes, resolveOfferTripTypeForPortal(tripType, portal))) {
+    return "TRIP_TYPE_MISMATCH";
+  }
+  if (rules.cabins && !rules.cabins.includes(normalizeCabinShort(cabin))) {
+    return "CABIN_CLASS_MISMATCH";
+  }
+  if (rules.routes) {
+    if (isDomestic && rules.routes.domestic === false) return "ROUTE_SCOPE_MISMATCH";
+    if (!isDomestic && rules.routes.international === false) return "ROUTE_SCOPE_MISMATCH";
+  }
+  if (rules.airlines && flightAirlineName) {
+    // Bundles and mixed itineraries read "IndiGo + Air India" - every
+    // carrier has to pass.
+    const carriers = String(flightAirlineName).split(/\s*[+/]\s*/).map(normalizeForMatch).filter(Boolean);
+    if (rules.airlines.include.length > 0 && !carriers.every((c) => rules.airlines.include.includes(c))) {
+      return "AIRLINE_NOT_ELIGIBLE";
+    }
+    if (carriers.some((c) => rules.airlines.exclude.includes(c))) return "AIRLINE_EXCLUDED";
+  }
+  return null;
+}
+
 /**
  * ===========================
  * Inference fallback (kept)
@@ -1940,6 +4157,10 @@ function extractOfferPaymentMethods(offer) {
 
 function offerAppliesToPortal(offer, portalName) {
   const portal = String(portalName || "").toLowerCase().trim();
+  // The portal's registry name plus its aliases - offers from different
+  // scrapers spell the same portal differently.
+  const entry = portalRegistryEntry(portal);
+  const portalKeys = entry ? [entry.name.toLowerCase(), ...entry.aliases] : [portal];
 
   const src =
     offer?.sourceMetadata?.sourcePortal ??
@@ -1948,7 +4169,7 @@ function offerAppliesToPortal(offer, portalName) {
     null;
 
   if (src) {
-    return String(src).toLowerCase().trim() === portal;
+    return portalKeys.includes(String(src).toLowerCase().trim());
   }
 
   const platforms =
@@ -1959,7 +4180,7 @@ function offerAppliesToPortal(offer, portalName) {
     null;
 
   if (Array.isArray(platforms) && platforms.length > 0) {
-    return platforms.some((p) => String(p || "").toLowerCase().includes(portal));
+    return platforms.some((p) => portalKeys.some((key) => String(p || "").toLowerCase().includes(key)));
   }
 
   return false;
@@ -2204,6 +4425,9 @@ function offerCannotBeClubbed(offer) {
   );
 }
 function offerRequiresRoundTrip(offer) {
+  const rules = compiledOfferRules(offer);
+  if (rules) return rules.requiresRoundTrip;
+
   const blob = normalizeText(
     `${offer?.title || ""} ${offer?.rawDiscount || ""}`
   );
@@ -2219,6 +4443,9 @@ function offerRequiresRoundTrip(offer) {
 }
 
 function offerRequiresOneWayOnly(offer) {
+  const rules = compiledOfferRules(offer);
+  if (rules) return rules.requiresOneWayOnly;
+
   const blob = normalizeText(
     `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms?.raw || offer?.terms || ""}`
   );
@@ -2231,25 +4458,45 @@ function offerRequiresOneWayOnly(offer) {
 
   return hasOneWay && !hasRoundTrip;
 }
+
+// "This offer is not valid on multi city flights" (MakeMyTrip's standard
+// T&C line).
+function offerExcludesMultiCity(offer) {
+  const blob = normalizeText(
+    `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms?.raw || offer?.terms || ""}`
+  );
+  return /\bnot (?:valid|applicable) (?:on|for) multi ?city\b/.test(blob);
+}
+
+// The trip-type gate every pricing path shares, on an already
+// portal-resolved trip type. null = no objection.
+function offerTripTypeRestrictionReason(offer, tripType) {
+  if (tripType !== "round-trip" && offerRequiresRoundTrip(offer)) return "ROUND_TRIP_ONLY";
+  if (tripType === "multi-city") {
+    if (offerRequiresOneWayOnly(offer)) return "ONE_WAY_ONLY";
+    if (offerExcludesMultiCity(offer)) return "MULTI_CITY_EXCLUDED";
+  }
+  return null;
+}
 function getPassengerRestrictionResult(offer, passengers = 1, infants = 0) {
-  const pax = Math.max(1, Number(passengers) || 1);
+  const limits = compiledOfferRules(offer)?.passengers || inferPassengerLimitsFromText(offer);
+  return evaluatePassengerLimits(limits, passengers, infants);
+}
 
+// Text fallback for getPassengerRestrictionResult - see "Structured offer
+// rules" for when this still runs.
+function inferPassengerLimitsFromText(offer) {
   const blob = normalizeText(
     `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms?.raw || offer?.terms || ""}`
   );
 
   // Solo / single passenger only
-  if (
+  const soloOnly =
     /\bsolo traveler only\b/.test(blob) ||
     /\bsolo traveller only\b/.test(blob) ||
     /\bsingle passenger only\b/.test(blob) ||
     /\bone passenger only\b/.test(blob) ||
-    /\bonly for 1 passenger\b/.test(blob)
-  ) {
-    if (pax !== 1) {
-      return { ok: false, reason: "PASSENGER_COUNT_RESTRICTED_SOLO_ONLY" };
-    }
-  }
+    /\bonly for 1 passenger\b/.test(blob);
 
   // Minimum passenger count
   const minMatch =
@@ -2258,12 +4505,7 @@ function getPassengerRestrictionResult(offer, passengers = 1, infants = 0) {
     blob.match(/\bvalid only for (\d+)\+\s*passenger(s)?\b/) ||
     blob.match(/\bfor (\d+)\+\s*passenger(s)?\b/);
 
-  if (minMatch && minMatch[1]) {
-    const minPax = Number(minMatch[1]);
-    if (Number.isFinite(minPax) && pax < minPax) {
-      return { ok: false, reason: "PASSENGER_COUNT_BELOW_MINIMUM", minPassengers: minPax };
-    }
-  }
+  const minPassengers = minMatch && minMatch[1] ? Number(minMatch[1]) : null;
 
   // Maximum passenger count
   const maxMatch =
@@ -2271,30 +4513,19 @@ function getPassengerRestrictionResult(offer, passengers = 1, infants = 0) {
     blob.match(/\bmax(?:imum)?\s+(\d+)\s+passenger(s)?\b/) ||
     blob.match(/\bup to (\d+)\s+passenger(s)? only\b/);
 
-  if (maxMatch && maxMatch[1]) {
-    const maxPax = Number(maxMatch[1]);
-    if (Number.isFinite(maxPax) && pax > maxPax) {
-      return { ok: false, reason: "PASSENGER_COUNT_ABOVE_MAXIMUM", maxPassengers: maxPax };
-    }
-  }
+  const maxPassengers = maxMatch && maxMatch[1] ? Number(maxMatch[1]) : null;
 
   // Infant restrictions - enforced now that real infant counts exist
   // (/search only for now; /reprice-flights and /payment-suggestions don't
   // carry infants yet, so an offer excluded here can still show as
   // available after a payment-method-only reprice - known follow-up).
-  const infantCount = Math.max(0, Number(infants) || 0);
-  if (
-    infantCount > 0 &&
-    (
-      /\binfant not allowed\b/.test(blob) ||
-      /\bnot valid with infant\b/.test(blob) ||
-      /\bexcluding infant\b/.test(blob)
-    )
-  ) {
-    return { ok: false, reason: "INFANT_RESTRICTION_PRESENT" };
-  }
+  const infantsAllowed = !(
+    /\binfant not allowed\b/.test(blob) ||
+    /\bnot valid with infant\b/.test(blob) ||
+    /\bexcluding infant\b/.test(blob)
+  );
 
-  return { ok: true };
+  return { soloOnly, minPassengers, maxPassengers, infantsAllowed };
 }
 
 // Phase 3: evaluationDate lets timing-simulation code ask "would this
@@ -2416,40 +4647,10 @@ function isOfferExpired(offer, evaluationDate = new Date()) {
   return today.getTime() > expiryDay.getTime();
 }
 function inferMinTxnFromText(offer) {
-  const blob = String(
-    `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms || ""}`
-  );
-
-  // Only trust amounts when they appear near min txn language
-  const patterns = [
-    /min(?:imum)?\s*(?:txn|transaction|booking|purchase)\s*(?:amount|value)?[^₹\d]{0,30}(?:₹|rs\.?|inr)?\s*([\d,]{3,})/i,
-    /valid\s*on\s*(?:minimum)?\s*(?:transaction|booking)\s*(?:amount|value)?[^₹\d]{0,30}(?:₹|rs\.?|inr)?\s*([\d,]{3,})/i,
-    /(?:minimum|min\.)\s*(?:amount|value)\s*[:\-]?\s*(?:₹|rs\.?|inr)?\s*([\d,]{3,})/i,
-  ];
+  const rules = compiledOfferRules(offer);
+  if (rules) return rules.minTransactionValue;
 
-  // ✅ FIX #2: Flight-safe inference:
-  // If coupon appears across verticals (Flights + Hotels), don't accidentally pick hotel min amount.
-  // We only accept a match if a nearby window mentions "flight(s)" and does NOT mention "hotel(s)".
-  const lower = blob.toLowerCase();
-  for (const re of patterns) {
-    const m = re.exec(blob);
-    if (m && m[1]) {
-      const idx = m.index != null ? m.index : -1;
-      const winStart = Math.max(0, idx - 120);
-      const winEnd = Math.min(lower.length, idx + 200);
-      const windowTxt = lower.slice(winStart, winEnd);
-
-      const hasFlightNearby = /\bflight(s)?\b|\bair\s*ticket(s)?\b|\bairfare\b/.test(windowTxt);
-      const hasHotelNearby = /\bhotel(s)?\b/.test(windowTxt);
-
-      if (!hasFlightNearby || hasHotelNearby) continue;
-
-      const n = Number(String(m[1]).replace(/,/g, ""));
-      if (Number.isFinite(n) && n > 0) return n;
-    }
-  }
-
-  return 0;
+  return minTransactionFromText(offer);
 }
 
 function getMinTxnValue(offer) {
@@ -2483,68 +4684,16 @@ function getMinTxnValue(offer) {
 // --------------------
 
 function parsePercentFromRawDiscount(offer, isDomestic) {
-  const txt = String(
-    offer?.rawDiscount ||
-    offer?.parsedFields?.rawDiscount ||
-    offer?.offerSummary ||
-    offer?.rawText ||
-    ""
-  );
-
-  if (!txt) return null;
-
-  const lower = txt.toLowerCase();
-
-  // 1) Prefer explicit instant/upfront discount percentage when present
-  const instantPct =
-    lower.match(/(\d{1,2})\s*%\s*instant\s*discount/i) ||
-    lower.match(/instant\s*discount[^%]{0,40}(\d{1,2})\s*%/i) ||
-    lower.match(/(\d{1,2})\s*%\s*instant\s*off/i) ||
-    lower.match(/instant\s*off[^%]{0,40}(\d{1,2})\s*%/i) ||
-    lower.match(/\bflat\s*(\d{1,2})\s*%\s*off\b/i) ||
-    lower.match(/\b(\d{1,2})\s*%\s*off\b/i);
-
-  if (instantPct) {
-    return Number(instantPct[1]);
-  }
-
-  // 2) Mixed offers: choose the first non-cashback percentage chunk
-  const percentMatches = [...lower.matchAll(/(\d{1,2})\s*%/g)].map((m) => ({
-    pct: Number(m[1]),
-    idx: m.index ?? 0,
-  }));
-
-  if (percentMatches.length > 0) {
-    for (const m of percentMatches) {
-      const windowTxt = lower.slice(Math.max(0, m.idx - 35), Math.min(lower.length, m.idx + 55));
-
-      // skip cashback/reward/coins/wallet/statement-credit percentages
-      if (
-        /cashback/.test(windowTxt) ||
-        /reward/.test(windowTxt) ||
-        /supercoin/.test(windowTxt) ||
-        /coin/.test(windowTxt) ||
-        /wallet/.test(windowTxt) ||
-        /statement/.test(windowTxt)
-      ) {
-        continue;
-      }
-
-      // Prefer explicit discount/off context
-      if (
-        /instant/.test(windowTxt) ||
-        /discount/.test(windowTxt) ||
-        /\boff\b/.test(windowTxt)
-      ) {
-        return m.pct;
-      }
-    }
-  }
+  const rules = compiledOfferRules(offer);
+  if (rules) return rules.discountPercent[isDomestic === false ? "international" : "domestic"];
 
-  return null;
+  return discountPercentFromText(offer);
 }
 
 function offerIsPerPassenger(offer) {
+  const rules = compiledOfferRules(offer);
+  if (rules) return rules.perPassenger;
+
   const blob = normalizeText(
     `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms?.raw || offer?.terms || ""}`
   );
@@ -2559,6 +4708,9 @@ function offerIsPerPassenger(offer) {
 }
 
 function isCashbackStyleOffer(offer) {
+  const rules = compiledOfferRules(offer);
+  if (rules) return rules.cashback;
+
   const blob = normalizeText(
     `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms?.raw || offer?.terms || ""}`
   );
@@ -2622,21 +4774,8 @@ function getOfferMaxDiscountAmount(offer, passengers = 1) {
     }
   }
 
-  const blob = String(
-    `${offer?.rawDiscount || ""} ${offer?.title || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""}`
-  );
-
-  const m =
-    blob.match(/\bup to\s*(?:rs\.?|inr|₹)\s*([\d,]{3,})/i) ||
-    blob.match(/\bcapped at\s*(?:rs\.?|inr|₹)\s*([\d,]{3,})/i) ||
-    blob.match(/\bmax(?:imum)?\s*(?:discount)?\s*(?:of)?\s*(?:rs\.?|inr|₹)\s*([\d,]{3,})/i);
-
-  if (m && m[1]) {
-    const n = Number(String(m[1]).replace(/,/g, ""));
-    if (Number.isFinite(n) && n > 0) {
-      return offerIsPerPassenger(offer) ? n * pax : n;
-    }
-  }
+  const textCap = maxDiscountFromText(offer);
+  if (textCap) return offerIsPerPassenger(offer) ? textCap * pax : textCap;
 
   return null;
 }
@@ -2705,6 +4844,7 @@ function normalizeTierTripTypeValue(value = "") {
 
 function tierTripTypeMatchesRequest(tier, tripType = "one-way") {
   const requested = normalizeTierTripTypeValue(tripType);
+  const requestedMultiCity = /multi\s*city/.test(requested);
   const requestedRoundTrip = /round\s*trip|return\s*trip/.test(requested);
   const requestedOneWay = /one\s*way|1\s*way/.test(requested) || !requestedRoundTrip;
 
@@ -2720,6 +4860,12 @@ function tierTripTypeMatchesRequest(tier, tripType = "one-way") {
 
   const saysOneWay = /\bone\s*way\b|\b1\s*way\b/.test(blob);
   const saysRoundTrip = /\bround\s*trip\b|\breturn\s*trip\b/.test(blob);
+  const saysMultiCity = /\bmulti\s*city\b/.test(blob);
+
+  // Multi-city only takes a tier that names it, or one with no
+  // one-way/round-trip restriction.
+  if (requestedMultiCity) return saysMultiCity || saysOneWay === saysRoundTrip;
+  if (saysMultiCity && !saysOneWay && !saysRoundTrip) return false;
 
   // Generic tier with no trip-type language applies to both.
   if (!saysOneWay && !saysRoundTrip) return true;
@@ -3125,141 +5271,9 @@ if (/\bCENTRAL BANK\b|\bCENTRAL BANK OF INDIA\b/.test(s)) return "CENTRAL_BANK_O
   return normalizeBankCanonicalAlias(cleaned) || cleaned || null;
 }
 
-// Single source of truth for card-family/product-name canonicalization,
-// shared by the SELECTION side (normalizeSelectedPM, reading the user's own
-// cardFamily/cardVariant pick) and the OFFER side
-// (extractOfferCardFamilyRestrictions, text-mining an offer's own
-// title/rawDiscount/terms/structured eligiblePaymentMethods). These two used
-// to be independently hand-maintained lists and had already drifted - e.g.
-// "Select" (IDFC First's card tier) existed only on the selection side, so
-// an IDFC First Select-exclusive offer could never be recognized as
-// family-restricted and would incorrectly apply to any IDFC First card
-// (extractOfferCardFamilyRestrictions had no rule for it at all).
-//
-// Each rule's `terms` are ALL required (AND, any order, anywhere in the
-// blob) rather than one literal phrase - this is what fixes the
-// AMAZON_PAY_ICICI matching bug: real scraped offer titles read "ICICI
-// Bank Amazon Pay Credit Card...", not "Amazon Pay ICICI" in that order, so
-// a rule requiring that exact contiguous phrase silently failed on real
-// data (verified 2026-08-04 against a live offer title). Requiring "amazon
-// pay" and "icici" as independent terms - or just "amazon pay" alone,
-// since it's an ICICI-exclusive product in India - matches regardless of
-// word order.
-//
-// Tier names that are common English words shared across many banks' base
-// products (Platinum, Gold, Signature, Select, Wealth, Premier) are scoped
-// to also require their own bank's name in the blob, so e.g. IDFC First's
-// "Select" tier doesn't accidentally match unrelated boilerplate text, or
-// a different bank's own "Select"/"Premier" tier.
-const CARD_FAMILY_RULES = [
-  { code: "FLIPKART_AXIS", terms: [/\bflipkart\b/, /\baxis\b/] },
-  { code: "AXIS_ATLAS", terms: [/\baxis\b/, /\batlas\b/] },
-  { code: "AXIS_ACE", terms: [/\baxis\b/, /\bace\b/] },
-  { code: "AXIS_NEO", terms: [/\baxis\b/, /\bneo\b/] },
-  { code: "AXIS_REWARDS", terms: [/\baxis\b/, /\brewards\b/] },
-  { code: "AXIS_VISTARA", terms: [/\baxis\b/, /\bvistara\b/] },
-  { code: "AXIS_MAGNUS", terms: [/\baxis\b/, /\bmagnus\b/] },
-  { code: "AXIS_RESERVE", terms: [/\baxis\b/, /\breserve\b/] },
-  { code: "AXIS_SELECT", terms: [/\baxis\b/, /\bselect\b/] },
-  { code: "AXIS_MYZONE", terms: [/\baxis\b/, /\bmyzone\b/] },
-  { code: "AMAZON_PAY_ICICI", terms: [/\bamazon\s*pay\b/] },
-  { code: "MMT_ICICI", terms: [/\b(mmt|makemytrip)\b/, /\bicici\b/] },
-  { code: "TATA_NEU", terms: [/\btata\s*neu\b/] },
-  { code: "SWIGGY_HDFC", terms: [/\bswiggy\b/, /\bhdfc\b/] },
-  { code: "DINERS", terms: [/\bdiners\b/] },
-  { code: "INFINIA", terms: [/\binfinia\b/] },
-  { code: "REGALIA_GOLD", terms: [/\bregalia\b/, /\bgold\b/] },
-  { code: "REGALIA", terms: [/\bregalia\b/] },
-  { code: "MILLENNIA", terms: [/\bmillennia\b/] },
-  { code: "HDFC_MONEYBACK_PLUS", terms: [/\bhdfc\b/, /\bmoneyback\b/] },
-  { code: "HDFC_FREEDOM", terms: [/\bhdfc\b/, /\bfreedom\b/] },
-  { code: "MARRIOTT_HDFC", terms: [/\bmarriott\b/] },
-  { code: "INDIANOIL_HDFC", terms: [/\bindianoil\b/, /\bhdfc\b/] },
-  { code: "INDIGO_HDFC", terms: [/\b6e\s*rewards\b/] },
-  { code: "SBI_CASHBACK", terms: [/\bsbi\b/, /\bcashback\b/] },
-  { code: "SIMPLYCLICK", terms: [/\bsimplyclick\b/] },
-  { code: "SIMPLYSAVE", terms: [/\bsimplysave\b/] },
-  { code: "SBI_AURUM", terms: [/\bsbi\b/, /\baurum\b/] },
-  { code: "SBI_IRCTC", terms: [/\birctc\b/, /\bsbi\b/] },
-  { code: "SBI_BPCL", terms: [/\bbpcl\b/, /\bsbi\b/] },
-  { code: "CORAL", terms: [/\bcoral\b/] },
-  { code: "RUBYX", terms: [/\brubyx\b/] },
-  { code: "SAPPHIRO", terms: [/\bsapphiro\b/] },
-  { code: "EMERALDE", terms: [/\bemeralde\b/] },
-  { code: "HSBC_TRAVELONE", terms: [/\btravelone\b/] },
-  { code: "HSBC_CASHBACK", terms: [/\bhsbc\b/, /\bcashback\b/] },
-  { code: "HSBC_PREMIER", terms: [/\bhsbc\b/, /\bpremier\b/] },
-  { code: "MYNTRA_KOTAK", terms: [/\bmyntra\b/, /\bkotak\b/] },
-  { code: "KOTAK_WHITE", terms: [/\bkotak\b/, /\bwhite\b/] },
-  { code: "KOTAK_LEAGUE", terms: [/\bkotak\b/, /\bleague\b/] },
-  { code: "KOTAK_ZEN", terms: [/\bkotak\b/, /\bzen\b/] },
-  { code: "KOTAK_811", terms: [/\bkotak\b/, /\b811\b/] },
-  { code: "KOTAK_ROYALE", terms: [/\bkotak\b/, /\broyale\b/] },
-  { code: "AMEX_MEMBERSHIP_REWARDS", terms: [/\bmembership\s*rewards\b/] },
-  { code: "AMEX_SMARTEARN", terms: [/\bsmartearn\b/] },
-  { code: "AMEX_PLATINUM_TRAVEL", terms: [/\bplatinum\s*travel\b/] },
-  { code: "AMEX_PLATINUM_RESERVE", terms: [/\bplatinum\s*reserve\b/] },
-  { code: "INDUSIND_LEGEND", terms: [/\bindusind\b/, /\blegend\b/] },
-  { code: "INDUSIND_TIGER", terms: [/\bindusind\b/, /\btiger\b/] },
-  { code: "INDUSIND_PINNACLE", terms: [/\bindusind\b/, /\bpinnacle\b/] },
-  { code: "INDUSIND_AVIOS", terms: [/\bindusind\b/, /\bavios\b/] },
-  { code: "INDUSIND_EAZYDINER", terms: [/\bindusind\b/, /\beazydiner\b/] },
-  { code: "IDFC_SELECT", terms: [/\bidfc\b/, /\bselect\b/] },
-  { code: "IDFC_WEALTH", terms: [/\bidfc\b/, /\bwealth\b/] },
-  { code: "IDFC_MILLENNIA", terms: [/\bidfc\b/, /\bmillennia\b/] },
-  { code: "IDFC_MAYURA", terms: [/\bidfc\b/, /\bmayura\b/] },
-  { code: "AU_ALTURA", terms: [/\baltura\b/] },
-  { code: "AU_ZENITH", terms: [/\bzenith\b/] },
-  { code: "AU_VETTA", terms: [/\bvetta\b/] },
-  { code: "YES_PROSPERITY", terms: [/\bprosperity\b/] },
-  { code: "YES_MARQUEE", terms: [/\byes\s*bank\b/, /\bmarquee\b/] },
-  { code: "YES_FIRST_PREFERRED", terms: [/\byes\s*bank\b/, /\bfirst\s*preferred\b/] },
-  { code: "YES_PRIVATE", terms: [/\byes\s*bank\b/, /\bprivate\b/] },
-  { code: "SCAPIA_FEDERAL", terms: [/\bscapia\b/] },
-  { code: "FEDERAL_IMPERIO", terms: [/\bfederal\b/, /\bimperio\b/] },
-  { code: "FEDERAL_CELESTA", terms: [/\bfederal\b/, /\bcelesta\b/] },
-  { code: "BOB_ETERNA", terms: [/\b(bank\s*of\s*baroda|bobcard|bob)\b/, /\beterna\b/] },
-  { code: "BOB_PREMIER", terms: [/\b(bank\s*of\s*baroda|bobcard|bob)\b/, /\bpremier\b/] },
-  { code: "BOB_SELECT", terms: [/\b(bank\s*of\s*baroda|bobcard|bob)\b/, /\bselect\b/] },
-  { code: "ONECARD", terms: [/\bonecard\b/] },
-  { code: "PNB_LUXURA", terms: [/\bluxura\b/] },
-  { code: "SC_EASEMYTRIP", terms: [/\beasemytrip\b/, /\b(standard\s*chartered|stanchart|scb)\b/] },
-  { code: "BUSINESS_PLATINUM", terms: [/\bbusiness\s*platinum\b/] },
-  { code: "PLATINUM", terms: [/\bplatinum\b/] },
-  { code: "SIGNATURE", terms: [/\bsignature\b/] },
-  { code: "GOLD", terms: [/\bgold\b/] },
-];
-
-// Selection side: a user's own card can only be one family at a time, so
-// return the first matching rule. Order matters - specific/unique product
-// names are listed above the generic shared-tier fallbacks (Platinum,
-// Signature, Gold) so those never shadow a more specific match.
-function canonicalizeCardFamily(text) {
-  // Hyphens get silently dropped (not spaced) by normalizeText's punctuation
-  // strip, which would merge a hyphenated name like "MMT-ICICI" into one
-  // unmatchable token "mmticici" - replace with a space first so each half
-  // stays a separate word for the \b-bounded terms below.
-  const blob = normalizeText(String(text || "").replace(/-/g, " "));
-  if (!blob) return null;
-  for (const rule of CARD_FAMILY_RULES) {
-    if (rule.terms.every((re) => re.test(blob))) return rule.code;
-  }
-  return null;
-}
-
-// Offer side: an offer's eligibility text could in principle mention more
-// than one family (rare in practice), so collect every match rather than
-// stopping at the first.
-function canonicalizeAllCardFamilies(text) {
-  const blob = normalizeText(String(text || "").replace(/-/g, " "));
-  if (!blob) return [];
-  const codes = [];
-  for (const rule of CARD_FAMILY_RULES) {
-    if (rule.terms.every((re) => re.test(blob))) codes.push(rule.code);
-  }
-  return codes;
-}
-
+// Card-family canonicalization (CARD_FAMILY_RULES, canonicalizeCardFamily)
+// lives in services/offerTextParser.js next to the offer-side extractors,
+// so the offline parser and this selection side share one rule list.
 function normalizeSelectedPM(pm) {
   const typeRaw = String(pm?.type || "").trim();
   const t = typeRaw.toLowerCase().replace(/\s+/g, "");
@@ -3335,69 +5349,6 @@ function normalizeSelectedPM(pm) {
     isCorporate
   };
 }
-function extractAllowedEmiTenuresFromOffer(offer, pm = null) {
-  const rawSources = [
-    pm?.conditions || "",
-    pm?.raw || "",
-    offer?.title || "",
-    offer?.rawDiscount || "",
-    offer?.offerSummary || "",
-    offer?.rawText || "",
-    offer?.terms?.raw || offer?.terms || "",
-  ]
-    .map((x) => String(x || ""))
-    .join(" ");
-
-  const lowerRaw = rawSources.toLowerCase();
-  const blob = normalizeText(rawSources);
-
-  if (!/\bemi\b/.test(blob)) return [];
-
-  const found = new Set();
-
-  let m;
-
-  // Raw text patterns: "3 & 6 Months", "3 and 6 month", "3/6 months"
-  const rawPairRegex = /(\d{1,2})\s*(?:&|and|\/|\+|,)\s*(\d{1,2})\s*month(s)?/gi;
-  while ((m = rawPairRegex.exec(lowerRaw)) !== null) {
-    const a = Number(m[1]);
-    const b = Number(m[2]);
-    if (Number.isFinite(a)) found.add(a);
-    if (Number.isFinite(b)) found.add(b);
-  }
-
-  // Normalized fallback after symbols were stripped: "3 6 month"
-  const normalizedPairRegex = /(\d{1,2})\s+(\d{1,2})\s+month(s)?/gi;
-  while ((m = normalizedPairRegex.exec(blob)) !== null) {
-    const a = Number(m[1]);
-    const b = Number(m[2]);
-    if (Number.isFinite(a)) found.add(a);
-    if (Number.isFinite(b)) found.add(b);
-  }
-
-  // Range patterns: "3 to 6 months"
-  const rangeRegex = /(\d{1,2})\s*(?:to|-)\s*(\d{1,2})\s*month(s)?/gi;
-  while ((m = rangeRegex.exec(lowerRaw)) !== null) {
-    const a = Number(m[1]);
-    const b = Number(m[2]);
-    if (Number.isFinite(a) && Number.isFinite(b)) {
-      found.add(a);
-      found.add(b);
-    }
-  }
-
-  // Single patterns: "6 month EMI"
-  const singleRegex = /(\d{1,2})\s*month(s)?/gi;
-  while ((m = singleRegex.exec(lowerRaw)) !== null) {
-    const n = Number(m[1]);
-    if (Number.isFinite(n)) found.add(n);
-  }
-
-  return Array.from(found)
-    .filter((n) => n >= 2 && n <= 60)
-    .sort((a, b) => a - b);
-}
-
 function extractOfferNetworkRestrictions(offer, pm = null) {
   const blob = normalizeText(
     `${pm?.raw || ""} ${pm?.conditions || ""} ${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms?.raw || offer?.terms || ""}`
@@ -3441,22 +5392,6 @@ function extractOfferProviderRestrictions(offer, pm = null) {
   return Array.from(allowed);
 }
 
-function extractOfferCardFamilyRestrictions(offer, pm = null) {
-  // pm?.bank/pm?.cardVariant are the scraper's own structured fields when
-  // present (cleaner and more reliable than mining title/rawDiscount text) -
-  // folding them into the blob lets bank-scoped generic-tier rules (e.g.
-  // IDFC_SELECT) match even when the offer's freeform text never states
-  // the bank name right next to the tier word.
-  //
-  // Note: a bare "select cards" phrase (e.g. "Applicable to select AU Small
-  // Finance Bank credit cards") means "eligible cards", not IDFC's "Select"
-  // product - IDFC_SELECT's rule requires "idfc" in the same blob, so this
-  // kind of unrelated-bank boilerplate can't false-positive it.
-  const blob = `${pm?.bank || ""} ${pm?.cardVariant || ""} ${pm?.raw || ""} ${pm?.conditions || ""} ${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms?.raw || offer?.terms || ""}`;
-
-  return canonicalizeAllCardFamilies(blob);
-}
-
 function extractOfferCorporateRestriction(offer, pm = null) {
   const blob = normalizeText(
     `${pm?.raw || ""} ${pm?.conditions || ""} ${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms?.raw || offer?.terms || ""}`
@@ -4278,16 +6213,6 @@ function offerMatchesManualCabinScope(offer, cabin, isDomestic = true) {
 // --------------------
 // Booking day / weekday restrictions
 // --------------------
-const WEEKDAY_ALIASES = {
-  monday: "Monday", mon: "Monday",
-  tuesday: "Tuesday", tue: "Tuesday", tues: "Tuesday",
-  wednesday: "Wednesday", wed: "Wednesday",
-  thursday: "Thursday", thu: "Thursday", thur: "Thursday", thurs: "Thursday",
-  friday: "Friday", fri: "Friday",
-  saturday: "Saturday", sat: "Saturday",
-  sunday: "Sunday", sun: "Sunday"
-};
-
 // Cached for the same reason as getDateOnlyFormatter above - constructing
 // a fresh Intl.DateTimeFormat per call is expensive and this is now
 // called thousands of times per request by Phase 3's date scan.
@@ -4300,48 +6225,6 @@ function getBookingDayName(date = new Date()) {
   return BOOKING_DAY_NAME_FORMATTER.format(date);
 }
 
-function normalizeWeekdayToken(token) {
-  const key = String(token || "").trim().toLowerCase().replace(/[^a-z]/g, "");
-  return WEEKDAY_ALIASES[key] || null;
-}
-
-function extractWeekdaysFromText(text) {
-  const out = new Set();
-  const re = /\b(monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)\b/gi;
-
-  let m;
-  while ((m = re.exec(String(text || ""))) !== null) {
-    const day = normalizeWeekdayToken(m[1]);
-    if (day) out.add(day);
-  }
-
-  return Array.from(out);
-}
-
-function offerWeekdayBlob(offer) {
-  const terms =
-    typeof offer?.terms === "string"
-      ? offer.terms
-      : offer?.terms?.raw
-        ? String(offer.terms.raw)
-        : "";
-
-  return [
-    offer?.bookingDays,
-    offer?.applicableDays,
-    offer?.bookingDayRestriction,
-    offer?.validityPeriod?.raw,
-    offer?.parsedFields?.validityPeriod?.raw,
-    terms,
-    offer?.rawText,
-    offer?.title,
-    offer?.rawDiscount
-  ]
-    .flat()
-    .filter(Boolean)
-    .join(" ");
-}
-
 const BOOKING_DAY_RULE_CACHE = new WeakMap();
 
 function rememberBookingDayRule(offer, rule) {
@@ -4352,6 +6235,9 @@ function rememberBookingDayRule(offer, rule) {
 }
 
 function extractBookingDayRule(offer) {
+  const rules = compiledOfferRules(offer);
+  if (rules) return rules.bookingDayRule;
+
   if (offer && typeof offer === "object" && BOOKING_DAY_RULE_CACHE.has(offer)) {
     return BOOKING_DAY_RULE_CACHE.get(offer);
   }
@@ -4374,56 +6260,7 @@ function extractBookingDayRule(offer) {
     });
   }
 
-  const blobRaw = offerWeekdayBlob(offer);
-  const blob = String(blobRaw || "").toLowerCase().replace(/\s+/g, " ").trim();
-
-  if (!blob) return rememberBookingDayRule(offer, null);
-
-  // Explicit everyday/all-days wording means no weekday restriction.
-  // But if it also says "except Tuesday", the exception must still be enforced.
-  const hasAllDaysSignal =
-    /\bevery\s*day\b|\beveryday\b|\ball\s+days\b|\bmonday\s*(?:to|-|–|—)\s*sunday\b|\bmon\s*(?:to|-|–|—)\s*sun\b/.test(blob);
-
-  const exceptMatch = blob.match(/\bexcept\s+((?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)(?:\s*(?:,|&|and|\/)\s*(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun))*)/i);
-
-  if (exceptMatch) {
-    const days = extractWeekdaysFromText(exceptMatch[1]);
-
-    if (days.length > 0) {
-      return rememberBookingDayRule(offer, {
-        mode: "exclude",
-        days,
-        source: exceptMatch[0]
-      });
-    }
-  }
-
-  if (hasAllDaysSignal) return rememberBookingDayRule(offer, null);
-
-  // Only treat weekday mentions as restrictions when there is a strong validity/booking-day signal nearby.
-  const restrictionSignals = [
-    /\bvalid\s+(?:only\s+)?(?:on\s+)?(?:all\s+)?(?:every\s+)?(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
-    /\bvalid\s+for\s+(?:transactions|bookings)\s+made\s+(?:on\s+)?(?:all\s+)?(?:every\s+)?(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
-    /\btransactions\s+made\s+(?:every\s+|on\s+)?(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
-    /\bbookings\s+made\s+(?:every\s+|on\s+)?(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
-    /\boffer\s+(?:can\s+be\s+availed|is\s+valid)\s+(?:every\s+|on\s+)?(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
-    /\bevery\s+(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
-    /\b(?:sat|saturday)\s*(?:&|and|\/)\s*(?:sun|sunday)\s+only\b/i
-  ];
-
-  const matchedSignal = restrictionSignals.find((re) => re.test(blob));
-
-  if (!matchedSignal) return rememberBookingDayRule(offer, null);
-
-  const days = extractWeekdaysFromText(blob);
-
-  if (days.length === 0) return rememberBookingDayRule(offer, null);
-
-  return rememberBookingDayRule(offer, {
-    mode: "include",
-    days,
-    source: matchedSignal.toString()
-  });
+  return rememberBookingDayRule(offer, bookingDayRuleFromText(offer));
 }
 
 function offerMatchesBookingDay(offer, bookingDate = new Date()) {
@@ -4449,8 +6286,154 @@ function offerMatchesBookingDay(offer, bookingDate = new Date()) {
   };
 }
 
-// --------------------
-// Core evaluator
+// --------------------
+// Core evaluator
+// The non-flight-vertical gate of evaluateOfferForFlight: the offer text
+// names some other vertical (hotels, buses, visa...) and never flights.
+function offerIsNonFlightVertical(offer) {
+  const nfBlob = `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.rawText || ""} ${offer?.terms || ""}`.toLowerCase();
+  const mentionsFlight = /\bflight(s)?\b|\bair\s*ticket(s)?\b|\bairfare\b/.test(nfBlob);
+  const mentionsNonFlight = /\btourism\b|\battraction(s)?\b|\bholiday(s)?\b|\bactivity\b|\bvisa\b|\bforex\b|\bbus(es)?\b|\bcab(s)?\b|\btrain(s)?\b|\bhotel(s)?\b/.test(nfBlob);
+  return mentionsNonFlight && !mentionsFlight;
+}
+
+// Offer-only inputs to evaluateOfferForFlight's discount-structure check
+// (memoized there per offer - see the comment at its call site).
+function offerDiscountStructureFlags(offer) {
+  const rawDiscountText = String(
+    offer?.rawDiscount ||
+    offer?.parsedFields?.rawDiscount ||
+    ""
+  ).toLowerCase();
+
+  const hasTiers =
+    Array.isArray(offer?.discountTiers) && offer.discountTiers.length > 0;
+
+  const structuredFlatAmount = Number(
+    offer?.flatDiscountAmount ?? offer?.parsedFields?.flatDiscountAmount ?? 0
+  );
+
+  const structuredMaxCap = Number(
+    offer?.maxDiscountAmount ?? offer?.parsedFields?.maxDiscountAmount ?? 0
+  );
+
+  const structuredPercent = Number(
+    offer?.discountPercent ?? offer?.parsedFields?.discountPercent ?? 0
+  );
+
+  // For best-deal eligibility, only trust a percent clearly visible in the
+  // concise offer fields. Do NOT infer percent from long rawText here, because
+  // rawText can contain unrelated terms/tiers and can make cap-only "up to" offers
+  // look deterministic.
+  const conciseDiscountBlob = String(
+    `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.parsedFields?.rawDiscount || ""}`
+  ).toLowerCase();
+
+  const concisePercentMatch =
+    conciseDiscountBlob.match(/(?:flat\s*)?(\d{1,2})\s*%\s*(?:instant\s*)?(?:discount|off)/i) ||
+    conciseDiscountBlob.match(/(?:instant\s*)?(?:discount|off)[^%]{0,40}(\d{1,2})\s*%/i) ||
+    conciseDiscountBlob.match(/\b(\d{1,2})\s*%\s*off\b/i);
+
+  const parsedPercent = concisePercentMatch
+    ? Number(concisePercentMatch[1])
+    : 0;
+
+  const hasStructuredFlat =
+    Number.isFinite(structuredFlatAmount) && structuredFlatAmount > 0;
+
+  const hasStructuredCap =
+    Number.isFinite(structuredMaxCap) && structuredMaxCap > 0;
+
+  const hasStructuredPercent =
+    Number.isFinite(structuredPercent) && structuredPercent > 0;
+
+  const hasParsedPercent =
+    Number.isFinite(parsedPercent) && parsedPercent > 0;
+
+  // Important:
+  // maxDiscountAmount is only a cap. It is NOT the actual discount by itself.
+  // A direct best deal must have a computable discount source:
+  // - discount tiers, OR
+  // - flat discount, OR
+  // - structured/parsed percentage.
+  // Cap-only / "up to ₹X" offers must not become applied winners.
+  const hasComputableDiscountStructure =
+    hasTiers ||
+    hasStructuredFlat ||
+    hasStructuredPercent ||
+    hasParsedPercent;
+
+  const isTrustedCappedPercentOffer =
+    offer?.pricingEligible === true &&
+    offer?.hasDeterministicDiscount === true &&
+    (hasStructuredPercent || hasParsedPercent) &&
+    (hasStructuredCap || hasStructuredFlat);
+
+  const isCapOnlyDiscount =
+    hasStructuredCap && !hasComputableDiscountStructure;
+
+  const isUnsafeUpToOnly =
+    /\bup\s*to\b|\bupto\b/.test(rawDiscountText) &&
+    !hasComputableDiscountStructure &&
+    !isTrustedCappedPercentOffer;
+
+  return { isCapOnlyDiscount, isUnsafeUpToOnly };
+}
+
+// Offer-only inputs to evaluateOfferForFlight's deterministic-discount
+// guard before price calculation (memoized there per offer).
+function offerDirectDiscountFlags(offer) {
+  const directTiers =
+    offer?.discountTiers ||
+    offer?.parsedFields?.discountTiers ||
+    [];
+
+  const hasRealTierDiscount =
+    Array.isArray(directTiers) &&
+    directTiers.some((t) => {
+      const tierFlat = Number(t?.flatDiscountAmount || t?.discountAmount || 0);
+      const tierPct = Number(t?.discountPercent || 0);
+      return tierFlat > 0 || tierPct > 0;
+    });
+
+  const directFlat = Number(
+    offer?.flatDiscountAmount ??
+    offer?.parsedFields?.flatDiscountAmount ??
+    offer?.discountAmount ??
+    offer?.parsedFields?.discountAmount ??
+    0
+  );
+
+  const directPct = Number(
+    offer?.discountPercent ??
+    offer?.parsedFields?.discountPercent ??
+    0
+  );
+
+  const directCap = Number(
+    offer?.maxDiscountAmount ??
+    offer?.parsedFields?.maxDiscountAmount ??
+    0
+  );
+
+  const conciseDiscountText = String(
+    `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.parsedFields?.rawDiscount || ""}`
+  ).toLowerCase();
+
+  const hasVisiblePct =
+    /(?:flat\s*)?\d{1,2}\s*%\s*(?:instant\s*)?(?:discount|off)/i.test(conciseDiscountText) ||
+    /(?:instant\s*)?(?:discount|off)[^%]{0,40}\d{1,2}\s*%/i.test(conciseDiscountText) ||
+    /\b\d{1,2}\s*%\s*off\b/i.test(conciseDiscountText);
+
+  const hasComputableDiscountBeforeCalc =
+    hasRealTierDiscount ||
+    (Number.isFinite(directFlat) && directFlat > 0) ||
+    (Number.isFinite(directPct) && directPct > 0) ||
+    hasVisiblePct;
+
+  return { hasComputableDiscountBeforeCalc, directCap };
+}
+
 function evaluateOfferForFlight({
   offer,
   portal,
@@ -4460,7 +6443,7 @@ function evaluateOfferForFlight({
   isDomestic,
   cabin,
   flightAirlineName,
-  tripType,
+  tripType: requestedTripType,
   passengers,
   infants = 0,
   allOffers = [],
@@ -4473,6 +6456,7 @@ function evaluateOfferForFlight({
   evaluationBookingDate = null,
 }) {
   if (!offer) return { ok: false, reasons: ["NO_OFFER"] };
+  const tripType = resolveOfferTripTypeForPortal(requestedTripType, portal);
   // --- Fare-independent eligibility gauntlet -------------------------------
   // These checks depend only on (offer, portal, isDomestic, cabin, allOffers),
   // all constant across the flights in a single search, so re-running them per
@@ -4508,11 +6492,7 @@ function evaluateOfferForFlight({
       if (!isFlightOffer(offer)) return { ok: false, reasons: ["NOT_FLIGHT_OFFER"] };
       if (isHotelOnlyOffer(offer)) return { ok: false, reasons: ["HOTEL_ONLY_OFFER"] };
 
-      const nfBlob = `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.rawText || ""} ${offer?.terms || ""}`.toLowerCase();
-      const mentionsFlight = /\bflight(s)?\b|\bair\s*ticket(s)?\b|\bairfare\b/.test(nfBlob);
-      const mentionsNonFlight = /\btourism\b|\battraction(s)?\b|\bholiday(s)?\b|\bactivity\b|\bvisa\b|\bforex\b|\bbus(es)?\b|\bcab(s)?\b|\btrain(s)?\b|\bhotel(s)?\b/.test(nfBlob);
-
-      if (mentionsNonFlight && !mentionsFlight) {
+      if (offerIsNonFlightVertical(offer)) {
         return { ok: false, reasons: ["NON_FLIGHT_VERTICAL"] };
       }
 
@@ -4576,84 +6556,7 @@ function evaluateOfferForFlight({
   let __offerStructure = __offerStructureMemo ? __offerStructureMemo.get(offer) : undefined;
 
   if (__offerStructure === undefined) {
-    const rawDiscountText = String(
-      offer?.rawDiscount ||
-      offer?.parsedFields?.rawDiscount ||
-      ""
-    ).toLowerCase();
-
-    const hasTiers =
-      Array.isArray(offer?.discountTiers) && offer.discountTiers.length > 0;
-
-    const structuredFlatAmount = Number(
-      offer?.flatDiscountAmount ?? offer?.parsedFields?.flatDiscountAmount ?? 0
-    );
-
-    const structuredMaxCap = Number(
-      offer?.maxDiscountAmount ?? offer?.parsedFields?.maxDiscountAmount ?? 0
-    );
-
-    const structuredPercent = Number(
-      offer?.discountPercent ?? offer?.parsedFields?.discountPercent ?? 0
-    );
-
-    // For best-deal eligibility, only trust a percent clearly visible in the
-    // concise offer fields. Do NOT infer percent from long rawText here, because
-    // rawText can contain unrelated terms/tiers and can make cap-only "up to" offers
-    // look deterministic.
-    const conciseDiscountBlob = String(
-      `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.parsedFields?.rawDiscount || ""}`
-    ).toLowerCase();
-
-    const concisePercentMatch =
-      conciseDiscountBlob.match(/(?:flat\s*)?(\d{1,2})\s*%\s*(?:instant\s*)?(?:discount|off)/i) ||
-      conciseDiscountBlob.match(/(?:instant\s*)?(?:discount|off)[^%]{0,40}(\d{1,2})\s*%/i) ||
-      conciseDiscountBlob.match(/\b(\d{1,2})\s*%\s*off\b/i);
-
-    const parsedPercent = concisePercentMatch
-      ? Number(concisePercentMatch[1])
-      : 0;
-
-    const hasStructuredFlat =
-      Number.isFinite(structuredFlatAmount) && structuredFlatAmount > 0;
-
-    const hasStructuredCap =
-      Number.isFinite(structuredMaxCap) && structuredMaxCap > 0;
-
-    const hasStructuredPercent =
-      Number.isFinite(structuredPercent) && structuredPercent > 0;
-
-    const hasParsedPercent =
-      Number.isFinite(parsedPercent) && parsedPercent > 0;
-
-    // Important:
-    // maxDiscountAmount is only a cap. It is NOT the actual discount by itself.
-    // A direct best deal must have a computable discount source:
-    // - discount tiers, OR
-    // - flat discount, OR
-    // - structured/parsed percentage.
-    // Cap-only / "up to ₹X" offers must not become applied winners.
-    const hasComputableDiscountStructure =
-      hasTiers ||
-      hasStructuredFlat ||
-      hasStructuredPercent ||
-      hasParsedPercent;
-
-    const isTrustedCappedPercentOffer =
-      offer?.pricingEligible === true &&
-      offer?.hasDeterministicDiscount === true &&
-      (hasStructuredPercent || hasParsedPercent) &&
-      (hasStructuredCap || hasStructuredFlat);
-
-    const isCapOnlyDiscount =
-      hasStructuredCap && !hasComputableDiscountStructure;
-
-    const isUnsafeUpToOnly =
-      /\bup\s*to\b|\bupto\b/.test(rawDiscountText) &&
-      !hasComputableDiscountStructure &&
-      !isTrustedCappedPercentOffer;
-
-    __offerStructure = { isCapOnlyDiscount, isUnsafeUpToOnly };
+    __offerStructure = offerDiscountStructureFlags(offer);
 
     if (__offerStructureMemo) {
       __offerStructureMemo.set(offer, __offerStructure);
@@ -4674,8 +6577,13 @@ function evaluateOfferForFlight({
 
 
 
-  if (tripType === "one-way" && offerRequiresRoundTrip(offer)) {
-    return { ok: false, reasons: ["ROUND_TRIP_ONLY"] };
+  const tripTypeRestriction = offerTripTypeRestrictionReason(offer, tripType);
+  if (tripTypeRestriction) {
+    return { ok: false, reasons: [tripTypeRestriction] };
+  }
+  const rulesRestriction = offerRulesRestrictionReason(offer, { tripType, portal, cabin, isDomestic, flightAirlineName });
+  if (rulesRestriction) {
+    return { ok: false, reasons: [rulesRestriction] };
   }
   // Offer-only (minTxn) / offer+request-constant (passenger restriction,
   // since passengers/infants never change within one requestCache's
@@ -4753,55 +6661,7 @@ if (
   let __directDiscount = __directDiscountMemo ? __directDiscountMemo.get(offer) : undefined;
 
   if (__directDiscount === undefined) {
-    const directTiers =
-      offer?.discountTiers ||
-      offer?.parsedFields?.discountTiers ||
-      [];
-
-    const hasRealTierDiscount =
-      Array.isArray(directTiers) &&
-      directTiers.some((t) => {
-        const tierFlat = Number(t?.flatDiscountAmount || t?.discountAmount || 0);
-        const tierPct = Number(t?.discountPercent || 0);
-        return tierFlat > 0 || tierPct > 0;
-      });
-
-    const directFlat = Number(
-      offer?.flatDiscountAmount ??
-      offer?.parsedFields?.flatDiscountAmount ??
-      offer?.discountAmount ??
-      offer?.parsedFields?.discountAmount ??
-      0
-    );
-
-    const directPct = Number(
-      offer?.discountPercent ??
-      offer?.parsedFields?.discountPercent ??
-      0
-    );
-
-    const directCap = Number(
-      offer?.maxDiscountAmount ??
-      offer?.parsedFields?.maxDiscountAmount ??
-      0
-    );
-
-    const conciseDiscountText = String(
-      `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.parsedFields?.rawDiscount || ""}`
-    ).toLowerCase();
-
-    const hasVisiblePct =
-      /(?:flat\s*)?\d{1,2}\s*%\s*(?:instant\s*)?(?:discount|off)/i.test(conciseDiscountText) ||
-      /(?:instant\s*)?(?:discount|off)[^%]{0,40}\d{1,2}\s*%/i.test(conciseDiscountText) ||
-      /\b\d{1,2}\s*%\s*off\b/i.test(conciseDiscountText);
-
-    const hasComputableDiscountBeforeCalc =
-      hasRealTierDiscount ||
-      (Number.isFinite(directFlat) && directFlat > 0) ||
-      (Number.isFinite(directPct) && directPct > 0) ||
-      hasVisiblePct;
-
-    __directDiscount = { hasComputableDiscountBeforeCalc, directCap };
+    __directDiscount = offerDirectDiscountFlags(offer);
 
     if (__directDiscountMemo) {
       __directDiscountMemo.set(offer, __directDiscount);
@@ -5339,6 +7199,23 @@ function formatAppliedDiscountText(basePrice, finalPrice) {
   return `Applied discount: ₹${Math.round(discount)}`;
 }
 
+// What `flight` costs on `portal` before any offer. Booking direct pays
+// the carrier's own fare: FlightAPI's raw number, before
+// applyCarrierFareCorrection's OTA-side adjustment, and none of the OTA
+// portal corrections apply. Needs getPortalRegistry() and
+// getFareCalibrationTable() loaded.
+function portalBasePriceForFlight(flight, base, portal, passengers = 1) {
+  const isAirlineDirect = portalRegistryEntry(portal)?.channel === "airline_direct";
+  return isAirlineDirect
+    ? Math.round(Number(flight.carrierPriceRawFromFlightApi ?? base))
+    : applyAirIndiaNonstopPortalCorrection(
+        applyIndigoNonstopPortalCorrection(Math.round(base), flight, portal, passengers),
+        flight,
+        portal,
+        passengers
+      );
+}
+
 async function applyOffersToFlight(
   flight,
   selectedPaymentMethods,
@@ -5367,15 +7244,27 @@ async function applyOffersToFlight(
   if (pricingTiming) {
     pricingTiming.flightsPriced = (pricingTiming.flightsPriced || 0) + 1;
   }
+
+  // Convenience fees (see PORTAL_FEE_SCHEDULE_COL): without a payment
+  // offer forcing a method, the user pays with whichever selected method is
+  // cheapest to check out with on each portal.
+  const feeSchedules = await getPortalFeeSchedules();
+  await getPortalRegistry();
+  await getFareCalibrationTable();
+  const selectedPaymentBuckets = selectedPaymentBucketsOf(selectedPaymentMethods);
     
 
-    const portalPrices = OTAS.map((portal) => {
+    const portalPrices = pricingPortalNames(isDomestic, flight).map((portal) => {
+    // Open-jaw prices differently per portal (see
+    // OPEN_JAW_OFFER_TRIP_TYPE_BY_PORTAL); every other trip type is unchanged.
+    const portalTripType = resolveOfferTripTypeForPortal(tripType, portal);
+
     if (pricingTiming) {
       pricingTiming.portalRowsPriced = (pricingTiming.portalRowsPriced || 0) + 1;
     }
 
-    const portalBaseAfterIndigo = applyIndigoNonstopPortalCorrection(Math.round(base), flight, portal, passengers);
-    const portalBase = applyAirIndiaNonstopPortalCorrection(portalBaseAfterIndigo, flight, portal, passengers);
+    const isAirlineDirect = portalRegistryEntry(portal)?.channel === "airline_direct";
+    const portalBase = portalBasePriceForFlight(flight, base, portal, passengers);
 
     // FlightAPI/search result price is already the booking-level price for the requested passenger count.
     // Do not multiply by passengers again for min-transaction eligibility, or high-minimum offers
@@ -5395,7 +7284,7 @@ async function applyOffersToFlight(
     portal,
     isDomestic,
     cabin,
-    tripType,
+    tripType: portalTripType,
     passengers,
     evaluationBookingDate: evaluationBookingDate ? evaluationBookingDate.toISOString().slice(0, 10) : null
   });
@@ -5435,7 +7324,7 @@ async function applyOffersToFlight(
 
         if (!isDeterministicPortalPricingOffer(offer) && !isValidBestOffer(offer)) return false;
 
-        if (tripType === "one-way" && offerRequiresRoundTrip(offer)) return false;
+        if (offerTripTypeRestrictionReason(offer, portalTripType)) return false;
 
         const passengerRestriction = getPassengerRestrictionResult(offer, passengers, infants);
         if (!passengerRestriction.ok) return false;
@@ -5534,7 +7423,7 @@ for (const offer of offersToEvaluate) {
     isDomestic,
     cabin,
     flightAirlineName: flight.airlineName,
-    tripType,
+    tripType: portalTripType,
     passengers,
     infants,
     allOffers: offers,
@@ -5549,9 +7438,21 @@ for (const offer of offersToEvaluate) {
 
   if (!ev.ok) continue;
 
+  const fee = offerConvenienceFee(feeSchedules, {
+    offer,
+    offerKind: ev.offerKind,
+    portal,
+    selectedPaymentMethods,
+    selectedPaymentBuckets,
+    isDomestic,
+    passengers
+  });
+
   matchingCandidates.push({
         offer,
         finalPrice: ev.discounted,
+        fee,
+        checkoutPrice: ev.discounted + (fee?.feeAmount || 0),
         offerKind: ev.offerKind,
         offerTypeLabel: ev.offerTypeLabel,
         channelLabel: ev.channelLabel,
@@ -5564,7 +7465,9 @@ for (const offer of offersToEvaluate) {
     }
 
        matchingCandidates.sort((a, b) => {
-      if (a.finalPrice !== b.finalPrice) return a.finalPrice - b.finalPrice;
+      // Fee-inclusive: a bigger card discount can lose to a smaller one
+      // paid by UPI once the portal's card fee is added back.
+      if (a.checkoutPrice !== b.checkoutPrice) return a.checkoutPrice - b.checkoutPrice;
 
       const aRank =
         a.offerKind === "payment" ? 0 :
@@ -5699,7 +7602,7 @@ const bestDeal = best
       genericDisplayContext,
       portal,
       isDomestic,
-      tripType,
+      tripType: portalTripType,
       portalBase,
       passengers
     });
@@ -5720,10 +7623,28 @@ const otherMatchedOffersClean = otherMatchedOffers.filter((row) => {
   return id !== bestOfferId;
 });
 
+const portalFee = best
+  ? best.fee
+  : resolvePortalConvenienceFee(feeSchedules, {
+      portal,
+      paymentBuckets: selectedPaymentBuckets,
+      isDomestic,
+      passengers
+    });
+const feeAmount = portalFee?.feeAmount || 0;
+const priceBeforeFees = bestDeal ? bestDeal.finalPrice : portalBase;
+
 return {
   portal,
+  bookingChannel: isAirlineDirect ? "airline_direct" : "ota",
+  bookingChannelLabel: isAirlineDirect ? `Book direct on ${portal}` : null,
   basePrice: portalBase,
-  finalPrice: bestDeal ? bestDeal.finalPrice : portalBase,
+  // Fee-inclusive checkout total - what bestDeal selection compares.
+  // actualDiscount stays the offer's own discount off basePrice.
+  finalPrice: priceBeforeFees + feeAmount,
+  priceBeforeFees,
+  feeAmount,
+  convenienceFee: portalFee,
   applied: !!bestDeal,
   code: bestDeal?.code || null,
   title: bestDeal?.title || null,
@@ -5863,7 +7784,7 @@ return {
   });
 
   // On an exact price tie, `<` alone would silently pick whichever portal
-  // happens to come first in OTAS (an arbitrary, unrelated ordering) -
+  // happens to come first in the portal registry (an unrelated ordering) -
   // break ties alphabetically instead, so the winner is deterministic and
   // explainable rather than a coincidence of array position.
   const minFinalPrice = portalPrices.reduce(
@@ -5886,14 +7807,39 @@ return {
         .map((p) => p.portal)
     : [];
 
+  // Going direct vs the best any OTA can do (offers and fees included) -
+  // only when this flight got a direct row at all.
+  const directRow = portalPrices.find((p) => p.bookingChannel === "airline_direct") || null;
+  const bestOtaRow = portalPrices
+    .filter((p) => p.bookingChannel !== "airline_direct")
+    .reduce((min, p) => (!min || p.finalPrice < min.finalPrice ? p : min), null);
+  const airlineDirect = directRow
+    ? {
+        portal: directRow.portal,
+        finalPrice: directRow.finalPrice,
+        applied: directRow.applied,
+        code: directRow.code,
+        bestOtaPortal: bestOtaRow?.portal || null,
+        bestOtaFinalPrice: bestOtaRow?.finalPrice ?? null,
+        beatsEveryOta: !bestOtaRow || directRow.finalPrice < bestOtaRow.finalPrice,
+        savingVsBestOta: bestOtaRow ? Math.max(0, bestOtaRow.finalPrice - directRow.finalPrice) : null
+      }
+    : null;
+
   return {
     ...flight,
     portalPrices,
+    airlineDirect,
     bestDeal: bestAppliedPortal
       ? {
           portal: bestAppliedPortal.portal,
+          bookingChannel: bestAppliedPortal.bookingChannel,
+          bookingChannelLabel: bestAppliedPortal.bookingChannelLabel,
           finalPrice: bestAppliedPortal.finalPrice,
           basePrice: bestAppliedPortal.basePrice,
+          priceBeforeFees: bestAppliedPortal.priceBeforeFees,
+          feeAmount: bestAppliedPortal.feeAmount,
+          convenienceFee: bestAppliedPortal.convenienceFee || null,
           applied: true,
           code: bestAppliedPortal.code,
           title: bestAppliedPortal.title,
@@ -5914,7 +7860,9 @@ return {
           genericCandidateId: bestAppliedPortal.genericCandidateId || null,
           genericCandidateStatus: bestAppliedPortal.genericCandidateStatus || null,
           genericPricingReadiness: bestAppliedPortal.genericPricingReadiness || null,
-          explain: `Best price is on ${bestAppliedPortal.portal} because ${bestAppliedPortal.code || "an offer"} reduced ₹${bestAppliedPortal.basePrice} → ₹${bestAppliedPortal.finalPrice}`,
+          explain: bestAppliedPortal.feeAmount > 0
+            ? `Best price is on ${bestAppliedPortal.portal} because ${bestAppliedPortal.code || "an offer"} reduced ₹${bestAppliedPortal.basePrice} → ₹${bestAppliedPortal.priceBeforeFees}, ₹${bestAppliedPortal.finalPrice} with the ₹${bestAppliedPortal.feeAmount} convenience fee`
+            : `Best price is on ${bestAppliedPortal.portal} because ${bestAppliedPortal.code || "an offer"} reduced ₹${bestAppliedPortal.basePrice} → ₹${bestAppliedPortal.finalPrice}`,
           tiedWithPortals: tiedWithPortals.length > 0 ? tiedWithPortals : null,
         }
       : null,
@@ -6143,24 +8091,581 @@ async function computePaymentOptionsFromOffers(preloadedOffers = null) {
     Wallet: buildSummaries("Wallet"),
   };
 
-  return { usedFallback: false, options, offerCounts, offerSummaries };
-}
+  return { usedFallback: false, options, offerCounts, offerSummaries };
+}
+
+// --------------------
+// ✅ RESTORED: /payment-options
+// --------------------
+app.get("/payment-options", async (req, res) => {
+  try {
+    const out = await computePaymentOptionsFromOffers();
+    res.json(out);
+  } catch (e) {
+    res.status(500).json({ usedFallback: false, error: e?.message || "Failed to load payment options" });
+  }
+});
+
+// --------------------
+// /debug/provider-health: breaker state + remaining call budget
+// --------------------
+app.get("/debug/provider-health", async (req, res) => {
+  if (!requireDebugEnabled(req, res)) return;
+
+  try {
+    const activeIds = new Set(getActiveFlightProviders().map((p) => p.id));
+    const providers = {};
+
+    for (const provider of Object.values(FLIGHT_PROVIDER_REGISTRY)) {
+      if (provider.budget) await ensureProviderCallBudgetLoaded(provider.budget);
+      const breaker = provider.breaker;
+      providers[provider.id] = {
+        label: provider.label,
+        enabled: provider.isEnabled(),
+        active: activeIds.has(provider.id),
+        breaker: {
+          state: breaker.state,
+          consecutiveFailures: breaker.consecutiveFailures,
+          failureThreshold: breaker.failureThreshold,
+          timesOpened: breaker.timesOpened,
+          openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+          halfOpensInMs: breaker.state === "open" ? Math.max(0, breaker.openMs - (Date.now() - breaker.openedAt)) : null,
+          lastFailure: breaker.lastFailure
+        },
+        budget: describeProviderCallBudget(provider.budget),
+        slots: {
+          maxConcurrency: provider.slotPool.maxConcurrency,
+          inFlight: provider.slotPool.inFlight,
+          queued: provider.slotPool.waitQueue.length,
+          queuedLowPriority: provider.slotPool.lowPriorityQueue.length
+        },
+        memoryCacheEntries: provider.cache.memory.size
+      };
+    }
+
+    return res.json({ checkedAt: new Date().toISOString(), providers });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || "provider-health failed" });
+  }
+});
+
+// Import observed checkout prices for fare-correction calibration:
+// { observations: [...] } or { csv: "<header>\n<rows>" }. All-or-nothing
+// per call - one bad row rejects the batch with its line number, so a
+// half-imported audit can't skew a median.
+app.post("/debug/fare-observations", async (req, res) => {
+  if (!requireDebugEnabled(req, res)) return;
+
+  try {
+    const body = req.body || {};
+    const rows = typeof body.csv === "string"
+      ? parseFareObservationsCsv(body.csv)
+      : (Array.isArray(body.observations) ? body.observations : []);
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: "Provide observations[] or a csv string with a header row" });
+    }
+
+    const observations = [];
+    const errors = [];
+    rows.forEach((row, i) => {
+      const result = normalizeFareObservation(row);
+      if (result.error) errors.push({ row: i + 1, error: result.error });
+      else observations.push(result.observation);
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid observations - nothing imported", errors: errors.slice(0, 50) });
+    }
+
+    await getOffersCollection();
+    await _mongoClient.db(MONGODB_DB).collection(FARE_CALIBRATION_COL).insertMany(observations);
+    await getFareCalibrationTable({ force: true });
+
+    return res.json({ imported: observations.length, collection: FARE_CALIBRATION_COL });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || "fare-observations import failed" });
+  }
+});
+
+// The calibrated table next to the constants it replaces - inEffect rows
+// are the ones pricing is reading right now.
+app.get("/debug/fare-calibration", async (req, res) => {
+  if (!requireDebugEnabled(req, res)) return;
+
+  try {
+    const table = (await getFareCalibrationTable()) || new Map();
+    return res.json({
+      checkedAt: new Date().toISOString(),
+      loadedAt: fareCalibrationLoadedAt ? new Date(fareCalibrationLoadedAt).toISOString() : null,
+      config: FARE_CALIBRATION_CONFIG,
+      segments: [...table.entries()]
+        .map(([segment, row]) => ({ segment, ...row, inEffect: row.samples >= FARE_CALIBRATION_CONFIG.minSamples }))
+        .sort((a, b) => a.segment.localeCompare(b.segment)),
+      constants: {
+        carrier: CARRIER_FARE_CORRECTIONS_INR,
+        indigoNonstopPortal: INDIGO_NONSTOP_PORTAL_CORRECTIONS_INR,
+        airIndiaNonstopPortal: AIRINDIA_NONSTOP_PORTAL_CORRECTIONS_INR
+      }
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || "fare-calibration failed" });
+  }
+});
+
+// What's actually being priced right now - built-ins merged with
+// PORTAL_REGISTRY_COL overrides.
+app.get("/debug/portal-registry", async (req, res) => {
+  if (!requireDebugEnabled(req, res)) return;
+
+  try {
+    const meta = {};
+    const portals = await getPortalRegistry(meta);
+    return res.json({
+      checkedAt: new Date().toISOString(),
+      collection: PORTAL_REGISTRY_COL,
+      cache: meta.portalRegistry,
+      pricingDomestic: pricingPortalNames(true),
+      pricingInternational: pricingPortalNames(false),
+      airlineDirectChannels: portals.filter((p) => p.enabled && p.channel === "airline_direct").map((p) => p.name),
+      portals
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || "portal-registry failed" });
+  }
+});
+
+// --------------------
+// ✅ RESTORED: /debug/why-not-applied
+// --------------------
+// Structured-rule validation results for the current offers cache load -
+// the invalid samples getOffersForSearch only logs - plus the schema
+// itself, for whoever is writing `rules` into offer docs.
+app.get("/debug/offer-rules", async (req, res) => {
+  if (!requireDebugEnabled(req, res)) return;
+
+  try {
+    const meta = {};
+    const offers = await getOffersForSearch(meta);
+    const inferredSample = offers
+      .filter((o) => o?.inferred)
+      .slice(0, 20)
+      .map((o) => ({ code: getOfferCodeForCabinScope(o) || null, title: o.title || null, ruleErrors: o.compiledRules?.ruleErrors || null }));
+
+    return res.json({
+      offersCache: meta.offersCache,
+      stats: offersCacheRuleStats,
+      inferredSample,
+      schema: OFFER_RULES_SCHEMA
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || "Offer rules debug failed" });
+  }
+});
+
+// Versions from "Offer change history", newest first. Filter by coupon
+// code and/or portal over [from, to]; snapshots are left out unless
+// includeSnapshot=true since they're whole offer docs.
+app.get("/debug/offer-history", async (req, res) => {
+  if (!requireDebugEnabled(req, res)) return;
+
+  try {
+    const cfg = OFFER_HISTORY_CONFIG;
+    const query = {};
+    const code = String(req.query.code || "").trim().toUpperCase();
+    const portal = String(req.query.portal || "").trim();
+    if (code) query.couponCode = code;
+    if (portal) query.portal = portal;
+    if (req.query.collection) query.collection = String(req.query.collection);
+
+    const from = req.query.from ? new Date(String(req.query.from)) : null;
+    const to = req.query.to ? new Date(String(req.query.to)) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ error: "from/to must be ISO dates" });
+    }
+    if (from || to) {
+      query.changedAt = {};
+      if (from) query.changedAt.$gte = from;
+      if (to) query.changedAt.$lte = to;
+    }
+
+    const limit = clampInt(req.query.limit, cfg.defaultListLimit, 1, cfg.maxListLimit);
+    const includeSnapshot = String(req.query.includeSnapshot || "").toLowerCase() === "true";
+
+    const historyCol = await getOfferHistoryCollection();
+    const versions = await historyCol.find(query).sort({ changedAt: -1 }).limit(limit).toArray();
+
+    return res.json({
+      query: { code: code || null, portal: portal || null, collection: query.collection || null, from, to, limit },
+      tracking: { enabled: cfg.enabled, collections: cfg.trackedCollections, ...offerHistoryStatus },
+      count: versions.length,
+      versions: versions.map(({ _id, snapshot, ...v }) => ({
+        ...v,
+        changedFields: (v.changes || []).map((c) => c.path),
+        ...(includeSnapshot ? { snapshot } : {})
+      }))
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || "Offer history debug failed" });
+  }
+});
+
+// Same body as /reprice-flights plus `asOf` (ISO timestamp): prices the
+// flights through applyOffersToFlight twice - against the live offers and
+// against the offers collection as it stood at asOf - so "why did this
+// price change" can be answered by the per-flight delta and the
+// offer-history entries in between. The as-of run also evaluates
+// validity/booking-day rules at asOf, not today.
+app.post("/debug/price-as-of", async (req, res) => {
+  if (!requireDebugEnabled(req, res)) return;
+
+  const asOf = new Date(String(req.body?.asOf || ""));
+  if (isNaN(asOf)) return res.status(400).json({ error: "asOf must be an ISO timestamp" });
+
+  const v = resolvePaymentRepriceRequest(req.body, PAYMENT_RECOMMENDATION_CONFIG);
+  if (!v.ok) return res.status(v.status || 400).json({ error: v.errors.join("; ") });
+
+  try {
+    const flights = [...v.outboundFlights, ...v.returnFlights];
+    const current = await buildPaymentRepriceContext(v);
+    const historical = await loadOffersAsOf(asOf);
+
+    const asOfCtx = {
+      ...current.ctx,
+      offers: historical.offers,
+      requestCache: Object.fromEntries(
+        Object.entries(current.ctx.requestCache).map(([k, val]) => [k, val instanceof Map ? new Map() : val])
+      ),
+      evaluationBookingDate: asOf
+    };
+    const asOfPaymentMethods = expandEmiPaymentMethods(v.selectedPaymentMethods, historical.offers);
+
+    const currentRows = await repriceFlightsForPaymentMethods(flights, current.selectedPaymentMethods, current.ctx);
+    const asOfRows = await repriceFlightsForPaymentMethods(flights, asOfPaymentMethods, asOfCtx);
+
+    const slimDeal = (bd) => bd?.applied
+      ? { portal: bd.portal, code: bd.code, finalPrice: bd.finalPrice, actualDiscount: bd.actualDiscount }
+      : null;
+
+    const rows = flights.map((f, i) => {
+      const now = finalPriceFromRepriced(currentRows[i], f);
+      const then = finalPriceFromRepriced(asOfRows[i], f);
+      return {
+        flightId: f.flightId || null,
+        basePrice: Number(f.price) || 0,
+        current: { finalPrice: now, bestDeal: slimDeal(currentRows[i].bestDeal) },
+        asOf: { finalPrice: then, bestDeal: slimDeal(asOfRows[i].bestDeal) },
+        delta: now - then
+      };
+    });
+
+    return res.json({
+      asOf: asOf.toISOString(),
+      history: {
+        trackedSince: historical.trackedSince,
+        // Earlier than the first recorded version there's nothing to
+        // replay - the as-of side would just be "no offers".
+        covered: Boolean(historical.trackedSince && asOf >= new Date(historical.trackedSince)),
+        offersAsOf: historical.offers.length,
+        offersNow: current.ctx.offers.length,
+        offerRules: describeOfferRuleStats(historical.ruleStats)
+      },
+      changed: rows.filter((r) => r.delta !== 0).length,
+      flights: rows
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || "As-of pricing failed" });
+  }
+});
+
+// --------------------
+// Offer authoring simulator
+// --------------------
+// Checking a new or edited offer doc used to mean inserting it into Mongo
+// and reading /debug/why-not-applied. This takes the raw doc, one
+// hypothetical flight and the payment selection, and runs the same
+// evaluateOfferForFlight -> computeDiscountedPrice path /search does for
+// one portal row - in isolation: no cache, no other offers, nothing
+// written.
+//
+// evaluateOfferForFlight stops at the first failed gate, so `checks`
+// re-runs every gate on its own (same predicates, same order, same reason
+// codes) to show everything an author still has to fix in one go;
+// `verdict` is evaluateOfferForFlight's own answer and stays the
+// authority - its reason is always the first failed check.
+function simulateOfferEligibilityChecks(offer, s) {
+  const checks = [];
+  const check = (name, passed, reason, detail) => {
+    checks.push({ check: name, passed: !!passed, reason: passed ? null : reason, ...(detail ? { detail } : {}) });
+  };
+
+  check("trustedPricingRule", isTrustedPricingRule(offer), "NOT_TRUSTED_PRICING_RULE");
+  check("flightOffer", isFlightOffer(offer), "NOT_FLIGHT_OFFER");
+  check("notHotelOnly", !isHotelOnlyOffer(offer), "HOTEL_ONLY_OFFER");
+  check("flightVertical", !offerIsNonFlightVertical(offer), "NON_FLIGHT_VERTICAL");
+  check("notFirstTimeUser", !isFirstTimeOrNewUserOffer(offer), "FIRST_TIME_OR_NEW_USER");
+  check("notExpired", !isOfferExpired(offer, s.bookingDate || undefined), "EXPIRED", {
+    validityPeriod: offer.validityPeriod ?? offer.parsedFields?.validityPeriod ?? null
+  });
+
+  const bookingDay = offerMatchesBookingDay(offer, s.bookingDate || undefined);
+  check("bookingDay", bookingDay.ok, "BOOKING_DAY_MISMATCH", {
+    bookingDay: bookingDay.bookingDay,
+    allowedBookingDays: bookingDay.rule?.days || null
+  });
+
+  check("portal", offerAppliesToPortal(offer, s.portal), "PORTAL_MISMATCH", { portal: s.portal });
+  check("tripScope", offerScopeMatchesTrip(offer, s.isDomestic, s.cabin), "SCOPE_MISMATCH", {
+    isDomestic: s.isDomestic,
+    cabin: s.cabin
+  });
+  check("notSuspiciousGeneric", !isSuspiciousGenericOffer(offer, [offer]), "SUSPICIOUS_GENERIC_VARIANT");
+  check("validBestOffer", isDeterministicPortalPricingOffer(offer) || isValidBestOffer(offer), "NOT_VALID_BEST_OFFER");
+
+  const structure = offerDiscountStructureFlags(offer);
+  check("notCapOnly", !structure.isCapOnlyDiscount, "CAP_ONLY_NOT_DETERMINISTIC");
+  check("notUnsafeUpTo", !structure.isUnsafeUpToOnly, "UNSAFE_UPTO_OFFER");
+  check("notCashback", !isCashbackStyleOffer(offer), "CASHBACK_NOT_UPFRONT_PRICE");
+  const tripTypeRestriction = offerTripTypeRestrictionReason(offer, s.tripType);
+  check("tripType", !tripTypeRestriction, tripTypeRestriction, { tripType: s.tripType });
+
+  const rulesRestriction = offerRulesRestrictionReason(offer, {
+    tripType: s.tripType,
+    portal: s.portal,
+    cabin: s.cabin,
+    isDomestic: s.isDomestic,
+    flightAirlineName: s.flight.airlineName
+  });
+  check("structuredRules", !rulesRestriction, rulesRestriction, { ruleSource: offer.ruleSource || null });
+
+  const passengerRestriction = getPassengerRestrictionResult(offer, s.passengers, s.infants);
+  check("passengerCount", passengerRestriction.ok, passengerRestriction.reason || "PASSENGER_COUNT_RESTRICTED", {
+    passengers: s.passengers,
+    infants: s.infants
+  });
+
+  const kindInfo = getOfferKindForFlight(offer, s.selectedPaymentMethods, s.flight.airlineName);
+  check("paymentOrKind", !!kindInfo.kind, kindInfo.reason || "NOT_ELIGIBLE", {
+    offerKind: kindInfo.kind || null,
+    offerPaymentMethods: extractOfferPaymentMethods(offer) || []
+  });
+
+  const manualCabinScope = offerMatchesManualCabinScope(offer, s.cabin, s.isDomestic);
+  check("manualCabinScope", manualCabinScope.ok, manualCabinScope.reason || "CABIN_CLASS_MISMATCH");
+
+  const minTxn = getMinTxnValue(offer);
+  const isPerPax = offerIsPerPassenger(offer);
+  const minTxnAmount = isPerPax ? s.eligibilityAmount / s.passengers : s.eligibilityAmount;
+  check(
+    "minTransaction",
+    !(Number.isFinite(minTxn) && minTxn > 0) || minTxnAmount >= minTxn,
+    isPerPax ? "MIN_TXN_NOT_MET_PER_PAX" : "MIN_TXN_NOT_MET",
+    { minTxn: minTxn || 0, amount: Math.round(minTxnAmount), perPassenger: isPerPax }
+  );
+
+  const direct = offerDirectDiscountFlags(offer);
+  check(
+    "computableDiscount",
+    !(Number.isFinite(direct.directCap) && direct.directCap > 0 && !direct.hasComputableDiscountBeforeCalc),
+    "CAP_ONLY_NOT_DETERMINISTIC"
+  );
+
+  const discounted = computeDiscountedPrice(offer, s.baseAmount, s.isDomestic, s.passengers, s.selectedPaymentMethods, s.eligibilityAmount, s.tripType);
+  check("discountComputable", Number.isFinite(discounted), "DISCOUNT_NOT_COMPUTABLE");
+  check("improvesPrice", Number.isFinite(discounted) && discounted < s.baseAmount, "NO_IMPROVEMENT");
+
+  return checks;
+}
+
+// Which cap computeDiscountedPrice's branch for this offer honours, and
+// whether the discount ran into it - mirrors its branch order (tier first,
+// then percent, then flat).
+function simulatedOfferCap(offer, tier, maxCap, discount, passengers) {
+  if (tier) {
+    const tierFlat = Number(tier.flatDiscountAmount || tier.discountAmount || 0);
+    const tierCap = Number(tier.maxDiscountAmount || 0);
+    if (tierFlat > 0 || !(tierCap > 0)) return { source: null, amount: null, reached: false };
+    return { source: "tier", amount: tierCap, reached: discount > 0 && discount >= tierCap };
+  }
+  if (!(Number.isFinite(maxCap) && maxCap > 0)) return { source: null, amount: null, reached: false };
+
+  const perPassenger = offerIsPerPassenger(offer);
+  const hasPercent = Number(offer?.discountPercent) > 0 || parsePercentFromRawDiscount(offer) != null;
+  // Per-passenger flat amounts are never capped; per-passenger percents
+  // cap each passenger's share.
+  if (perPassenger && !hasPercent) return { source: null, amount: null, reached: false };
+  const limit = perPassenger ? maxCap * Math.max(1, Number(passengers) || 1) : maxCap;
+  return { source: "offer", amount: maxCap, reached: discount > 0 && discount >= limit };
+}
+
+// Body:
+//   offer           the raw offer doc, exactly as it would sit in Mongo
+//   flight          { airlineName, stops, price, from, to, cabin|travelClass,
+//                     tripType, passengers, infants }
+//   paymentMethods  same shape as /search's (alias selectedPaymentMethods)
+//   portal          optional - defaults to the offer's own sourcePortal
+//   bookingDate     optional ISO date to evaluate validity/booking days at
+app.post("/debug/simulate-offer", async (req, res) => {
+  if (!requireDebugEnabled(req, res)) return;
+
+  const body = req.body || {};
+  const errors = [];
+  const rawOffer = body.offer;
+  const rawFlight = body.flight || {};
+  if (!rawOffer || typeof rawOffer !== "object" || Array.isArray(rawOffer)) errors.push("offer must be an object");
+
+  const price = Number(rawFlight.price);
+  if (!Number.isFinite(price) || price <= 0) errors.push("flight.price must be a positive number");
+  const from = String(rawFlight.from || "").trim().toUpperCase();
+  const to = String(rawFlight.to || "").trim().toUpperCase();
+  if (!from || !to) errors.push("flight.from and flight.to are required");
+  const stops = Math.floor(Number(rawFlight.stops ?? 0));
+  if (!Number.isFinite(stops) || stops < 0) errors.push("flight.stops must be a non-negative integer");
+
+  const paymentMethodsRaw = body.paymentMethods ?? body.selectedPaymentMethods ?? [];
+  if (!Array.isArray(paymentMethodsRaw)) errors.push("paymentMethods must be an array");
+
+  const bookingDate = body.bookingDate ? new Date(String(body.bookingDate)) : null;
+  if (bookingDate && isNaN(bookingDate)) errors.push("bookingDate must be an ISO date");
+
+  if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+
+  try {
+    // A private copy, compiled like a cache load so structured `rules`
+    // behave exactly as they would once inserted.
+    const offer = JSON.parse(JSON.stringify(rawOffer));
+    const ruleStats = compileOffersForCache([offer]);
+
+    const portal = String(body.portal || offer.sourceMetadata?.sourcePortal || offer.sourcePortal || "").trim();
+    if (!portal) return res.status(400).json({ error: "portal is required when the offer has no sourcePortal" });
+
+    await getPortalRegistry();
+    await getFareCalibrationTable();
+    const feeSchedules = await getPortalFeeSchedules();
+
+    const flight = {
+      airlineName: String(rawFlight.airlineName || rawFlight.airline || "").trim(),
+      stops,
+      price
+    };
+    const passengers = Math.max(1, Math.floor(Number(rawFlight.passengers ?? body.passengers ?? 1)) || 1);
+    const infants = Math.max(0, Math.floor(Number(rawFlight.infants ?? 0)) || 0);
+    const cabin = normalizeCabin(rawFlight.cabin || rawFlight.travelClass || "Economy");
+    const isDomestic = isDomesticRoute(from, to);
+    const tripType = resolveOfferTripTypeForPortal(
+      ["round-trip", "open-jaw", "multi-city"].includes(rawFlight.tripType) ? rawFlight.tripType : "one-way",
+      portal
+    );
+    const selectedPaymentMethods = expandEmiPaymentMethods(paymentMethodsRaw, [offer]);
+
+    const baseAmount = portalBasePriceForFlight(flight, price, portal, passengers);
+    const eligibilityAmount = baseAmount;
+
+    const verdict = evaluateOfferForFlight({
+      offer,
+      portal,
+      baseAmount,
+      eligibilityAmount,
+      selectedPaymentMethods,
+      isDomestic,
+      cabin,
+      flightAirlineName: flight.airlineName,
+      tripType,
+      passengers,
+      infants,
+      allOffers: [offer],
+      requestCache: null,
+      evaluationBookingDate: bookingDate
+    });
+
+    const checks = simulateOfferEligibilityChecks(offer, {
+      flight,
+      portal,
+      baseAmount,
+      eligibilityAmount,
+      selectedPaymentMethods,
+      isDomestic,
+      cabin,
+      tripType,
+      passengers,
+      infants,
+      bookingDate
+    });
+
+    // The checks are a second copy of evaluateOfferForFlight's gates - if
+    // they ever stop agreeing on the first failure, say so rather than
+    // explain the verdict with the wrong reason.
+    const firstFailedCheck = checks.find((c) => !c.passed)?.reason || null;
+    const verdictReason = verdict.ok ? null : verdict.reasons?.[0] || null;
+    if (firstFailedCheck !== verdictReason) {
+      console.error("[SkyDeal] simulate-offer checks out of sync with evaluateOfferForFlight", { verdictReason, firstFailedCheck });
+      return res.status(500).json({
+        error: "Offer simulation checks disagree with the pricing engine's verdict",
+        verdictReason,
+        firstFailedCheck
+      });
+    }
+
+    // Same fee applyOffersToFlight adds to the row, so finalPrice matches
+    // what /search would show for this offer.
+    const selectedPaymentBuckets = selectedPaymentBucketsOf(selectedPaymentMethods);
+    const fee = verdict.ok
+      ? offerConvenienceFee(feeSchedules, {
+          offer,
+          offerKind: verdict.offerKind,
+          portal,
+          selectedPaymentMethods,
+          selectedPaymentBuckets,
+          isDomestic,
+          passengers
+        })
+      : resolvePortalConvenienceFee(feeSchedules, { portal, paymentBuckets: selectedPaymentBuckets, isDomestic, passengers });
+    const priceBeforeFees = verdict.ok ? verdict.discounted : baseAmount;
+    const feeAmount = fee?.feeAmount || 0;
 
-// --------------------
-// ✅ RESTORED: /payment-options
-// --------------------
-app.get("/payment-options", async (req, res) => {
-  try {
-    const out = await computePaymentOptionsFromOffers();
-    res.json(out);
+    const tier = pickApplicableDiscountTier(offer, eligibilityAmount, selectedPaymentMethods, isDomestic, tripType, passengers);
+    const maxCap = getOfferMaxDiscountAmount(offer, passengers);
+    const discounted = computeDiscountedPrice(offer, baseAmount, isDomestic, passengers, selectedPaymentMethods, eligibilityAmount, tripType);
+    const discount = Number.isFinite(discounted) ? Math.max(0, baseAmount - discounted) : 0;
+
+    return res.json({
+      portal,
+      flight: { ...flight, from, to, cabin, tripType, isDomestic, passengers, infants },
+      selectedPaymentMethods,
+      bookingDate: bookingDate ? bookingDate.toISOString() : null,
+      offer: {
+        code: getOfferCodeForCabinScope(offer) || null,
+        title: offer.title || null,
+        ruleSource: offer.ruleSource || null,
+        ruleErrors: offer.compiledRules?.ruleErrors || null,
+        invalidRules: ruleStats.invalid > 0
+      },
+      verdict: verdict.ok
+        ? { applied: true, offerKind: verdict.offerKind, offerTypeLabel: verdict.offerTypeLabel }
+        : { applied: false, reasons: verdict.reasons },
+      checks,
+      failedChecks: checks.filter((c) => !c.passed).map((c) => c.reason),
+      pricing: {
+        // What the price WOULD be with this offer - only real when
+        // verdict.applied; otherwise the flight stays at basePrice.
+        // finalPrice includes the portal's convenience fee, like /search's.
+        basePrice: baseAmount,
+        fareCorrection: baseAmount - Math.round(price),
+        tier: tier || null,
+        cap: simulatedOfferCap(offer, tier, maxCap, discount, passengers),
+        discount,
+        discountedPrice: Number.isFinite(discounted) ? discounted : null,
+        priceBeforeFees,
+        feeAmount,
+        convenienceFee: fee,
+        finalPrice: priceBeforeFees + feeAmount
+      }
+    });
   } catch (e) {
-    res.status(500).json({ usedFallback: false, error: e?.message || "Failed to load payment options" });
+    return res.status(500).json({ error: e?.message || "Offer simulation failed" });
   }
 });
 
-// --------------------
-// ✅ RESTORED: /debug/why-not-applied
-// --------------------
 app.get("/debug/why-not-applied", async (req, res) => {
   if (!requireDebugEnabled(req, res)) return;
 
@@ -7154,6 +9659,116 @@ app.get("/debug/build-version", (req, res) => {
   });
 });
 
+// One outbound + one return priced as a single booking - round-trip-only
+// offers and round-trip tiers only ever see the combined fare this way.
+// Shared by /compare-selected-trip and /round-trip-pairs.
+function buildRoundTripBundleFlight(outboundFlight, returnFlight, isOpenJaw) {
+  const outboundBase = Number(outboundFlight.price || outboundFlight.basePrice || 0);
+  const returnBase = Number(returnFlight.price || returnFlight.basePrice || 0);
+  const bundleBase = Math.round((outboundBase + returnBase) * 100) / 100;
+
+  return {
+    airlineName: `${outboundFlight.airlineName || "Outbound"} + ${returnFlight.airlineName || "Return"}`,
+    flightNumber: `${outboundFlight.flightNumber || ""}${outboundFlight.flightNumber && returnFlight.flightNumber ? " / " : ""}${returnFlight.flightNumber || ""}`.trim() || "Round Trip",
+    departureTime: outboundFlight.departureTime || null,
+    arrivalTime: returnFlight.arrivalTime || null,
+    stops: Number(outboundFlight.stops || 0) + Number(returnFlight.stops || 0),
+    price: bundleBase,
+    priceSource: "selected_round_trip_bundle",
+    bundle: {
+      type: isOpenJaw ? "open-jaw" : "round-trip",
+      outboundFlight,
+      returnFlight,
+      outboundBase,
+      returnBase,
+      bundleBase
+    }
+  };
+}
+
+// The other way to book a round trip: each leg as its own one-way booking,
+// each on whichever portal (and offer) is cheapest for it - outbound on
+// Cleartrip with one bank, return on MakeMyTrip with another. Round-trip-
+// only offers can't apply to either half. Warns when a winning offer is
+// limited per card per month, since the split spends two bookings.
+async function compareSplitPortalBooking({
+  outboundFlight,
+  returnFlight,
+  selectedPaymentMethods,
+  offers,
+  passengers,
+  cabin,
+  outboundIsDomestic,
+  returnIsDomestic,
+  genericDisplayContext
+}) {
+  const priceLeg = (flight, isDomestic) => applyOffersToFlight(
+    flight,
+    selectedPaymentMethods,
+    offers,
+    passengers,
+    cabin,
+    "one-way",
+    isDomestic,
+    null,
+    null,
+    genericDisplayContext
+  );
+  const outbound = await priceLeg(outboundFlight, outboundIsDomestic);
+  const ret = await priceLeg(returnFlight, returnIsDomestic);
+
+  // Each leg is a booking of its own, so it's counted at its cheapest
+  // checkout row with that booking's convenience fee - whether or not an
+  // offer applied there.
+  const legRow = (enriched) => {
+    const cheapest = cheapestPortalRowOf(enriched);
+    return {
+      finalPrice: cheapest ? cheapest.finalPrice : bestFinalPriceOf(enriched),
+      portal: cheapest?.portal || null,
+      feeAmount: cheapest?.feeAmount || 0,
+      bestDeal: slimPortalPriceForSearchResponse(enriched.bestDeal || null)
+    };
+  };
+  const legs = { outbound: legRow(outbound), return: legRow(ret) };
+
+  const warnings = [];
+  const feeLegs = [legs.outbound, legs.return].filter((leg) => leg.feeAmount > 0);
+  if (feeLegs.length === 2) {
+    warnings.push(
+      `A per-booking convenience fee is paid twice - ₹${legs.outbound.feeAmount} on ${legs.outbound.portal} and ₹${legs.return.feeAmount} on ${legs.return.portal} (included in the split price).`
+    );
+  } else if (feeLegs.length === 1) {
+    warnings.push(
+      `${feeLegs[0].portal} charges a ₹${feeLegs[0].feeAmount} convenience fee on its booking (included in the split price).`
+    );
+  }
+  const limited = [legs.outbound.bestDeal, legs.return.bestDeal]
+    .filter((row) => row?.applied && row.constraints?.perCardPerMonth);
+  if (limited.length === 2 && limited[0].code && limited[0].code === limited[1].code) {
+    warnings.push(
+      `${limited[0].code} is limited per card per month and is used on both bookings - the second booking may not get it if the card's monthly limit is reached.`
+    );
+  } else {
+    for (const row of limited) {
+      warnings.push(
+        `${row.code || row.title || "This offer"} (${row.portal}) is limited per card per month - the extra booking uses up one of the card's monthly uses.`
+      );
+    }
+  }
+
+  return {
+    finalPrice: Math.round((legs.outbound.finalPrice + legs.return.finalPrice) * 100) / 100,
+    outbound: legs.outbound,
+    return: legs.return,
+    bookings: 2,
+    // Convenience fees are charged per booking, so splitting pays them
+    // once per leg.
+    feeAmount: legs.outbound.feeAmount + legs.return.feeAmount,
+    samePortalForBoth: !!legs.outbound.portal && legs.outbound.portal === legs.return.portal,
+    warnings
+  };
+}
+
 app.post("/compare-selected-trip", async (req, res) => {
   const body = req.body || {};
   const meta = {
@@ -7163,13 +9778,44 @@ app.post("/compare-selected-trip", async (req, res) => {
   };
 
   try {
-    const outboundFlight = body.outboundFlight || null;
-    const returnFlight = body.returnFlight || null;
+    let outboundFlight = body.outboundFlight || null;
+    let returnFlight = body.returnFlight || null;
+
+    // With a searchId (see saveSearchSession), flights are looked up by
+    // flightId from the stored search - the client's own price is never
+    // trusted. outboundFlightId/returnFlightId, or the echoed flights' own
+    // flightId, name them.
+    if (body.searchId) {
+      const session = getSearchSession(body.searchId);
+      if (!session) {
+        return res.status(410).json({
+          meta: { ...meta, error: "Unknown or expired searchId - re-run /search" },
+          tripComparison: null
+        });
+      }
+
+      const outboundFlightId = String(body.outboundFlightId || outboundFlight?.flightId || "");
+      const returnFlightId = String(body.returnFlightId || returnFlight?.flightId || "");
+      outboundFlight = session.flightsById.get(outboundFlightId) || null;
+      returnFlight = session.flightsById.get(returnFlightId) || null;
+
+      if (!outboundFlight || !returnFlight) {
+        return res.status(400).json({
+          meta: {
+            ...meta,
+            error: `Unknown ${!outboundFlight ? "outbound" : "return"} flightId for this search`
+          },
+          tripComparison: null
+        });
+      }
+      meta.searchId = session.searchId;
+    }
 
     // Prefer explicit route fields, but selected-trip comparison often receives
     // from/to inside the selected flight objects only.
     const from = String(
       body.from ||
+      outboundFlight?.departureAirportCode ||
       outboundFlight?.from ||
       outboundFlight?.origin ||
       outboundFlight?.originCode ||
@@ -7178,6 +9824,7 @@ app.post("/compare-selected-trip", async (req, res) => {
 
     const to = String(
       body.to ||
+      outboundFlight?.arrivalAirportCode ||
       outboundFlight?.to ||
       outboundFlight?.destination ||
       outboundFlight?.destinationCode ||
@@ -7194,7 +9841,28 @@ app.post("/compare-selected-trip", async (req, res) => {
       Math.floor(Number(body.passengers ?? body.adults ?? 1) || 1)
     );
     const cabin = normalizeCabin(body.travelClass || body.cabin);
-    const routeIsDomestic = isDomesticRoute(from, to);
+
+    // Open-jaw pairs (return leg not the mirror of the outbound) are
+    // accepted as-is - the return side comes from the body when given,
+    // else from the selected return flight itself, else the usual mirror.
+    const returnFrom = String(
+      body.returnFrom ||
+      returnFlight?.departureAirportCode ||
+      returnFlight?.from ||
+      returnFlight?.origin ||
+      to
+    ).trim().toUpperCase();
+
+    const returnTo = String(
+      body.returnTo ||
+      returnFlight?.arrivalAirportCode ||
+      returnFlight?.to ||
+      returnFlight?.destination ||
+      from
+    ).trim().toUpperCase();
+
+    const isOpenJaw = isOpenJawTrip({ from, to, returnFrom, returnTo });
+    const routeIsDomestic = isDomesticRoute(from, to) && isDomesticRoute(returnFrom, returnTo);
 
     const selectedPaymentMethodsRaw = Array.isArray(body.paymentMethods) ? body.paymentMethods : [];
 
@@ -7205,6 +9873,7 @@ app.post("/compare-selected-trip", async (req, res) => {
     meta.mongoCollection = MONGO_COL;
     meta.mongoDb = MONGODB_DB;
     meta.isDomestic = routeIsDomestic;
+    meta.openJaw = isOpenJaw;
     meta.includeGenericDisplayOffers = includeGenericDisplayOffers;
 
     if (!outboundFlight || !returnFlight) {
@@ -7257,23 +9926,7 @@ app.post("/compare-selected-trip", async (req, res) => {
       };
     }
 
-    const bundleFlight = {
-      airlineName: `${outboundFlight.airlineName || "Outbound"} + ${returnFlight.airlineName || "Return"}`,
-      flightNumber: `${outboundFlight.flightNumber || ""}${outboundFlight.flightNumber && returnFlight.flightNumber ? " / " : ""}${returnFlight.flightNumber || ""}`.trim() || "Round Trip",
-      departureTime: outboundFlight.departureTime || null,
-      arrivalTime: returnFlight.arrivalTime || null,
-      stops: Number(outboundFlight.stops || 0) + Number(returnFlight.stops || 0),
-      price: bundleBase,
-      priceSource: "selected_round_trip_bundle",
-      bundle: {
-        type: "round-trip",
-        outboundFlight,
-        returnFlight,
-        outboundBase,
-        returnBase,
-        bundleBase
-      }
-    };
+    const bundleFlight = buildRoundTripBundleFlight(outboundFlight, returnFlight, isOpenJaw);
 
     const enrichedBundle = await applyOffersToFlight(
       bundleFlight,
@@ -7281,22 +9934,54 @@ app.post("/compare-selected-trip", async (req, res) => {
       offers,
       adults,
       cabin,
-      "round-trip",
+      isOpenJaw ? "open-jaw" : "round-trip",
       routeIsDomestic,
       null,
       null,
       genericDisplayContext
     );
 
+    const splitPortal = await compareSplitPortalBooking({
+      outboundFlight,
+      returnFlight,
+      selectedPaymentMethods,
+      offers,
+      passengers: adults,
+      cabin,
+      outboundIsDomestic: isDomesticRoute(from, to),
+      returnIsDomestic: isDomesticRoute(returnFrom, returnTo),
+      genericDisplayContext
+    });
+    const samePortalFinal = bestFinalPriceOf(enrichedBundle);
+    const splitSaving = Math.round((samePortalFinal - splitPortal.finalPrice) * 100) / 100;
+
     const tripComparison = {
       tripType: "round-trip",
+      openJaw: isOpenJaw,
+      // bookingMode/portalPrices/bestDeal stay the same-portal bundle, as
+      // before; bookingModes has both side by side.
       bookingMode: "same-portal",
-      note: "Prices assume outbound and return are booked together on the same portal.",
+      note: isOpenJaw
+        ? `Prices assume outbound and return are booked together on the same portal. Open-jaw (returning ${returnFrom} -> ${returnTo}): offers are priced as each portal books it.`
+        : "Prices assume outbound and return are booked together on the same portal.",
       outboundFlight,
       returnFlight,
       baseTotal: bundleBase,
       portalPrices: enrichedBundle.portalPrices || [],
-      bestDeal: enrichedBundle.bestDeal || null
+      bestDeal: enrichedBundle.bestDeal || null,
+      bookingModes: {
+        samePortal: {
+          finalPrice: samePortalFinal,
+          portal: cheapestPortalRowOf(enrichedBundle)?.portal || null,
+          feeAmount: cheapestPortalRowOf(enrichedBundle)?.feeAmount || 0,
+          code: enrichedBundle.bestDeal?.code || null
+        },
+        splitPortal
+      },
+      cheapestBookingMode: splitSaving > 0 ? "split-portal" : "same-portal",
+      // Positive = booking the legs separately is cheaper by this much.
+      splitSaving,
+      warnings: splitPortal.warnings
     };
 
     return res.json({
@@ -7312,104 +9997,618 @@ app.post("/compare-selected-trip", async (req, res) => {
       tripComparison: null
     });
   }
-});
+});
+
+// --------------------
+// Search flights + apply offers
+// --------------------
+function slimOfferForSearchResponse(offer) {
+  if (!offer || typeof offer !== "object") return offer || null;
+
+  return {
+    title: offer.title || null,
+    couponCode: offer.couponCode || offer.code || null,
+    code: offer.code || offer.couponCode || null,
+    rawDiscount: offer.rawDiscount || null,
+    offerSummary: offer.offerSummary
+      ? {
+          headline: offer.offerSummary.headline || null,
+          keyFacts: Array.isArray(offer.offerSummary.keyFacts) ? offer.offerSummary.keyFacts.slice(0, 4) : [],
+          keyTerms: Array.isArray(offer.offerSummary.keyTerms) ? offer.offerSummary.keyTerms.slice(0, 4) : [],
+          displayBadge: offer.offerSummary.displayBadge || null
+        }
+      : null,
+    paymentHint: offer.paymentHint || offer.paymentLabel || null,
+    sourcePortal: offer.sourcePortal || offer.sourceMetadata?.sourcePortal || null,
+    requiresSpecificCardType: !!offer.requiresSpecificCardType,
+    infoLabel: offer.infoLabel || null
+  };
+}
+
+function slimPortalPriceForSearchResponse(row) {
+  if (!row || typeof row !== "object") return row || null;
+
+  return {
+    portal: row.portal || null,
+    bookingChannel: row.bookingChannel || "ota",
+    bookingChannelLabel: row.bookingChannelLabel || null,
+    basePrice: row.basePrice ?? null,
+    finalPrice: row.finalPrice ?? row.basePrice ?? null,
+    priceBeforeFees: row.priceBeforeFees ?? row.finalPrice ?? row.basePrice ?? null,
+    feeAmount: row.feeAmount ?? 0,
+    convenienceFee: row.convenienceFee || null,
+    applied: !!row.applied,
+    code: row.code || row.couponCode || null,
+    title: row.title || null,
+    rawDiscount: row.rawDiscount || null,
+    actualDiscount: row.actualDiscount ?? null,
+    appliedDiscountText: row.appliedDiscountText || null,
+    constraints: row.constraints || null,
+    paymentLabel: row.paymentLabel || null,
+    offerTypeLabel: row.offerTypeLabel || null,
+    channelLabel: row.channelLabel || null,
+    offerDisplayType: row.offerDisplayType || null,
+    displayLabel: row.displayLabel || null,
+    displaySubtext: row.displaySubtext || null,
+    displayAmount: row.displayAmount ?? null,
+    displayCurrency: row.displayCurrency || null,
+    isExactPricing: row.isExactPricing ?? null,
+    isDisplayOnly: row.isDisplayOnly ?? false,
+    genericCandidateId: row.genericCandidateId || null,
+    genericCandidateStatus: row.genericCandidateStatus || null,
+    genericPricingReadiness: row.genericPricingReadiness || null,
+    explain: row.explain || null,
+    tiedWithPortals: row.tiedWithPortals || null,
+
+    // Keep hints for "more offers", but remove huge terms/raw text from normal search response.
+    infoOffers: Array.isArray(row.infoOffers)
+      ? row.infoOffers.slice(0, 6).map(slimOfferForSearchResponse)
+      : [],
+
+    moreOffers: Array.isArray(row.moreOffers)
+      ? row.moreOffers.slice(0, 6).map(slimOfferForSearchResponse)
+      : [],
+
+    debugCounts: row.debugCounts || null
+  };
+}
+
+
+async function getOffersForSearch(meta = {}) {
+  const now = Date.now();
+  const cacheAgeMs = offersCacheData ? now - offersCacheLoadedAt : null;
+  const cacheValid =
+    Array.isArray(offersCacheData) &&
+    cacheAgeMs !== null &&
+    cacheAgeMs >= 0 &&
+    cacheAgeMs < OFFERS_CACHE_TTL_MS;
+
+  if (cacheValid) {
+    meta.offersCache = "hit";
+    meta.offersCacheAgeMs = cacheAgeMs;
+    meta.offerRules = describeOfferRuleStats(offersCacheRuleStats);
+    return offersCacheData;
+  }
+
+  const col = await getOffersCollection();
+  const offers = await col.find({}, { projection: { _id: 0 } }).toArray();
+
+  // Once per load, not per request - see "Structured offer rules".
+  offersCacheRuleStats = compileOffersForCache(offers);
+  if (offersCacheRuleStats.invalid > 0) {
+    console.error(
+      `[SkyDeal] ${offersCacheRuleStats.invalid} offer(s) have invalid structured rules - using text inference`,
+      JSON.stringify(offersCacheRuleStats.invalidSamples.slice(0, 3))
+    );
+  }
+
+  offersCacheData = offers;
+  offersCacheLoadedAt = now;
+
+  meta.offersCache = "miss";
+  meta.offersCacheAgeMs = 0;
+  meta.offersCacheTtlMs = OFFERS_CACHE_TTL_MS;
+  meta.offerRules = describeOfferRuleStats(offersCacheRuleStats);
+
+  return offers;
+}
+
+// --------------------
+// Offer change history
+// --------------------
+// The scraper overwrites offer docs in place, so a silently lowered cap or
+// a moved expiry used to surface only as a price change nobody could
+// explain. Every write to the tracked collections (offers + offer_rules)
+// now lands in OFFER_HISTORY_CONFIG.collection as a numbered version:
+//   { collection, docId, version, operation, source, changedAt,
+//     couponCode, portal, changes: [{ path, before, after }], snapshot }
+// `snapshot` is the whole doc after the write (null for a delete), which
+// is what as-of pricing replays; `changes` is the field-level diff
+// against the previous version.
+//
+// Writes come from outside this process (scrapers, parse-offers.mjs,
+// import-promo-pages.mjs), so they're picked up with a change stream.
+// Change streams need a replica set (Atlas always is); on a standalone
+// server the watch fails and tracking falls back to a periodic sweep -
+// which also runs once at startup to catch writes made while the server
+// was down. A sweep only sees the latest state, so between sweeps several
+// writes to one doc collapse into one version.
+const OFFER_HISTORY_CONFIG = {
+  enabled: String(process.env.OFFER_HISTORY_ENABLED || "true").toLowerCase() !== "false",
+  collection: process.env.OFFER_HISTORY_COL || "offer_history",
+  trackedCollections: [...new Set([MONGO_COL, "offer_rules"])],
+  sweepIntervalMs: Number(process.env.OFFER_HISTORY_SWEEP_MS || 300000),
+  // Bookkeeping the scraper touches on every run - a diff of just these is
+  // noise, not a change.
+  ignoredFields: ["_id", "updatedAt", "lastUpdated", "scrapedAt", "lastScrapedAt", "lastSeenAt"],
+  defaultListLimit: 100,
+  maxListLimit: 500
+};
+
+let offerHistoryQueue = Promise.resolve();
+let offerHistoryStatus = { started: false, mode: {}, lastSweep: {}, errors: 0 };
+
+// One version write at a time, process-wide - the change stream and a
+// sweep can see the same doc at once, and version numbers must not race.
+function enqueueOfferHistory(task) {
+  const run = offerHistoryQueue.then(task);
+  offerHistoryQueue = run.catch(() => {});
+  return run;
+}
+
+async function getOfferHistoryCollection() {
+  await getOffersCollection();
+  return _mongoClient.db(MONGODB_DB).collection(OFFER_HISTORY_CONFIG.collection);
+}
+
+function offerSnapshotOf(doc) {
+  if (!doc || typeof doc !== "object") return null;
+  const snapshot = JSON.parse(JSON.stringify(doc));
+  for (const field of OFFER_HISTORY_CONFIG.ignoredFields) delete snapshot[field];
+  return snapshot;
+}
+
+function offerHistoryIdentity(doc) {
+  return {
+    couponCode: getOfferCodeForCabinScope(doc || {}) || null,
+    portal: doc?.sourceMetadata?.sourcePortal || doc?.sourcePortal || doc?.portal || null
+  };
+}
+
+function isPlainHistoryObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Field-level: nested objects are walked to dotted paths, arrays and
+// scalars compare whole (a reordered paymentMethods list is one change).
+function diffOfferSnapshots(before, after, prefix = "") {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const a = before?.[key];
+    const b = after?.[key];
+
+    if (isPlainHistoryObject(a) && isPlainHistoryObject(b)) {
+      changes.push(...diffOfferSnapshots(a, b, path));
+      continue;
+    }
+    if (JSON.stringify(a ?? null) !== JSON.stringify(b ?? null)) {
+      changes.push({ path, before: a ?? null, after: b ?? null });
+    }
+  }
+
+  return changes;
+}
+
+async function latestOfferVersion(historyCol, collectionName, docId) {
+  return historyCol.findOne(
+    { collection: collectionName, docId },
+    { sort: { version: -1 } }
+  );
+}
+
+// Records `doc` (null = deleted) as the next version of collectionName/docId
+// if it differs from the last recorded one. Returns the record, or null
+// when nothing changed.
+async function recordOfferVersion(collectionName, docId, doc, { operation, source, changedAt = new Date() }) {
+  const historyCol = await getOfferHistoryCollection();
+  const previous = await latestOfferVersion(historyCol, collectionName, docId);
+  if (!previous && !doc) return null;
+  if (previous?.operation === "delete" && !doc) return null;
+
+  const beforeSnapshot = previous?.operation === "delete" ? null : previous?.snapshot || null;
+  const afterSnapshot = offerSnapshotOf(doc);
+  const changes = diffOfferSnapshots(beforeSnapshot || {}, afterSnapshot || {});
+  if (previous && changes.length === 0 && (afterSnapshot !== null) === (beforeSnapshot !== null)) return null;
+
+  const record = {
+    collection: collectionName,
+    docId,
+    version: (previous?.version || 0) + 1,
+    operation: !doc ? "delete" : !beforeSnapshot ? (previous ? "reinsert" : operation === "update" ? "baseline" : operation) : operation,
+    source,
+    changedAt,
+    ...offerHistoryIdentity(doc || beforeSnapshot),
+    changes: previous ? changes : [],
+    snapshot: afterSnapshot
+  };
+  await historyCol.insertOne(record);
+  return record;
+}
+
+// Diffs every current doc against its latest recorded version; docs whose
+// history exists but which are gone now get a delete version.
+async function sweepOfferHistory(collectionName) {
+  const historyCol = await getOfferHistoryCollection();
+  const docs = await _mongoClient.db(MONGODB_DB).collection(collectionName).find({}).toArray();
+  const known = await historyCol.aggregate([
+    { $match: { collection: collectionName } },
+    { $sort: { docId: 1, version: -1 } },
+    { $group: { _id: "$docId", operation: { $first: "$operation" } } }
+  ]).toArray();
+
+  const stats = { checked: docs.length, recorded: 0, deleted: 0 };
+  const seen = new Set();
+
+  for (const doc of docs) {
+    if (doc?._id == null) continue;
+    const docId = String(doc._id);
+    seen.add(docId);
+    const rec = await enqueueOfferHistory(() =>
+      recordOfferVersion(collectionName, docId, doc, { operation: "update", source: "sweep" })
+    );
+    if (rec) stats.recorded++;
+  }
+
+  for (const k of known) {
+    if (seen.has(k._id) || k.operation === "delete") continue;
+    const rec = await enqueueOfferHistory(() =>
+      recordOfferVersion(collectionName, k._id, null, { operation: "delete", source: "sweep" })
+    );
+    if (rec) stats.deleted++;
+  }
+
+  offerHistoryStatus.lastSweep[collectionName] = { at: new Date().toISOString(), ...stats };
+  return stats;
+}
+
+function handleOfferHistoryChange(collectionName, change) {
+  const docId = change?.documentKey?._id != null ? String(change.documentKey._id) : null;
+  if (!docId) return;
+
+  if (change.operationType === "delete") {
+    enqueueOfferHistory(() =>
+      recordOfferVersion(collectionName, docId, null, { operation: "delete", source: "change_stream", changedAt: change.wallTime || new Date() })
+    ).catch(noteOfferHistoryError);
+    return;
+  }
+  if (!["insert", "update", "replace"].includes(change.operationType)) return;
+  // updateLookup returns null when the doc was deleted before the lookup
+  // ran - the delete event that follows records that.
+  if (!change.fullDocument) return;
+
+  enqueueOfferHistory(() =>
+    recordOfferVersion(collectionName, docId, change.fullDocument, { operation: change.operationType, source: "change_stream", changedAt: change.wallTime || new Date() })
+  ).catch(noteOfferHistoryError);
+}
+
+function noteOfferHistoryError(err) {
+  offerHistoryStatus.errors++;
+  console.error("[SkyDeal] offer history write failed", err?.message || err);
+}
+
+function startOfferHistorySweepTimer(collectionName) {
+  offerHistoryStatus.mode[collectionName] = "sweep";
+  const timer = setInterval(() => {
+    sweepOfferHistory(collectionName).catch(noteOfferHistoryError);
+  }, OFFER_HISTORY_CONFIG.sweepIntervalMs);
+  timer.unref?.();
+}
+
+// Called once from app.listen. Watch first, then sweep: a write landing
+// in between is seen by both, and the second one finds no diff.
+async function startOfferHistoryTracking() {
+  if (!OFFER_HISTORY_CONFIG.enabled || !MONGO_URI || offerHistoryStatus.started) return;
+  offerHistoryStatus.started = true;
+
+  const historyCol = await getOfferHistoryCollection();
+  await historyCol.createIndex({ collection: 1, docId: 1, version: -1 }, { unique: true });
+  await historyCol.createIndex({ couponCode: 1, changedAt: -1 });
+  await historyCol.createIndex({ portal: 1, changedAt: -1 });
+
+  for (const collectionName of OFFER_HISTORY_CONFIG.trackedCollections) {
+    const col = _mongoClient.db(MONGODB_DB).collection(collectionName);
+    try {
+      const stream = col.watch([], { fullDocument: "updateLookup" });
+      stream.on("change", (change) => handleOfferHistoryChange(collectionName, change));
+      stream.on("error", (err) => {
+        console.error(`[SkyDeal] offer history change stream on ${collectionName} failed - falling back to sweeps`, err?.message || err);
+        stream.close().catch(() => {});
+        startOfferHistorySweepTimer(collectionName);
+      });
+      offerHistoryStatus.mode[collectionName] = "change_stream";
+    } catch (err) {
+      console.error(`[SkyDeal] offer history change stream unavailable on ${collectionName} - falling back to sweeps`, err?.message || err);
+      startOfferHistorySweepTimer(collectionName);
+    }
+
+    await sweepOfferHistory(collectionName);
+  }
+}
+
+// The offers of collectionName as they stood at `asOf`: each doc's latest
+// version at or before then, minus deleted ones. Docs first recorded after
+// asOf are simply absent - trackedSince says how far back history goes.
+async function loadOffersAsOf(asOf, collectionName = MONGO_COL) {
+  const historyCol = await getOfferHistoryCollection();
+  const [latest, first] = await Promise.all([
+    historyCol.aggregate([
+      { $match: { collection: collectionName, changedAt: { $lte: asOf } } },
+      { $sort: { docId: 1, version: -1 } },
+      { $group: { _id: "$docId", operation: { $first: "$operation" }, snapshot: { $first: "$snapshot" } } }
+    ]).toArray(),
+    historyCol.findOne({ collection: collectionName }, { sort: { changedAt: 1 } })
+  ]);
+
+  const offers = latest
+    .filter((v) => v.operation !== "delete" && v.snapshot)
+    .map((v) => v.snapshot);
+  const ruleStats = compileOffersForCache(offers);
+
+  return { offers, ruleStats, trackedSince: first?.changedAt || null };
+}
+
+function normalizePortalRegistryEntry(doc, base = null) {
+  // An overlay keeps the built-in's spelling - the name is a key elsewhere.
+  const name = String(base?.name || doc?.name || "").trim();
+  if (!name) return null;
+
+  const aliases = Array.isArray(doc?.aliases) ? doc.aliases : (base?.aliases || []);
+  const fareCorrections = { ...(base?.fareCorrections || {}) };
+  for (const [key, value] of Object.entries(doc?.fareCorrections || {})) {
+    if (Number.isFinite(Number(value))) fareCorrections[key] = Number(value);
+  }
 
-// --------------------
-// Search flights + apply offers
-// --------------------
-function slimOfferForSearchResponse(offer) {
-  if (!offer || typeof offer !== "object") return offer || null;
+  const channel = (doc?.channel || base?.channel) === "airline_direct" ? "airline_direct" : "ota";
+  const airlines = Array.isArray(doc?.airlines) ? doc.airlines : (base?.airlines || []);
 
   return {
-    title: offer.title || null,
-    couponCode: offer.couponCode || offer.code || null,
-    code: offer.code || offer.couponCode || null,
-    rawDiscount: offer.rawDiscount || null,
-    offerSummary: offer.offerSummary
-      ? {
-          headline: offer.offerSummary.headline || null,
-          keyFacts: Array.isArray(offer.offerSummary.keyFacts) ? offer.offerSummary.keyFacts.slice(0, 4) : [],
-          keyTerms: Array.isArray(offer.offerSummary.keyTerms) ? offer.offerSummary.keyTerms.slice(0, 4) : [],
-          displayBadge: offer.offerSummary.displayBadge || null
-        }
-      : null,
-    paymentHint: offer.paymentHint || offer.paymentLabel || null,
-    sourcePortal: offer.sourcePortal || offer.sourceMetadata?.sourcePortal || null,
-    requiresSpecificCardType: !!offer.requiresSpecificCardType,
-    infoLabel: offer.infoLabel || null
+    name,
+    channel,
+    airlines: channel === "airline_direct"
+      ? [...new Set(airlines.map(normalizeForMatch).filter(Boolean))]
+      : [],
+    aliases: [...new Set(aliases.map((a) => String(a || "").trim().toLowerCase()).filter(Boolean))],
+    enabled: doc?.enabled !== undefined ? doc.enabled !== false : base?.enabled !== false,
+    domestic: doc?.domestic !== undefined ? doc.domestic !== false : base?.domestic !== false,
+    international: doc?.international !== undefined ? doc.international !== false : base?.international !== false,
+    fareCorrections,
+    openJawOfferTripType: [doc?.openJawOfferTripType, base?.openJawOfferTripType]
+      .find((t) => OFFER_TRIP_TYPES.includes(t)) || null,
+    source: doc?.source || base?.source || "built-in"
   };
 }
 
-function slimPortalPriceForSearchResponse(row) {
-  if (!row || typeof row !== "object") return row || null;
+// Mongo docs overlay the built-ins by name (case-insensitive): a doc only
+// has to carry the fields it changes, e.g. { name: "Ixigo", enabled: false }
+// pulls Ixigo. A doc with a new name adds a portal after the built-ins,
+// in its `order` (then name) order.
+function mergePortalRegistry(defaults, docs) {
+  const merged = defaults.map((entry) => ({ ...entry }));
+  const byKey = new Map(merged.map((entry, i) => [entry.name.toLowerCase(), i]));
 
-  return {
-    portal: row.portal || null,
-    basePrice: row.basePrice ?? null,
-    finalPrice: row.finalPrice ?? row.basePrice ?? null,
-    applied: !!row.applied,
-    code: row.code || row.couponCode || null,
-    title: row.title || null,
-    rawDiscount: row.rawDiscount || null,
-    actualDiscount: row.actualDiscount ?? null,
-    appliedDiscountText: row.appliedDiscountText || null,
-    constraints: row.constraints || null,
-    paymentLabel: row.paymentLabel || null,
-    offerTypeLabel: row.offerTypeLabel || null,
-    channelLabel: row.channelLabel || null,
-    offerDisplayType: row.offerDisplayType || null,
-    displayLabel: row.displayLabel || null,
-    displaySubtext: row.displaySubtext || null,
-    displayAmount: row.displayAmount ?? null,
-    displayCurrency: row.displayCurrency || null,
-    isExactPricing: row.isExactPricing ?? null,
-    isDisplayOnly: row.isDisplayOnly ?? false,
-    genericCandidateId: row.genericCandidateId || null,
-    genericCandidateStatus: row.genericCandidateStatus || null,
-    genericPricingReadiness: row.genericPricingReadiness || null,
-    explain: row.explain || null,
-    tiedWithPortals: row.tiedWithPortals || null,
+  const sortedDocs = [...docs].sort((a, b) =>
+    (Number(a?.order) || 0) - (Number(b?.order) || 0) ||
+    String(a?.name || "").localeCompare(String(b?.name || ""))
+  );
 
-    // Keep hints for "more offers", but remove huge terms/raw text from normal search response.
-    infoOffers: Array.isArray(row.infoOffers)
-      ? row.infoOffers.slice(0, 6).map(slimOfferForSearchResponse)
-      : [],
+  for (const doc of sortedDocs) {
+    const key = String(doc?.name || "").trim().toLowerCase();
+    if (!key) continue;
+    if (byKey.has(key)) {
+      const i = byKey.get(key);
+      merged[i] = normalizePortalRegistryEntry({ ...doc, source: "mongo" }, merged[i]);
+    } else {
+      const entry = normalizePortalRegistryEntry({ ...doc, source: "mongo" });
+      if (!entry) continue;
+      byKey.set(key, merged.length);
+      merged.push(entry);
+    }
+  }
 
-    moreOffers: Array.isArray(row.moreOffers)
-      ? row.moreOffers.slice(0, 6).map(slimOfferForSearchResponse)
-      : [],
+  return merged;
+}
 
-    debugCounts: row.debugCounts || null
-  };
+function currentPortalRegistry() {
+  return portalRegistryCacheData || DEFAULT_PORTAL_REGISTRY;
+}
+
+// Synchronous on purpose - offerAppliesToPortal and the correction helpers
+// run per offer per portal. Answers from whichever registry was last
+// loaded (the built-ins until the first getPortalRegistry call).
+function portalRegistryEntry(portal) {
+  const registry = currentPortalRegistry();
+  if (!portalRegistryIndex || portalRegistryIndex.registry !== registry) {
+    const byKey = new Map();
+    for (const entry of registry) {
+      for (const key of [entry.name.toLowerCase(), ...entry.aliases]) {
+        if (!byKey.has(key)) byKey.set(key, entry);
+      }
+    }
+    portalRegistryIndex = { registry, byKey };
+  }
+  return portalRegistryIndex.byKey.get(String(portal || "").trim().toLowerCase()) || null;
 }
 
+function airlineDirectEntryMatchesFlight(entry, flight) {
+  if (!flight || flight.priceSource !== "carrier_airline" || flight.isMixedCarrierItinerary) return false;
+  return entry.airlines.includes(normalizeForMatch(flight.airlineName));
+}
 
-async function getOffersForSearch(meta = {}) {
+// The portals a flight gets priced on. isDomestic null = either kind.
+// Airline-direct channels only come in with a flight they sell.
+function pricingPortalNames(isDomestic = null, flight = null) {
+  return currentPortalRegistry()
+    .filter((entry) => entry.enabled)
+    .filter((entry) => isDomestic == null || (isDomestic ? entry.domestic : entry.international))
+    .filter((entry) => entry.channel !== "airline_direct" || airlineDirectEntryMatchesFlight(entry, flight))
+    .map((entry) => entry.name);
+}
+
+// Same caching shape as getPortalFeeSchedules. Mongo down or empty = the
+// built-ins, so the registry can never price fewer portals than the
+// pre-2026-10 hard-coded list by accident - only by an explicit
+// enabled: false doc.
+async function getPortalRegistry(meta = {}) {
   const now = Date.now();
-  const cacheAgeMs = offersCacheData ? now - offersCacheLoadedAt : null;
-  const cacheValid =
-    Array.isArray(offersCacheData) &&
-    cacheAgeMs !== null &&
-    cacheAgeMs >= 0 &&
-    cacheAgeMs < OFFERS_CACHE_TTL_MS;
+  if (Array.isArray(portalRegistryCacheData) && now - portalRegistryCacheLoadedAt < PORTAL_REGISTRY_CACHE_TTL_MS) {
+    meta.portalRegistry = { cache: "hit", portals: portalRegistryCacheData.length };
+    return portalRegistryCacheData;
+  }
 
-  if (cacheValid) {
-    meta.offersCache = "hit";
-    meta.offersCacheAgeMs = cacheAgeMs;
-    return offersCacheData;
+  if (!portalRegistryLoadInFlight) {
+    portalRegistryLoadInFlight = (async () => {
+      try {
+        await getOffersCollection();
+        const col = _mongoClient.db(MONGODB_DB).collection(PORTAL_REGISTRY_COL);
+        const docs = await col.find({}, { projection: { _id: 0 } }).toArray();
+        portalRegistryCacheData = mergePortalRegistry(DEFAULT_PORTAL_REGISTRY, docs);
+      } catch (err) {
+        console.error("[SkyDeal] portal registry load failed (keeping previous registry)", err?.message || err);
+        portalRegistryCacheData = portalRegistryCacheData || DEFAULT_PORTAL_REGISTRY;
+      }
+      portalRegistryCacheLoadedAt = Date.now();
+      return portalRegistryCacheData;
+    })().finally(() => {
+      portalRegistryLoadInFlight = null;
+    });
   }
 
-  const col = await getOffersCollection();
-  const offers = await col.find({}, { projection: { _id: 0 } }).toArray();
+  const registry = await portalRegistryLoadInFlight;
+  meta.portalRegistry = { cache: "miss", portals: registry.length };
+  return registry;
+}
 
-  offersCacheData = offers;
-  offersCacheLoadedAt = now;
+function normalizePortalFeeSchedule(doc) {
+  const portal = String(doc?.portal || "").trim();
+  const amount = Number(doc?.amount);
+  if (!portal || !Number.isFinite(amount) || amount < 0) return null;
 
-  meta.offersCache = "miss";
-  meta.offersCacheAgeMs = 0;
-  meta.offersCacheTtlMs = OFFERS_CACHE_TTL_MS;
+  const rawBucket = String(doc?.paymentBucket || "*").trim();
+  const rawScope = String(doc?.scope || "*").trim().toLowerCase();
 
-  return offers;
+  return {
+    portal,
+    portalKey: portal.toLowerCase(),
+    paymentBucket: rawBucket === "*" || rawBucket.toLowerCase() === "any" ? "*" : normalizePaymentType(rawBucket),
+    scope: rawScope === "domestic" || rawScope === "international" ? rawScope : "*",
+    basis: /passenger|pax/i.test(String(doc?.basis || "")) ? "per_passenger" : "per_booking",
+    amount
+  };
+}
+
+// Served from memory for PORTAL_FEE_SCHEDULE_CACHE_TTL_MS; concurrent
+// callers on a cold cache share one Mongo read (applyOffersToFlight runs
+// per flight, dozens at once). A failed reload keeps the last good
+// schedules rather than dropping every fee to 0.
+async function getPortalFeeSchedules(meta = {}) {
+  const now = Date.now();
+  if (Array.isArray(portalFeeScheduleCacheData) && now - portalFeeScheduleCacheLoadedAt < PORTAL_FEE_SCHEDULE_CACHE_TTL_MS) {
+    meta.portalFeeSchedules = { cache: "hit", loaded: portalFeeScheduleCacheData.length };
+    return portalFeeScheduleCacheData;
+  }
+
+  if (!portalFeeScheduleLoadInFlight) {
+    portalFeeScheduleLoadInFlight = (async () => {
+      try {
+        await getOffersCollection();
+        const col = _mongoClient.db(MONGODB_DB).collection(PORTAL_FEE_SCHEDULE_COL);
+        const docs = await col.find({ enabled: { $ne: false } }, { projection: { _id: 0 } }).toArray();
+        portalFeeScheduleCacheData = docs.map(normalizePortalFeeSchedule).filter(Boolean);
+      } catch (err) {
+        console.error("[SkyDeal] portal fee schedule load failed (pricing without fees)", err?.message || err);
+        portalFeeScheduleCacheData = portalFeeScheduleCacheData || [];
+      }
+      portalFeeScheduleCacheLoadedAt = Date.now();
+      return portalFeeScheduleCacheData;
+    })().finally(() => {
+      portalFeeScheduleLoadInFlight = null;
+    });
+  }
+
+  const schedules = await portalFeeScheduleLoadInFlight;
+  meta.portalFeeSchedules = { cache: "miss", loaded: schedules.length };
+  return schedules;
+}
+
+// The fee this portal charges for paying with one of paymentBuckets
+// (normalizePaymentType values), cheapest bucket wins. paymentBuckets
+// null/empty = the user hasn't said how they'll pay, so any bucket the
+// portal has a schedule for is fair game. Per bucket the most specific doc
+// wins: exact bucket over "*", then exact scope over "*". null when the
+// portal has no schedule at all.
+function resolvePortalConvenienceFee(schedules, { portal, paymentBuckets, isDomestic, passengers }) {
+  const portalKey = String(portal || "").toLowerCase();
+  const scope = isDomestic ? "domestic" : "international";
+  const rows = (schedules || []).filter(
+    (r) => r.portalKey === portalKey && (r.scope === "*" || r.scope === scope)
+  );
+  if (rows.length === 0) return null;
+
+  const buckets = Array.isArray(paymentBuckets) && paymentBuckets.length > 0
+    ? paymentBuckets
+    : [...new Set(rows.map((r) => r.paymentBucket))];
+
+  let cheapest = null;
+  for (const bucket of buckets) {
+    const row = rows
+      .filter((r) => r.paymentBucket === bucket || r.paymentBucket === "*")
+      .sort((a, b) =>
+        (Number(b.paymentBucket === bucket) * 2 + Number(b.scope === scope)) -
+        (Number(a.paymentBucket === bucket) * 2 + Number(a.scope === scope))
+      )[0];
+
+    // No doc for this bucket (and no "*" fallback): nothing documented to charge.
+    const feeAmount = row
+      ? Math.round(row.amount * (row.basis === "per_passenger" ? Math.max(1, Number(passengers) || 1) : 1))
+      : 0;
+
+    if (!cheapest || feeAmount < cheapest.feeAmount) {
+      cheapest = {
+        feeAmount,
+        paymentBucket: bucket,
+        basis: row?.basis || null,
+        amountPerUnit: row?.amount ?? 0
+      };
+    }
+  }
+
+  return cheapest;
+}
+
+// The payment buckets (normalizePaymentType) the user said they'd pay with.
+function selectedPaymentBucketsOf(selectedPaymentMethods) {
+  return [...new Set(
+    (Array.isArray(selectedPaymentMethods) ? selectedPaymentMethods : [])
+      .map((m) => normalizePaymentType(m?.type || m?.name || "", m?.raw || ""))
+      .filter((t) => t && t !== "other")
+  )];
+}
+
+// The fee for checking out with an eligible offer. A payment offer fixes
+// how the user pays, so its fee is that method's.
+function offerConvenienceFee(schedules, { offer, offerKind, portal, selectedPaymentMethods, selectedPaymentBuckets, isDomestic, passengers }) {
+  const matchedMethod = offerKind === "payment"
+    ? getMatchedSelectedPaymentMethod(offer, selectedPaymentMethods)
+    : null;
+  return resolvePortalConvenienceFee(schedules, {
+    portal,
+    paymentBuckets: matchedMethod ? [normalizePaymentType(matchedMethod.type)] : selectedPaymentBuckets,
+    isDomestic,
+    passengers
+  });
 }
 
 // Neither generic_checkout_* collection has any index beyond the default
@@ -7645,6 +10844,138 @@ function slimFlightForSearchResponse(flight) {
   };
 }
 
+// --------------------
+// Search sessions
+// --------------------
+// /reprice-flights and /payment-suggestions used to need the client to echo
+// every loaded flight back, bestDeal and all - the reason the JSON body
+// limit had to go to 2mb, and it meant the price being repriced was
+// whatever the client claimed. /search now keeps its (slimmed) flights
+// here under a searchId, and both endpoints accept { searchId,
+// paymentMethods } instead. In-memory like paymentSuggestionsCache: a
+// restart just means the client gets a 410 and re-runs /search.
+const SEARCH_SESSION_TTL_MS = Number(process.env.SEARCH_SESSION_TTL_MS || 30 * 60 * 1000);
+const SEARCH_SESSION_MAX_ENTRIES = Number(process.env.SEARCH_SESSION_MAX_ENTRIES || 200);
+const searchSessions = new Map();
+
+function getSearchSession(searchId) {
+  const session = searchSessions.get(String(searchId || ""));
+  if (!session) return null;
+  if (Date.now() >= session.expiresAt) {
+    searchSessions.delete(session.searchId);
+    return null;
+  }
+  return session;
+}
+
+// Page 2 (same route, same body.searchId) merges into page 1's session
+// rather than starting a new one, so follow-up calls see every loaded
+// flight. Anything else - unknown/expired id, or an id from a different
+// route - starts a fresh session.
+function saveSearchSession({ searchId, query, page, outboundFlights, returnFlights, pricedForPaymentMethods }) {
+  const now = Date.now();
+  const queryKey = JSON.stringify(query);
+  let session = getSearchSession(searchId);
+
+  if (!session || session.queryKey !== queryKey) {
+    session = {
+      searchId: randomUUID(),
+      queryKey,
+      query,
+      createdAt: now,
+      pages: {},
+      flightsById: new Map(),
+      pricedForPaymentMethods
+    };
+  } else if (JSON.stringify(session.pricedForPaymentMethods) !== JSON.stringify(pricedForPaymentMethods)) {
+    // Pages priced for different selections - nothing in the session can
+    // be trusted as "current" any more; the next follow-up reprices.
+    session.pricedForPaymentMethods = null;
+  }
+
+  session.pages[page] = {
+    outboundFlightIds: outboundFlights.map((f) => f.flightId),
+    returnFlightIds: returnFlights.map((f) => f.flightId)
+  };
+  for (const f of [...outboundFlights, ...returnFlights]) {
+    session.flightsById.set(f.flightId, f);
+  }
+  session.expiresAt = now + SEARCH_SESSION_TTL_MS;
+
+  searchSessions.delete(session.searchId);
+  searchSessions.set(session.searchId, session);
+  while (searchSessions.size > SEARCH_SESSION_MAX_ENTRIES) {
+    searchSessions.delete(searchSessions.keys().next().value);
+  }
+
+  return session;
+}
+
+// Every flight of one direction across all loaded pages, in page order.
+function searchSessionFlights(session, direction) {
+  const idsKey = direction === "return" ? "returnFlightIds" : "outboundFlightIds";
+  return Object.keys(session.pages)
+    .sort((a, b) => Number(a) - Number(b))
+    .flatMap((page) => session.pages[page][idsKey])
+    .map((id) => session.flightsById.get(id))
+    .filter(Boolean);
+}
+
+// Validates body.legs for tripType "multi-city" - [{ from, to,
+// departureDate }], 2..MULTI_CITY_MAX_LEGS entries. Returns
+// { legs } or { error } rather than throwing, so /search can answer
+// with its usual 400 shape.
+function parseMultiCityLegs(rawLegs) {
+  if (!Array.isArray(rawLegs) || rawLegs.length < 2) {
+    return { error: "multi-city search needs at least 2 legs" };
+  }
+  if (rawLegs.length > MULTI_CITY_MAX_LEGS) {
+    return { error: `multi-city search supports at most ${MULTI_CITY_MAX_LEGS} legs` };
+  }
+
+  const legs = [];
+  for (let i = 0; i < rawLegs.length; i++) {
+    const raw = rawLegs[i] || {};
+    const from = String(raw.from || "").trim().toUpperCase();
+    const to = String(raw.to || "").trim().toUpperCase();
+    const date = toISO(raw.departureDate || raw.date);
+    if (!from || !to || !date) {
+      return { error: `Missing from/to/departureDate on leg ${i + 1}` };
+    }
+    if (i > 0 && date < legs[i - 1].date) {
+      return { error: `Leg ${i + 1} departs before leg ${i}` };
+    }
+    legs.push({ from, to, date });
+  }
+  return { legs };
+}
+
+// Same idea as /compare-selected-trip's round-trip bundleFlight: one
+// synthetic flight whose price is the sum of every leg, so the whole
+// itinerary goes through applyOffersToFlight as a single booking (a
+// portal's min-transaction / cap rules apply to the combined cart, not to
+// each leg on its own).
+function buildMultiCityBundleFlight(legFlights) {
+  const legBases = legFlights.map((f) => Number(f.price || 0));
+  const bundleBase = Math.round(legBases.reduce((sum, p) => sum + p, 0) * 100) / 100;
+
+  return {
+    airlineName: legFlights.map((f) => f.airlineName || "Flight").join(" + "),
+    flightNumber: legFlights.map((f) => f.flightNumber).filter(Boolean).join(" / ") || "Multi-city",
+    departureTime: legFlights[0]?.departureTime || null,
+    arrivalTime: legFlights[legFlights.length - 1]?.arrivalTime || null,
+    stops: legFlights.reduce((sum, f) => sum + Number(f.stops || 0), 0),
+    price: bundleBase,
+    priceSource: "multi_city_cheapest_bundle",
+    bundle: {
+      type: "multi-city",
+      legFlights,
+      legBases,
+      bundleBase
+    }
+  };
+}
+
 app.post("/search", async (req, res) => {
   const body = req.body || {};
   const meta = { source: "flightapi", outStatus: 0, retStatus: 0, request: {} };
@@ -7686,7 +11017,19 @@ app.post("/search", async (req, res) => {
     const outDate = toISO(body.departureDate);
     const retDate = toISO(body.returnDate);
 
-    const tripType = body.tripType === "round-trip" ? "round-trip" : "one-way";
+    const tripType = body.tripType === "round-trip" || body.tripType === "multi-city" ? body.tripType : "one-way";
+    const isMultiCitySearch = tripType === "multi-city";
+    // Open-jaw (2026-10): optional returnFrom/returnTo, defaulting to the
+    // usual to -> from mirror. Each side still gets its own metro-group
+    // expansion inside buildLegFlights.
+    const returnFrom = String(body.returnFrom || "").trim().toUpperCase() || to;
+    const returnTo = String(body.returnTo || "").trim().toUpperCase() || from;
+    const isOpenJawSearch = tripType === "round-trip" && isOpenJawTrip({ from, to, returnFrom, returnTo });
+    // A multi-city booking is neither a one-way nor a round trip, so it's
+    // priced as "multi-city" - round-trip-only and one-way-only offers both
+    // stay excluded (offerTripTypeRestrictionReason). Open-jaw depends on
+    // the portal (resolveOfferTripTypeForPortal).
+    const offerTripType = isMultiCitySearch ? "multi-city" : isOpenJawSearch ? "open-jaw" : tripType;
     const adults = Math.max(
       1,
       Math.floor(Number(body.adults ?? body.passengers ?? 1) || 1)
@@ -7737,7 +11080,64 @@ app.post("/search", async (req, res) => {
     meta.page = page;
     meta.pageSize = PAGE_SIZE;
 
-    if (!from || !to || !outDate) {
+    const layoverExclusions = parseLayoverFlagExclusions(body.excludeLayoverFlags);
+    if (layoverExclusions.error) {
+      return res.status(400).json({
+        meta: { ...meta, error: layoverExclusions.error },
+        outboundFlights: [],
+        returnFlights: []
+      });
+    }
+    const excludedLayoverFlags = layoverExclusions.flags;
+    if (excludedLayoverFlags.length > 0) meta.excludedLayoverFlags = excludedLayoverFlags;
+
+    const alternateAirports = parseAlternateAirportOption(body.alternateAirports);
+    if (alternateAirports.error) {
+      return res.status(400).json({
+        meta: { ...meta, error: alternateAirports.error },
+        outboundFlights: [],
+        returnFlights: []
+      });
+    }
+
+    const resultOptions = parseSearchResultOptions(body);
+    if (resultOptions.error) {
+      return res.status(400).json({
+        meta: { ...meta, error: resultOptions.error },
+        outboundFlights: [],
+        returnFlights: []
+      });
+    }
+    const { filters: resultFilters, sortMode, valueWeights } = resultOptions;
+    meta.sort = sortMode;
+    if (valueWeights !== VALUE_SCORE_WEIGHTS) meta.valueWeights = valueWeights;
+    if (Object.keys(resultFilters).length > 0) meta.resultFilters = resultFilters;
+
+    if (isOpenJawSearch) {
+      meta.openJaw = {
+        returnFrom,
+        returnTo,
+        offerTripTypeByPortal: Object.fromEntries(
+          pricingPortalNames().map((portal) => [portal, resolveOfferTripTypeForPortal("open-jaw", portal)])
+        )
+      };
+    }
+
+    let multiCityLegs = null;
+    if (isMultiCitySearch) {
+      const parsedLegs = parseMultiCityLegs(body.legs);
+      if (parsedLegs.error) {
+        return res.status(400).json({
+          meta: { ...meta, error: parsedLegs.error },
+          legs: [],
+          outboundFlights: [],
+          returnFlights: [],
+        });
+      }
+      multiCityLegs = parsedLegs.legs;
+      meta.tripType = tripType;
+      meta.legCount = multiCityLegs.length;
+    } else if (!from || !to || !outDate) {
       return res.status(400).json({
         meta: { ...meta, error: "Missing from/to/departureDate" },
         outboundFlights: [],
@@ -7793,21 +11193,26 @@ app.post("/search", async (req, res) => {
       direction,
       fromAirport,
       toAirport,
-      date
+      date,
+      // Multi-city legs (0-based) - each gets its own leg1/leg2/... meta
+      // and timing keys instead of all writing over outTried/outStatus.
+      legIndex = null
     }) {
       const isReturn = direction === "return";
-      const prefix = isReturn ? "ret" : "out";
-      const directionLabel = isReturn ? "return" : "outbound";
+      const legNumber = Number.isInteger(legIndex) ? legIndex + 1 : null;
+      const prefix = legNumber ? `leg${legNumber}` : isReturn ? "ret" : "out";
+      const directionLabel = legNumber ? `leg ${legNumber}` : isReturn ? "return" : "outbound";
+      const timingLabel = legNumber ? `Leg${legNumber}` : isReturn ? "Return" : "Outbound";
 
-      const flightApiTimingKey = isReturn ? "flightApiReturnMs" : "flightApiOutboundMs";
-      const mapTimingKey = isReturn ? "mapReturnMs" : "mapOutboundMs";
-      const pricingTimingKey = isReturn ? "offerPricingReturnMs" : "offerPricingOutboundMs";
+      const flightApiTimingKey = `flightApi${timingLabel}Ms`;
+      const mapTimingKey = `map${timingLabel}Ms`;
+      const pricingTimingKey = `offerPricing${timingLabel}Ms`;
 
-      const triedKey = isReturn ? "retTried" : "outTried";
-      const rawFlightsKey = isReturn ? "retRawFlights" : "outRawFlights";
-      const returnedFlightsKey = isReturn ? "retReturnedFlights" : "outReturnedFlights";
-      const statusKey = isReturn ? "retStatus" : "outStatus";
-      const carrierRuleKey = isReturn ? "retCarrierPriceRule" : "outCarrierPriceRule";
+      const triedKey = `${prefix}Tried`;
+      const rawFlightsKey = `${prefix}RawFlights`;
+      const returnedFlightsKey = `${prefix}ReturnedFlights`;
+      const statusKey = `${prefix}Status`;
+      const carrierRuleKey = `${prefix}CarrierPriceRule`;
 
       const legStart = Date.now();
 
@@ -7827,9 +11232,28 @@ app.post("/search", async (req, res) => {
           }
         }
 
-        const pairResults = await Promise.allSettled(
-          airportPairs.map((pair) =>
-            fetchOneWayTrip({
+        // Every active provider (see FLIGHT_PROVIDER_REGISTRY) runs in
+        // parallel, not one after another, so a FlightAPI timeout never
+        // adds Kiwi's own latency on top. "airport-pair" providers fan out
+        // per metro pair; "leg" providers (Kiwi's city-level search already
+        // spans a metro group) get one call, filtered back to
+        // fromGroup/toGroup below.
+        const providers = getActiveFlightProviders();
+        if (providers.length === 0) {
+          const err = new Error("No flight-data provider is enabled (check FLIGHT_PROVIDERS and provider API keys)");
+          err.status = 503;
+          throw err;
+        }
+
+        const providerCalls = [];
+        for (const provider of providers) {
+          const pairs = provider.queryScope === "airport-pair" ? airportPairs : [{ from: fromAirport, to: toAirport }];
+          for (const pair of pairs) providerCalls.push({ provider, pair });
+        }
+
+        const callResults = await Promise.allSettled(
+          providerCalls.map(({ provider, pair }) =>
+            fetchFromProvider(provider, {
               from: pair.from,
               to: pair.to,
               date,
@@ -7837,40 +11261,63 @@ app.post("/search", async (req, res) => {
               children: flightApiPassengerCounts.children,
               infants: flightApiPassengerCounts.infants,
               cabin,
-              currency
+              currency,
+              direction: directionLabel
             })
           )
         );
 
         timings[flightApiTimingKey] = Date.now() - legStart;
 
+        const fromSet = new Set(fromGroup);
+        const toSet = new Set(toGroup);
         const triedAll = [];
-        let combinedFlightsRaw = [];
-        let combinedItinerariesCount = 0;
+        const flightsByProvider = new Map(providers.map((p) => [p.id, []]));
+        const providerStats = Object.fromEntries(providers.map((p) => [p.id, {
+          ok: false,
+          calls: 0,
+          itineraries: 0,
+          flights: 0
+        }]));
         let lastStatus = 0;
         let firstRawShape = null;
+        const staleCalls = [];
 
-        pairResults.forEach((settled, i) => {
-          const pair = airportPairs[i];
+        callResults.forEach((settled, i) => {
+          const { provider, pair } = providerCalls[i];
+          const stats = providerStats[provider.id];
+          stats.calls++;
 
           if (settled.status !== "fulfilled") {
-            triedAll.push({
-              from: pair.from,
-              to: pair.to,
-              status: "ERROR",
-              error: settled.reason?.message || String(settled.reason)
-            });
+            // Keep every attempt the provider made (timeouts, 5xx bodies)
+            // when it has them - that detail is what verify-contract.mjs
+            // prints to tell a runtime outage from a contract break.
+            const reasonTried = Array.isArray(settled.reason?.tried) ? settled.reason.tried : [];
+            triedAll.push(...(reasonTried.length
+              ? reasonTried.map((t) => ({ ...t, pairFrom: pair.from, pairTo: pair.to }))
+              : [{
+                  provider: provider.id,
+                  from: pair.from,
+                  to: pair.to,
+                  status: "ERROR",
+                  error: settled.reason?.message || String(settled.reason)
+                }]));
+            stats.error = stats.error || settled.reason?.message || String(settled.reason);
             return;
           }
 
           const res = settled.value;
+          stats.ok = true;
           lastStatus = res.status;
           triedAll.push(...(res.tried || []).map((t) => ({ ...t, pairFrom: pair.from, pairTo: pair.to })));
+          if (res.stale) {
+            staleCalls.push({ provider: provider.id, direction: directionLabel, from: pair.from, to: pair.to, ...res.stale });
+          }
 
-          const itinerariesCount = Array.isArray(res.data?.itineraries) ? res.data.itineraries.length : 0;
-          combinedItinerariesCount += itinerariesCount;
+          const itinerariesCount = provider.countItineraries(res.data);
+          stats.itineraries += itinerariesCount;
 
-          if (!firstRawShape) {
+          if (!firstRawShape && provider.id === FLIGHT_PROVIDER_REGISTRY.flightapi.id) {
             firstRawShape = {
               topLevelKeys: Object.keys(res.data || {}),
               itineraries: itinerariesCount,
@@ -7884,14 +11331,18 @@ app.post("/search", async (req, res) => {
             };
           }
 
-          const pairFlights = mapFlightsFromFlightAPI(res.data);
-          // Each pair's own from/to is exactly which physical airport its
-          // flights use - no need to parse it back out of FlightAPI's raw
-          // places data, we already know it from the query itself.
-          pairFlights.forEach((f) => {
-            f.departureAirportCode = pair.from;
-            f.arrivalAirportCode = pair.to;
-          });
+          let callFlights = provider.mapFlights(res.data);
+          if (provider.queryScope === "airport-pair") {
+            // Each pair's own from/to is exactly which physical airport its
+            // flights use - no need to parse it back out of the provider's
+            // raw places data, we already know it from the query itself.
+            callFlights.forEach((f) => {
+              f.departureAirportCode = pair.from;
+              f.arrivalAirportCode = pair.to;
+            });
+          } else {
+            callFlights = callFlights.filter((f) => fromSet.has(f.departureAirportCode) && toSet.has(f.arrivalAirportCode));
+          }
 
           // Domestic-route sanity filter (2026-08-03, founder report): a
           // domestic (India-to-India) search should never surface an
@@ -7905,81 +11356,165 @@ app.post("/search", async (req, res) => {
           // than assumed domestic - if we can't confirm it's safe, don't
           // show it, matching "never show that" rather than "show it
           // unless we can prove it's foreign." Filtered here (not inside
-          // mapFlightsFromFlightAPI) since "domestic" is a property of
-          // THIS pair's own query (pair.from/pair.to), not of the raw
-          // itinerary data itself - metro-group expansion never mixes
-          // domestic and foreign airports, so pair.from/pair.to always
-          // agrees with the route the user actually searched.
-          const pairIsDomestic = isIndianAirportIata(pair.from) && isIndianAirportIata(pair.to);
-          const domesticSafeFlights = pairIsDomestic
-            ? pairFlights.filter((f) => (f.layovers || []).every((l) => l.countryCode === "IN"))
-            : pairFlights;
-
-          combinedFlightsRaw = combinedFlightsRaw.concat(domesticSafeFlights);
+          // each provider's mapFlights) since "domestic" is a property of
+          // the flight's own airport pair, not of the raw itinerary data
+          // itself - metro-group expansion never mixes domestic and
+          // foreign airports, so that pair always agrees with the route
+          // the user actually searched.
+          const domesticSafeFlights = callFlights.filter(isDomesticSafeFlight);
+          domesticSafeFlights.forEach((f) => {
+            f.flightId = canonicalFlightId(f);
+          });
+
+          stats.flights += domesticSafeFlights.length;
+          flightsByProvider.get(provider.id).push(...domesticSafeFlights);
         });
 
-        if (combinedFlightsRaw.length === 0 && pairResults.every((s) => s.status !== "fulfilled")) {
-          // Every single pair failed outright (not just "0 flights") -
-          // surface this the same way a single-pair failure used to, so
-          // the existing error-handling/UI path is unaffected.
-          const firstRejection = pairResults.find((s) => s.status === "rejected");
-          throw firstRejection?.reason || new Error(`${directionLabel} FlightAPI search failed`);
+        const merged = mergeProviderFlights(
+          providers.map((p) => ({ providerId: p.id, flights: flightsByProvider.get(p.id) }))
+        );
+        for (const [providerId, mergeStats] of Object.entries(merged.statsByProvider)) {
+          Object.assign(providerStats[providerId], mergeStats);
+        }
+        meta[`${prefix}Providers`] = providerStats;
+
+        // One summary across every leg/provider call that was served from
+        // a past-TTL cache entry - ageMs is the oldest one on screen, and
+        // reason is "live_fetch_failed" if any of them stood in for a
+        // failed live fetch (vs. "revalidating": served while a background
+        // refresh runs).
+        if (staleCalls.length > 0) {
+          const calls = [...(meta.staleResults?.calls || []), ...staleCalls];
+          meta.staleResults = {
+            ageMs: Math.max(...calls.map((c) => c.ageMs)),
+            reason: calls.some((c) => c.reason === "live_fetch_failed") ? "live_fetch_failed" : "revalidating",
+            calls
+          };
+        }
+
+        if (merged.flights.length === 0 && callResults.every((s) => s.status !== "fulfilled")) {
+          // Every single call to every provider failed outright (not just
+          // "0 flights") - surface this the same way a single-pair failure
+          // used to, so the existing error-handling/UI path is unaffected.
+          const firstRejection = callResults.find((s) => s.status === "rejected");
+          const err = firstRejection?.reason || new Error(`${directionLabel} flight search failed`);
+          err.tried = triedAll;
+          throw err;
         }
 
         meta[statusKey] = lastStatus;
         meta.request[triedKey] = triedAll;
 
-        if (!isReturn && firstRawShape) {
+        if ((prefix === "out" || legNumber === 1) && firstRawShape) {
           meta.flightApiRawShape = firstRawShape;
         }
 
         if (airportPairs.length > 1) {
-          meta[isReturn ? "retAirportPairs" : "outAirportPairs"] = airportPairs;
+          meta[`${prefix}AirportPairs`] = airportPairs;
         }
 
         const mapStart = Date.now();
-        const flightsRaw = combinedFlightsRaw;
-        const flightsSorted = limitAndSortFlights(flightsRaw);
-        const flightsLimited = flightsSorted.slice(pageStart, pageEnd);
+        // excludeLayoverFlags drops flagged itineraries before sorting and
+        // paging, so page sizes and HasMore stay honest.
+        const flightsAfterLayoverExclusions = excludedLayoverFlags.length > 0
+          ? merged.flights.filter((f) => !excludedLayoverFlags.some((name) => f.layoverFlags?.[name]))
+          : merged.flights;
+        if (excludedLayoverFlags.length > 0) {
+          meta[`${prefix}LayoverExcluded`] = merged.flights.length - flightsAfterLayoverExclusions.length;
+        }
+        const flightsRaw = flightsAfterLayoverExclusions.filter((f) => flightPassesResultFilters(f, resultFilters));
+        if (Object.keys(resultFilters).length > 0) {
+          meta[`${prefix}Filtered`] = flightsAfterLayoverExclusions.length - flightsRaw.length;
+        }
         timings[mapTimingKey] = Date.now() - mapStart;
 
-        meta[rawFlightsKey] = flightsRaw.length;
-        meta[returnedFlightsKey] = flightsLimited.length;
-        meta[isReturn ? "retHasMore" : "outHasMore"] = flightsSorted.length > pageEnd;
-        meta[carrierRuleKey] = {
-          flightApiItineraries: combinedItinerariesCount,
-          keptWithCarrierPrice: flightsRaw.length,
-          skippedWithoutCarrierPrice: combinedItinerariesCount - flightsRaw.length
-        };
-
         const routeIsDomestic = isDomesticRoute(fromAirport, toAirport);
 
-        const pricingStart = Date.now();
-        const enriched = [];
-        for (const f of flightsLimited) {
-          enriched.push(
-            await applyOffersToFlight(
+        // One pricing per flight per leg, whether a sort mode needed it
+        // first or the page does.
+        const pricedFlights = new Map();
+        const priceFlight = async (f) => {
+          if (!pricedFlights.has(f)) {
+            pricedFlights.set(f, await applyOffersToFlight(
               f,
               selectedPaymentMethods,
               offers,
               offerEligibilityPassengers,
               cabin,
-              tripType,
+              offerTripType,
               routeIsDomestic,
               timings.offerPricingBreakdown || (timings.offerPricingBreakdown = {}),
               offerPricingRequestCache,
               genericDisplayContext,
               null,
               flightApiPassengerCounts.infants
-            )
-          );
+            ));
+          }
+          return pricedFlights.get(f);
+        };
+
+        const pricingStart = Date.now();
+        if (SEARCH_SORT_MODES[sortMode].needsPricing) {
+          const pricingPool = [...flightsRaw]
+            .sort((a, b) => Number(a.price || 0) - Number(b.price || 0))
+            .slice(0, SEARCH_PRICED_SORT_MAX_FLIGHTS);
+          for (const f of pricingPool) {
+            await priceFlight(f);
+          }
+        }
+        const valueScores = sortMode === "best_value"
+          ? scoreFlightsForValue(flightsRaw, pricedFlights, valueWeights)
+          : null;
+        const flightsSorted = sortFlightsForMode(flightsRaw, sortMode, pricedFlights, valueScores);
+        const flightsLimited = flightsSorted.slice(pageStart, pageEnd);
+        // Search sessions key flights by flightId, so one whose canonical id
+        // couldn't be built (a provider row missing a segment's flight
+        // number) falls back to its rank in the full sorted list - unique
+        // within this search, though not across searches or providers.
+        flightsLimited.forEach((f, i) => {
+          if (!f.flightId) f.flightId = `${prefix}-${pageStart + i}`;
+        });
+
+        meta[rawFlightsKey] = flightsRaw.length;
+        meta[returnedFlightsKey] = flightsLimited.length;
+        meta[`${prefix}HasMore`] = flightsSorted.length > pageEnd;
+
+        const carrierRuleStats = providers
+          .filter((p) => p.appliesCarrierPriceRule)
+          .map((p) => providerStats[p.id]);
+        const carrierRuleItineraries = carrierRuleStats.reduce((sum, st) => sum + st.itineraries, 0);
+        const carrierRuleKept = carrierRuleStats.reduce((sum, st) => sum + st.flights, 0);
+        meta[carrierRuleKey] = {
+          flightApiItineraries: carrierRuleItineraries,
+          keptWithCarrierPrice: carrierRuleKept,
+          skippedWithoutCarrierPrice: carrierRuleItineraries - carrierRuleKept
+        };
+
+        for (const f of flightsLimited) {
+          await priceFlight(f);
         }
+        const enriched = flightsLimited.map((f) => ({
+          ...pricedFlights.get(f),
+          // A copy priced during sorting predates a fallback flightId.
+          flightId: f.flightId,
+          ...(valueScores?.get(f) || {})
+        }));
         timings[pricingTimingKey] = Date.now() - pricingStart;
 
+        // Baseline for alternateAirports' savingVsSearched - priced the
+        // same way as each alternate (see cheapestPricedFlight).
+        const cheapest = alternateAirports.option && direction === "outbound" && !legNumber
+          ? await cheapestPricedFlight(flightsRaw, priceFlight)
+          : null;
+
         return {
           ok: true,
           direction: directionLabel,
           flights: enriched,
+          // Every flight that passed the filters, not just this page - the
+          // multi-city itinerary picks its legs from here.
+          flightsRaw,
+          cheapest,
           error: null
         };
       } catch (e) {
@@ -7999,53 +11534,195 @@ app.post("/search", async (req, res) => {
           message
         };
 
-        return {
-          ok: false,
-          direction: directionLabel,
-          flights: [],
-          error: message,
-          status
+        return {
+          ok: false,
+          direction: directionLabel,
+          flights: [],
+          error: message,
+          status
+        };
+      }
+    }
+
+    if (isMultiCitySearch) {
+      const legResults = await Promise.all(
+        multiCityLegs.map((leg, legIndex) =>
+          buildLegFlights({
+            direction: "outbound",
+            fromAirport: leg.from,
+            toAirport: leg.to,
+            date: leg.date,
+            legIndex
+          })
+        )
+      );
+
+      const legs = multiCityLegs.map((leg, i) => ({
+        leg: i + 1,
+        from: leg.from,
+        to: leg.to,
+        departureDate: leg.date,
+        ok: Boolean(legResults[i]?.ok),
+        error: legResults[i]?.error || null,
+        flights: legResults[i]?.flights || []
+      }));
+      const legCandidates = legResults.map((r) => r?.flightsRaw || []);
+
+      meta.partialResults = {
+        enabled: true,
+        legsOk: legs.map((l) => l.ok),
+        legCounts: legs.map((l) => l.flights.length)
+      };
+
+      if (legs.every((l) => !l.ok)) {
+        timings.totalMs = Date.now() - searchStartedAt;
+        meta.timings = timings;
+        meta.error = "Every multi-city leg's flight search failed";
+        return res.status(500).json({
+          meta,
+          legs: legs.map((l) => ({ ...l, flights: [] })),
+          cheapestItinerary: null,
+          outboundFlights: [],
+          returnFlights: []
+        });
+      }
+
+      // Cheapest itinerary = cheapest base fare on every leg (across the
+      // leg's whole filtered list, not the returned page), re-priced as one
+      // booking. Only possible when every leg actually has flights - a
+      // missing leg is reported via meta.warning rather than guessed at.
+      let cheapestItinerary = null;
+      if (legCandidates.every((flights) => flights.length > 0)) {
+        const legPicks = legCandidates.map((flights) =>
+          flights.reduce((best, f) => (Number(f.price || 0) < Number(best.price || 0) ? f : best))
+        );
+        const pricingStart = Date.now();
+        const enrichedBundle = await applyOffersToFlight(
+          buildMultiCityBundleFlight(legPicks),
+          selectedPaymentMethods,
+          offers,
+          offerEligibilityPassengers,
+          cabin,
+          offerTripType,
+          multiCityLegs.every((leg) => isDomesticRoute(leg.from, leg.to)),
+          timings.offerPricingBreakdown || (timings.offerPricingBreakdown = {}),
+          offerPricingRequestCache,
+          genericDisplayContext,
+          null,
+          flightApiPassengerCounts.infants
+        );
+        timings.offerPricingBundleMs = Date.now() - pricingStart;
+
+        cheapestItinerary = {
+          tripType,
+          bookingMode: "same-portal",
+          note: "Prices assume every leg is booked together as one multi-city booking on the same portal.",
+          legFlights: legPicks.map(slimFlightForSearchResponse),
+          baseTotal: enrichedBundle.price,
+          portalPrices: (enrichedBundle.portalPrices || []).map(slimPortalPriceForSearchResponse),
+          bestDeal: slimPortalPriceForSearchResponse(enrichedBundle.bestDeal || null)
         };
+      } else {
+        meta.warning = `No flights available for leg ${legs[legCandidates.findIndex((flights) => flights.length === 0)].leg} - cheapest itinerary not computed`;
       }
-    }
 
-    let outboundResult = null;
-    let returnResult = null;
+      timings.totalMs = Date.now() - searchStartedAt;
+      meta.timings = timings;
+
+      // No payment-suggestions head start here - its cache key and ranking
+      // are built around one outbound + one optional return list.
+      return res.json({
+        meta,
+        legs: legs.map((l) => ({ ...l, flights: l.flights.map(slimFlightForSearchResponse) })),
+        cheapestItinerary,
+        outboundFlights: [],
+        returnFlights: []
+      });
+    }
 
-    if (tripType === "round-trip" && retDate) {
-      [outboundResult, returnResult] = await Promise.all([
-        buildLegFlights({
+    // Both legs are issued before the alternate-airport extra below starts,
+    // so the user's own search is always first in the provider queues.
+    const legsPromise = tripType === "round-trip" && retDate
+      ? Promise.all([
+          buildLegFlights({
+            direction: "outbound",
+            fromAirport: from,
+            toAirport: to,
+            date: outDate
+          }),
+          buildLegFlights({
+            direction: "return",
+            fromAirport: returnFrom,
+            toAirport: returnTo,
+            date: retDate
+          })
+        ])
+      : buildLegFlights({
           direction: "outbound",
           fromAirport: from,
           toAirport: to,
           date: outDate
-        }),
-        buildLegFlights({
-          direction: "return",
-          fromAirport: to,
-          toAirport: from,
-          date: retDate
+        }).then((outbound) => [
+          outbound,
+          {
+            ok: true,
+            direction: "return",
+            flights: [],
+            error: null
+          }
+        ]);
+
+    // Outbound leg only, page 1 only - later pages are the same search.
+    // Not awaited: its budget-headroom check and fetches (low priority -
+    // see createProviderSlotPool) run alongside the main search.
+    const alternateSearchStarted = alternateAirports.option && page === 1
+      ? startAlternateAirportSearch({
+          from,
+          to,
+          radiusKm: alternateAirports.option.radiusKm,
+          date: outDate,
+          passengerCounts: flightApiPassengerCounts,
+          cabin,
+          currency,
+          keepFlight: (f) =>
+            !excludedLayoverFlags.some((name) => f.layoverFlags?.[name]) &&
+            flightPassesResultFilters(f, resultFilters),
+          priceFlight: (f, isDomestic) => applyOffersToFlight(
+            f,
+            selectedPaymentMethods,
+            offers,
+            offerEligibilityPassengers,
+            cabin,
+            offerTripType,
+            isDomestic,
+            null,
+            offerPricingRequestCache,
+            genericDisplayContext,
+            null,
+            flightApiPassengerCounts.infants
+          )
+        }).catch((err) => {
+          console.error("[SkyDeal] alternate airport search failed to start", err?.message || err);
+          return { radiusKm: alternateAirports.option.radiusKm, skipped: "error", candidates: [], searches: [] };
         })
-      ]);
-    } else {
-      outboundResult = await buildLegFlights({
-        direction: "outbound",
-        fromAirport: from,
-        toAirport: to,
-        date: outDate
-      });
+      : null;
 
-      returnResult = {
-        ok: true,
-        direction: "return",
-        flights: [],
-        error: null
-      };
-    }
+    const [outboundResult, returnResult] = await legsPromise;
 
     const outboundFlights = outboundResult?.flights || [];
     const returnFlights = returnResult?.flights || [];
 
+    if (alternateSearchStarted) {
+      const alternateStart = Date.now();
+      const { suggestions, summary } = await resolveAlternateAirportSuggestions(
+        await alternateSearchStarted,
+        outboundResult?.cheapest?.finalPrice
+      );
+      meta.alternateAirportSuggestions = suggestions;
+      meta.alternateAirportSearch = summary;
+      timings.alternateAirportsWaitMs = Date.now() - alternateStart;
+    }
+
     meta.partialResults = {
       enabled: tripType === "round-trip",
       outboundOk: Boolean(outboundResult?.ok),
@@ -8124,7 +11801,41 @@ app.post("/search", async (req, res) => {
     // already-normalized locals.
     const dateOrNull = (d) => (/^\d{4}-\d{2}-\d{2}$/.test(String(d || "")) ? d : null);
 
-    if (page === 1 && outboundFlights.length > 0) {
+    const slimOutboundFlights = outboundFlights.map(slimFlightForSearchResponse);
+    const slimReturnFlights = returnFlights.map(slimFlightForSearchResponse);
+
+    // Stored in exactly the shape validatePaymentRepriceRequest would have
+    // built from the client's own echo - see resolvePaymentRepriceRequest.
+    // Open-jaw has no follow-up support (see the head start below), so no
+    // session either.
+    if (!isOpenJawSearch && (slimOutboundFlights.length > 0 || slimReturnFlights.length > 0)) {
+      const session = saveSearchSession({
+        searchId: body.searchId,
+        query: {
+          from,
+          to,
+          travelClass: cabin,
+          tripType,
+          passengers: offerEligibilityPassengers,
+          outboundTravelDate: dateOrNull(outDate),
+          returnTravelDate: dateOrNull(retDate),
+          excludedLayoverFlags,
+          resultFilters,
+          sortMode,
+          valueWeights
+        },
+        page,
+        outboundFlights: slimOutboundFlights,
+        returnFlights: slimReturnFlights,
+        pricedForPaymentMethods: selectedPaymentMethodsRaw
+      });
+      meta.searchId = session.searchId;
+      meta.searchSessionExpiresAt = new Date(session.expiresAt).toISOString();
+    }
+
+    // Open-jaw is skipped too: /payment-suggestions has no returnFrom/
+    // returnTo and would price this as a plain round trip.
+    if (page === 1 && outboundFlights.length > 0 && !isOpenJawSearch) {
       getOrComputePaymentSuggestions(
         {
           from,
@@ -8152,8 +11863,8 @@ app.post("/search", async (req, res) => {
 
     return res.json({
       meta,
-      outboundFlights: outboundFlights.map(slimFlightForSearchResponse),
-      returnFlights: returnFlights.map(slimFlightForSearchResponse)
+      outboundFlights: slimOutboundFlights,
+      returnFlights: slimReturnFlights
     });
   } catch (e) {
     const status = e?.status || e?.response?.status || 500;
@@ -8167,6 +11878,242 @@ app.post("/search", async (req, res) => {
   }
 });
 
+// --------------------
+// Flexible-date fare calendar
+// --------------------
+// "Is it cheaper a day earlier?" used to cost one full /search per date.
+// /fare-calendar answers it for a whole ±N-day window in one call, reusing
+// fetchOneWayTrip (so any date /search already fetched in the last
+// FLIGHTAPI_CACHE_TTL_MS is free, and vice versa) and applyOffersToFlight
+// (so the offer-adjusted price is the exact same number /search would show).
+const FARE_CALENDAR_CONFIG = {
+  defaultWindowDays: 3,
+  maxWindowDays: 7,
+  // Calendar days are fetched at most this many at a time, across every
+  // in-flight calendar request combined - always strictly below
+  // FLIGHTAPI_MAX_CONCURRENCY, so a calendar request can never take every
+  // FlightAPI slot and queue live /search traffic behind it.
+  maxConcurrentDays: Math.max(
+    1,
+    Math.min(
+      Number(process.env.FARE_CALENDAR_MAX_CONCURRENCY || 2),
+      FLIGHTAPI_MAX_CONCURRENCY - 1
+    )
+  ),
+  // Offers are only priced for the N cheapest carrier fares per day (same
+  // sampling idea as candidateScreeningFlightSample) - pricing every flight
+  // on every day of a 15-day window is a full /search's worth of offer
+  // evaluation per day. The carrier-fare minimum itself is always exact.
+  pricedFlightsPerDay: 10
+};
+
+const fareCalendarSlotPool = createProviderSlotPool(FARE_CALENDAR_CONFIG.maxConcurrentDays);
+
+async function withProviderSlot(pool, fn) {
+  await acquireProviderSlot(pool);
+  try {
+    return await fn();
+  } finally {
+    releaseProviderSlot(pool);
+  }
+}
+
+function fareCalendarFlightSummary(flight) {
+  return {
+    flightId: flight.flightId || null,
+    airlineName: flight.airlineName,
+    displayAirlineName: flight.displayAirlineName || flight.airlineName,
+    flightNumber: flight.flightNumber,
+    departureTime: flight.departureTime,
+    arrivalTime: flight.arrivalTime,
+    stops: flight.stops
+  };
+}
+
+async function buildFareCalendarDay({ date, query, pricing }) {
+  const dayStart = Date.now();
+
+  let fetched;
+  try {
+    fetched = await withProviderSlot(fareCalendarSlotPool, () =>
+      fetchOneWayTrip({ ...query, date, direction: "calendar" })
+    );
+  } catch (e) {
+    return {
+      date,
+      ok: false,
+      error: e?.message || "FlightAPI search failed",
+      status: e?.status || 500,
+      carrierFare: null,
+      bestFinal: null,
+      flightsFound: 0,
+      elapsedMs: Date.now() - dayStart
+    };
+  }
+
+  // Same domestic foreign-layover rule as buildLegFlights.
+  const routeIsDomesticPair = isIndianAirportIata(query.from) && isIndianAirportIata(query.to);
+  const flights = mapFlightsFromFlightAPI(fetched.data)
+    .filter((f) => !routeIsDomesticPair || (f.layovers || []).every((l) => l.countryCode === "IN"))
+    .sort((a, b) => Number(a.price || 0) - Number(b.price || 0));
+  // Same canonical id /search gives this flight, so a calendar pick can be
+  // matched against a later search for that date.
+  for (const f of flights) {
+    f.flightId = canonicalFlightId({ ...f, departureAirportCode: query.from, arrivalAirportCode: query.to });
+  }
+
+  const cheapestCarrier = flights[0] || null;
+
+  let bestFinal = null;
+  for (const f of flights.slice(0, FARE_CALENDAR_CONFIG.pricedFlightsPerDay)) {
+    const enriched = await applyOffersToFlight(
+      f,
+      pricing.selectedPaymentMethods,
+      pricing.offers,
+      pricing.passengers,
+      query.cabin,
+      "one-way",
+      pricing.isDomestic,
+      null,
+      pricing.requestCache,
+      null,
+      null,
+      query.infants
+    );
+    const finalPrice = bestFinalPriceOf(enriched);
+    if (!bestFinal || finalPrice < bestFinal.finalPrice) {
+      bestFinal = {
+        ...fareCalendarFlightSummary(f),
+        basePrice: f.price,
+        finalPrice,
+        applied: Boolean(enriched.bestDeal?.applied),
+        portal: enriched.bestDeal?.portal || null,
+        code: enriched.bestDeal?.code || null
+      };
+    }
+  }
+
+  return {
+    date,
+    ok: true,
+    cache: fetched.stale ? "stale" : fetched.tried?.[0]?.status === "CACHE_HIT" ? "hit" : "miss",
+    ...(fetched.stale ? { staleResults: { ageMs: fetched.stale.ageMs, reason: fetched.stale.reason } } : {}),
+    flightsFound: flights.length,
+    carrierFare: cheapestCarrier
+      ? { ...fareCalendarFlightSummary(cheapestCarrier), price: cheapestCarrier.price, priceSource: cheapestCarrier.priceSource }
+      : null,
+    bestFinal,
+    elapsedMs: Date.now() - dayStart
+  };
+}
+
+function cheapestCalendarDate(days, pick) {
+  let best = null;
+  for (const day of days) {
+    const price = pick(day);
+    if (!Number.isFinite(price)) continue;
+    if (!best || price < best.price) best = { date: day.date, price };
+  }
+  return best;
+}
+
+app.post("/fare-calendar", async (req, res) => {
+  const body = req.body || {};
+  const startedAt = Date.now();
+  const meta = { source: "fare-calendar" };
+
+  try {
+    const from = String(body.from || "").trim().toUpperCase();
+    const to = String(body.to || "").trim().toUpperCase();
+    const centerDate = toISO(body.date || body.departureDate);
+
+    if (!from || !to || !centerDate) {
+      return res.status(400).json({ meta: { ...meta, error: "Missing from/to/date" }, days: [] });
+    }
+
+    const windowDays = Math.min(
+      FARE_CALENDAR_CONFIG.maxWindowDays,
+      Math.max(0, Math.floor(Number(body.windowDays ?? FARE_CALENDAR_CONFIG.defaultWindowDays) || 0))
+    );
+
+    // Same passenger parsing as /search - FlightAPI gets the real per-tier
+    // headcount, the offer engine gets adults + children.
+    const adults = Math.max(1, Math.floor(Number(body.adults ?? body.passengers ?? 1) || 1));
+    const children = Math.max(0, Math.floor(Number(body.children ?? 0) || 0));
+    const infants = Math.min(adults, Math.max(0, Math.floor(Number(body.infants ?? 0) || 0)));
+    const cabin = normalizeCabin(body.travelClass || body.cabin);
+
+    // Past dates are skipped rather than fetched - FlightAPI has nothing to
+    // sell for them and they'd only burn quota.
+    const today = getTimezoneDateOnly(new Date(), APP_TIMEZONE);
+    const center = new Date(`${centerDate}T00:00:00.000Z`);
+    const dates = [];
+    for (let offset = -windowDays; offset <= windowDays; offset++) {
+      const day = addDaysToDateOnly(center, offset);
+      if (day < today) continue;
+      dates.push(day.toISOString().slice(0, 10));
+    }
+
+    meta.from = from;
+    meta.to = to;
+    meta.centerDate = centerDate;
+    meta.windowDays = windowDays;
+    meta.maxConcurrentDays = FARE_CALENDAR_CONFIG.maxConcurrentDays;
+    meta.pricedFlightsPerDay = FARE_CALENDAR_CONFIG.pricedFlightsPerDay;
+
+    const offers = await getOffersForSearch(meta);
+    const selectedPaymentMethods = expandEmiPaymentMethods(
+      Array.isArray(body.paymentMethods) ? body.paymentMethods : [],
+      offers
+    );
+    meta.selectedPaymentMethods = selectedPaymentMethods;
+
+    const pricing = {
+      offers,
+      selectedPaymentMethods,
+      passengers: adults + children,
+      isDomestic: isDomesticRoute(from, to),
+      // Shared across every day in this request - the static offer filter
+      // and eligibility memos are date-of-travel independent.
+      requestCache: {
+        infoOffersByKey: new Map(),
+        pricingCandidatesByKey: new Map(),
+        frontEligibilityMemo: new Map(),
+        nonAppliedRelevantByKey: new Map(),
+        offerDiscountStructureMemo: new Map(),
+        offerDirectDiscountMemo: new Map(),
+        minTxnMemo: new Map(),
+        passengerRestrictionMemo: new Map(),
+        perfEligibilityMemo: true
+      }
+    };
+
+    const query = { from, to, adults, children, infants, cabin, currency: "INR" };
+    const days = await Promise.all(dates.map((date) => buildFareCalendarDay({ date, query, pricing })));
+
+    meta.daysRequested = dates.length;
+    meta.daysOk = days.filter((d) => d.ok).length;
+    meta.cacheHits = days.filter((d) => d.cache === "hit").length;
+    meta.totalMs = Date.now() - startedAt;
+
+    if (dates.length > 0 && meta.daysOk === 0) {
+      meta.error = "FlightAPI search failed for every date in the window";
+      return res.status(500).json({ meta, days });
+    }
+
+    return res.json({
+      meta,
+      days,
+      cheapestCarrierFareDate: cheapestCalendarDate(days, (d) => d.carrierFare?.price),
+      cheapestFinalPriceDate: cheapestCalendarDate(days, (d) => d.bestFinal?.finalPrice)
+    });
+  } catch (e) {
+    meta.error = e?.message || "Fare calendar failed";
+    meta.totalMs = Date.now() - startedAt;
+    return res.status(500).json({ meta, days: [] });
+  }
+});
+
 // =========================================================
 // Phase 1: Intelligent payment guide
 // Reuses the exact same offer engine as /search (applyOffersToFlight,
@@ -8194,6 +12141,7 @@ async function repriceFlightsForPaymentMethods(flights, selectedPaymentMethods,
       ctx.evaluationBookingDate || null
     );
     results.push({
+      ...(f.flightId ? { flightId: f.flightId } : {}),
       portalPrices: (enriched.portalPrices || []).map(slimPortalPriceForSearchResponse),
       bestDeal: slimPortalPriceForSearchResponse(enriched.bestDeal)
     });
@@ -8201,9 +12149,25 @@ async function repriceFlightsForPaymentMethods(flights, selectedPaymentMethods,
   return results;
 }
 
+// The cheapest portalPrices row, fees included. bestDeal is only set when
+// that row has an offer applied, so a no-offer flight's checkout total
+// lives here and not on bestDeal.
+function cheapestPortalRowOf(flightLike) {
+  const rows = Array.isArray(flightLike?.portalPrices) ? flightLike.portalPrices : [];
+  return rows.reduce(
+    (min, p) => (Number.isFinite(p?.finalPrice) && (!min || p.finalPrice < min.finalPrice) ? p : min),
+    null
+  );
+}
+
 // Reads the current best final price off a flight object that already
-// carries a computed bestDeal (i.e. a flight as returned by /search).
+// carries its priced portalPrices (i.e. a flight as returned by /search) -
+// the cheapest checkout total whether or not an offer applied, so every
+// ranking compares fee-inclusive prices. Unpriced flights fall back to
+// the carrier price.
 function bestFinalPriceOf(flightLike) {
+  const cheapest = cheapestPortalRowOf(flightLike);
+  if (cheapest) return cheapest.finalPrice;
   const bd = flightLike?.bestDeal;
   if (bd && bd.applied && Number.isFinite(bd.finalPrice)) return bd.finalPrice;
   return Number(flightLike?.price) || 0;
@@ -8211,8 +12175,10 @@ function bestFinalPriceOf(flightLike) {
 
 // Reads the final price off a row produced by repriceFlightsForPaymentMethods
 // (which only carries portalPrices/bestDeal, not the original flight's price),
-// falling back to the original flight's base price when no offer applied.
+// falling back to the original flight's base price when it has no rows.
 function finalPriceFromRepriced(row, originalFlight) {
+  const cheapest = cheapestPortalRowOf(row);
+  if (cheapest) return cheapest.finalPrice;
   if (row?.bestDeal?.applied && Number.isFinite(row.bestDeal.finalPrice)) return row.bestDeal.finalPrice;
   return Number(originalFlight?.price) || 0;
 }
@@ -8227,6 +12193,8 @@ function finalPriceFromRepriced(row, originalFlight) {
 // findBestIndexAndBasePrice below) makes the percentage exact by
 // construction, not approximated from an unrelated flight.
 function basePriceFromRepriced(row, originalFlight) {
+  const cheapest = cheapestPortalRowOf(row);
+  if (cheapest && Number.isFinite(cheapest.basePrice)) return cheapest.basePrice;
   if (row?.bestDeal?.applied && Number.isFinite(row.bestDeal.basePrice)) return row.bestDeal.basePrice;
   return Number(originalFlight?.price) || 0;
 }
@@ -8283,6 +12251,14 @@ function validatePaymentRepriceRequest(body, cfg) {
       break;
     }
   }
+  // Older clients echo flights without flightId - derive it, so repriced
+  // rows can always be matched back by id.
+  for (const f of allFlights) {
+    if (f && typeof f === "object" && !f.flightId) {
+      const flightId = canonicalFlightId(f);
+      if (flightId) f.flightId = flightId;
+    }
+  }
 
   // Phase 3: optional travel dates (YYYY-MM-DD) - purely additive, not
   // required, so /reprice-flights and existing /payment-suggestions
@@ -8308,33 +12284,74 @@ function validatePaymentRepriceRequest(body, cfg) {
   };
 }
 
-app.post("/reprice-flights", async (req, res) => {
-  const cfg = PAYMENT_RECOMMENDATION_CONFIG;
-  const v = validatePaymentRepriceRequest(req.body, cfg);
+// { searchId } form of validatePaymentRepriceRequest (see
+// saveSearchSession): same v shape, but route/passengers/flights come from
+// the stored session, never from the client. Optional outboundFlightIds /
+// returnFlightIds narrow (and order) the flights to what the client
+// actually has on screen; omitted means every loaded page. Bodies without
+// a searchId go through validatePaymentRepriceRequest unchanged.
+function resolvePaymentRepriceRequest(body, cfg) {
+  if (!body?.searchId) return validatePaymentRepriceRequest(body, cfg);
 
-  if (!v.ok) {
-    return res.status(400).json({ error: v.errors.join("; ") });
+  const session = getSearchSession(body.searchId);
+  if (!session) {
+    return { ok: false, status: 410, errors: ["Unknown or expired searchId - re-run /search"] };
   }
 
-  // Diagnostic-only timing, additive to the response (2026-08-14) - mirrors
-  // /search's meta.timings so this previously-uninstrumented endpoint (known
-  // live-measured at 18.5s-47s, see PROJECT_STATE.md) can actually be
-  // broken down instead of guessed at. Frontend does not read/depend on
-  // this field today - purely for QC/debugging.
-  const repriceStartedAt = Date.now();
-  const pricingTiming = {};
+  const errors = [];
+  const selectedPaymentMethods = Array.isArray(body.selectedPaymentMethods)
+    ? body.selectedPaymentMethods
+    : Array.isArray(body.paymentMethods) ? body.paymentMethods : null;
+  if (!selectedPaymentMethods) errors.push("paymentMethods must be an array");
+
+  const pickFlights = (direction, ids) => {
+    if (ids === undefined || ids === null) return searchSessionFlights(session, direction);
+    if (!Array.isArray(ids)) {
+      errors.push(`${direction}FlightIds must be an array`);
+      return [];
+    }
+    const flights = ids.map((id) => session.flightsById.get(String(id)));
+    const missing = ids.filter((_, i) => !flights[i]);
+    if (missing.length > 0) errors.push(`Unknown ${direction} flightIds for this search: ${missing.slice(0, 5).join(", ")}`);
+    return flights.filter(Boolean);
+  };
 
-  try {
-    const offersStart = Date.now();
-    const offers = await getOffersForSearch({});
-    pricingTiming.offersLoadMs = Date.now() - offersStart;
+  const outboundFlights = pickFlights("outbound", body.outboundFlightIds);
+  const returnFlights = session.query.tripType === "round-trip" ? pickFlights("return", body.returnFlightIds) : [];
+
+  if (outboundFlights.length > cfg.maxFlightsPerLeg) errors.push(`outboundFlights exceeds max of ${cfg.maxFlightsPerLeg}`);
+  if (returnFlights.length > cfg.maxFlightsPerLeg) errors.push(`returnFlights exceeds max of ${cfg.maxFlightsPerLeg}`);
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    ...session.query,
+    selectedPaymentMethods: selectedPaymentMethods || [],
+    outboundFlights,
+    returnFlights,
+    searchSession: session
+  };
+}
+
+// Everything /reprice-flights (and a session re-price) needs besides the
+// flights themselves.
+async function buildPaymentRepriceContext(v, pricingTiming = {}) {
+  const offersStart = Date.now();
+  const offers = await getOffersForSearch({});
+  pricingTiming.offersLoadMs = Date.now() - offersStart;
 
-    const genericStart = Date.now();
-    const genericDisplayContext = await getGenericDisplayContextForSearch({});
-    pricingTiming.genericDisplayContextMs = Date.now() - genericStart;
+  const genericStart = Date.now();
+  const genericDisplayContext = await getGenericDisplayContextForSearch({});
+  pricingTiming.genericDisplayContextMs = Date.now() - genericStart;
 
-    const isDomestic = isDomesticRoute(v.from, v.to);
-    const requestCache = {
+  const ctx = {
+    offers,
+    genericDisplayContext,
+    passengers: v.passengers,
+    cabin: v.travelClass,
+    tripType: v.tripType,
+    isDomestic: isDomesticRoute(v.from, v.to),
+    requestCache: {
       infoOffersByKey: new Map(),
       pricingCandidatesByKey: new Map(),
       frontEligibilityMemo: new Map(),
@@ -8344,25 +12361,72 @@ app.post("/reprice-flights", async (req, res) => {
       minTxnMemo: new Map(),
       passengerRestrictionMemo: new Map(),
       perfEligibilityMemo: true
-    };
+    },
+    pricingTiming
+  };
 
-    const ctx = {
-      offers,
-      genericDisplayContext,
-      passengers: v.passengers,
-      cabin: v.travelClass,
-      tripType: v.tripType,
-      isDomestic,
-      requestCache,
-      pricingTiming
-    };
+  // See expandEmiPaymentMethods - the client sends its raw selection
+  // (e.g. just {type:"Credit Card", name:"HDFC Bank"} even with "Show
+  // EMI offers" toggled on), so without this every EMI-typed offer is
+  // invisible here and the repriced cards would silently show non-EMI
+  // pricing after a toggle-only update (no fresh /search).
+  const selectedPaymentMethods = expandEmiPaymentMethods(v.selectedPaymentMethods, offers);
+
+  return { ctx, selectedPaymentMethods };
+}
+
+// Writes repriced portalPrices/bestDeal back onto the session's flights -
+// only when `flights` is the session's complete set, so the session never
+// ends up half priced for one selection and half for another.
+function storeSearchSessionPricing(session, flights, repricedRows, rawPaymentMethods) {
+  if (!session || flights.length !== session.flightsById.size) return false;
+  flights.forEach((f, i) => {
+    session.flightsById.set(f.flightId, {
+      ...f,
+      portalPrices: repricedRows[i].portalPrices,
+      bestDeal: repricedRows[i].bestDeal
+    });
+  });
+  session.pricedForPaymentMethods = rawPaymentMethods;
+  return true;
+}
 
-    // See expandEmiPaymentMethods - the client sends its raw selection
-    // (e.g. just {type:"Credit Card", name:"HDFC Bank"} even with "Show
-    // EMI offers" toggled on), so without this every EMI-typed offer is
-    // invisible here and the repriced cards would silently show non-EMI
-    // pricing after a toggle-only update (no fresh /search).
-    const selectedPaymentMethods = expandEmiPaymentMethods(v.selectedPaymentMethods, offers);
+// /payment-suggestions compares every candidate against the flights'
+// CURRENT bestDeal - with an echo that was whatever the client last
+// repriced to; with a session it must be priced for this request's
+// selection first, or the baseline would be the original search's.
+async function ensureSearchSessionPricedFor(v) {
+  const session = v.searchSession;
+  if (!session) return;
+  if (JSON.stringify(session.pricedForPaymentMethods) === JSON.stringify(v.selectedPaymentMethods)) return;
+
+  const { ctx, selectedPaymentMethods } = await buildPaymentRepriceContext(v);
+  const allFlights = [...session.flightsById.values()];
+  const repriced = await repriceFlightsForPaymentMethods(allFlights, selectedPaymentMethods, ctx);
+  storeSearchSessionPricing(session, allFlights, repriced, v.selectedPaymentMethods);
+
+  v.outboundFlights = v.outboundFlights.map((f) => session.flightsById.get(f.flightId));
+  v.returnFlights = v.returnFlights.map((f) => session.flightsById.get(f.flightId));
+}
+
+app.post("/reprice-flights", async (req, res) => {
+  const cfg = PAYMENT_RECOMMENDATION_CONFIG;
+  const v = resolvePaymentRepriceRequest(req.body, cfg);
+
+  if (!v.ok) {
+    return res.status(v.status || 400).json({ error: v.errors.join("; ") });
+  }
+
+  // Diagnostic-only timing, additive to the response (2026-08-14) - mirrors
+  // /search's meta.timings so this previously-uninstrumented endpoint (known
+  // live-measured at 18.5s-47s, see PROJECT_STATE.md) can actually be
+  // broken down instead of guessed at. Frontend does not read/depend on
+  // this field today - purely for QC/debugging.
+  const repriceStartedAt = Date.now();
+  const pricingTiming = {};
+
+  try {
+    const { ctx, selectedPaymentMethods } = await buildPaymentRepriceContext(v, pricingTiming);
 
     const outboundStart = Date.now();
     const outboundFlights = await repriceFlightsForPaymentMethods(v.outboundFlights, selectedPaymentMethods, ctx);
@@ -8374,15 +12438,213 @@ app.post("/reprice-flights", async (req, res) => {
       : [];
     pricingTiming.repriceReturnMs = Date.now() - returnStart;
 
+    const meta = { timings: pricingTiming };
+    if (v.searchSession) {
+      meta.searchId = v.searchSession.searchId;
+      meta.searchSessionUpdated = storeSearchSessionPricing(
+        v.searchSession,
+        [...v.outboundFlights, ...v.returnFlights],
+        [...outboundFlights, ...returnFlights],
+        v.selectedPaymentMethods
+      );
+    }
+
     pricingTiming.totalMs = Date.now() - repriceStartedAt;
 
-    return res.json({ outboundFlights, returnFlights, meta: { timings: pricingTiming } });
+    return res.json({ outboundFlights, returnFlights, meta });
   } catch (e) {
     pricingTiming.totalMs = Date.now() - repriceStartedAt;
     return res.status(500).json({ error: e?.message || "Reprice failed", meta: { timings: pricingTiming } });
   }
 });
 
+// --------------------
+// Round-trip pair optimizer
+// --------------------
+// /search prices the outbound and return lists independently, but
+// round-trip-only offers (offerRequiresRoundTrip) and round-trip discount
+// tiers make a bundle's price non-additive - the cheapest pair is not
+// necessarily cheapest outbound + cheapest return. /round-trip-pairs
+// prices the top N of each leg (by their current best price) as N x N
+// bundles, exactly as /compare-selected-trip prices one, and returns the
+// cheapest K. Pairs are evaluated cheapest leg-sum first, so when the
+// time budget runs out what's skipped is the least promising tail.
+// Legs not already priced for this selection are only repriced for a
+// bounded pool (repricePoolMultiple x topN by carrier price), so a large
+// search can't spend the budget before the first pair.
+const ROUND_TRIP_PAIRS_CONFIG = {
+  defaultTopN: 6,
+  maxTopN: 12,
+  repricePoolMultiple: 3,
+  defaultLimit: 5,
+  maxLimit: 20,
+  softTimeBudgetMs: Number(process.env.ROUND_TRIP_PAIRS_TIME_BUDGET_MS || 15000)
+};
+
+function clampInt(raw, fallback, min, max) {
+  const n = Math.floor(Number(raw));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+// Cheapest N by current best price, one per flightId.
+function topFlightsForPairing(flights, n) {
+  const seen = new Set();
+  return [...flights]
+    .sort((a, b) => bestFinalPriceOf(a) - bestFinalPriceOf(b))
+    .filter((f) => {
+      const id = f.flightId || canonicalFlightId(f);
+      if (!id || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .slice(0, n);
+}
+
+// Flights with portalPrices/bestDeal replaced by this selection's.
+async function withRepricedDeals(flights, selectedPaymentMethods, ctx) {
+  const rows = await repriceFlightsForPaymentMethods(flights, selectedPaymentMethods, ctx);
+  return flights.map((f, i) => ({ ...f, portalPrices: rows[i].portalPrices, bestDeal: rows[i].bestDeal }));
+}
+
+// Cheapest `size` by carrier price, one per flightId - the flights worth
+// repricing before ranking by best price.
+function carrierPricePoolForPairing(flights, size) {
+  const seen = new Set();
+  return [...flights]
+    .filter((f) => Number(f?.price) > 0)
+    .sort((a, b) => Number(a.price) - Number(b.price))
+    .filter((f) => {
+      const id = f.flightId || canonicalFlightId(f);
+      if (!id || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .slice(0, size);
+}
+
+// Takes the same body as /reprice-flights (searchId, or the echoed
+// flights), tripType round-trip only, plus optional topN and limit.
+app.post("/round-trip-pairs", async (req, res) => {
+  const cfg = ROUND_TRIP_PAIRS_CONFIG;
+  const body = req.body || {};
+  const v = resolvePaymentRepriceRequest(body, PAYMENT_RECOMMENDATION_CONFIG);
+
+  if (!v.ok) {
+    return res.status(v.status || 400).json({ error: v.errors.join("; ") });
+  }
+  if (v.tripType !== "round-trip") {
+    return res.status(400).json({ error: "round-trip-pairs needs a round-trip search" });
+  }
+
+  const startedAt = Date.now();
+  const pricingTiming = {};
+  const topN = clampInt(body.topN, cfg.defaultTopN, 1, cfg.maxTopN);
+  const limit = clampInt(body.limit, cfg.defaultLimit, 1, cfg.maxLimit);
+  const meta = { topN, limit, softTimeBudgetMs: cfg.softTimeBudgetMs, timings: pricingTiming };
+  if (v.searchSession) meta.searchId = v.searchSession.searchId;
+
+  try {
+    // The leg ranking (and legsTotal) must be for this selection, not
+    // whatever the search was last priced for. A session already priced
+    // for it is ranked as is; otherwise (another selection, or echoed
+    // flights carrying whatever bestDeal the client last had) only the
+    // carrier-price pool is repriced, not every flight.
+    const { ctx, selectedPaymentMethods } = await buildPaymentRepriceContext(v, pricingTiming);
+    const legsPricedForSelection = !!v.searchSession &&
+      JSON.stringify(v.searchSession.pricedForPaymentMethods) === JSON.stringify(v.selectedPaymentMethods);
+    let outboundLegs = v.outboundFlights;
+    let returnLegs = v.returnFlights;
+    if (!legsPricedForSelection) {
+      const poolSize = topN * cfg.repricePoolMultiple;
+      const legRepriceStart = Date.now();
+      outboundLegs = await withRepricedDeals(carrierPricePoolForPairing(v.outboundFlights, poolSize), selectedPaymentMethods, ctx);
+      returnLegs = await withRepricedDeals(carrierPricePoolForPairing(v.returnFlights, poolSize), selectedPaymentMethods, ctx);
+      pricingTiming.legRepriceMs = Date.now() - legRepriceStart;
+      meta.repricePoolPerLeg = poolSize;
+    }
+
+    const outboundTop = topFlightsForPairing(outboundLegs, topN);
+    const returnTop = topFlightsForPairing(returnLegs, topN);
+    const candidates = outboundTop
+      .flatMap((outboundFlight) => returnTop.map((returnFlight) => ({
+        outboundFlight,
+        returnFlight,
+        legsTotal: bestFinalPriceOf(outboundFlight) + bestFinalPriceOf(returnFlight)
+      })))
+      .sort((a, b) => a.legsTotal - b.legsTotal);
+    meta.pairsConsidered = candidates.length;
+
+    const evaluated = [];
+    const pricingStart = Date.now();
+    for (const candidate of candidates) {
+      // The cheapest pair is always priced, however long the legs took.
+      if (evaluated.length > 0 && Date.now() - startedAt > cfg.softTimeBudgetMs) {
+        meta.timeBudgetExceeded = true;
+        break;
+      }
+
+      const { outboundFlight, returnFlight } = candidate;
+      // Same open-jaw read as /compare-selected-trip: the flights' own
+      // airports, else the searched route's mirror.
+      const route = {
+        from: outboundFlight.departureAirportCode || v.from,
+        to: outboundFlight.arrivalAirportCode || v.to,
+        returnFrom: returnFlight.departureAirportCode || v.to,
+        returnTo: returnFlight.arrivalAirportCode || v.from
+      };
+      const isOpenJaw = isOpenJawTrip(route);
+      const bundleFlight = buildRoundTripBundleFlight(outboundFlight, returnFlight, isOpenJaw);
+      if (!(bundleFlight.price > 0)) continue;
+
+      const enriched = await applyOffersToFlight(
+        bundleFlight,
+        selectedPaymentMethods,
+        ctx.offers,
+        ctx.passengers,
+        ctx.cabin,
+        isOpenJaw ? "open-jaw" : "round-trip",
+        isDomesticRoute(route.from, route.to) && isDomesticRoute(route.returnFrom, route.returnTo),
+        null,
+        ctx.requestCache,
+        ctx.genericDisplayContext
+      );
+
+      evaluated.push({
+        outboundFlightId: outboundFlight.flightId || null,
+        returnFlightId: returnFlight.flightId || null,
+        outboundFlight,
+        returnFlight,
+        openJaw: isOpenJaw,
+        baseTotal: bundleFlight.price,
+        finalPrice: bestFinalPriceOf(enriched),
+        // What the two legs' own best prices add up to - the gap is what
+        // booking them together is worth.
+        legsTotal: Math.round(candidate.legsTotal * 100) / 100,
+        bestDeal: slimPortalPriceForSearchResponse(enriched.bestDeal || null),
+        portalPrices: (enriched.portalPrices || []).map(slimPortalPriceForSearchResponse)
+      });
+    }
+    pricingTiming.pairPricingMs = Date.now() - pricingStart;
+    meta.pairsEvaluated = evaluated.length;
+
+    const pairs = evaluated
+      .sort((a, b) => a.finalPrice - b.finalPrice || a.baseTotal - b.baseTotal)
+      .slice(0, limit)
+      .map((pair, i) => ({
+        rank: i + 1,
+        ...pair,
+        bundleSaving: Math.max(0, Math.round((pair.legsTotal - pair.finalPrice) * 100) / 100)
+      }));
+
+    pricingTiming.totalMs = Date.now() - startedAt;
+    return res.json({ pairs, meta });
+  } catch (e) {
+    pricingTiming.totalMs = Date.now() - startedAt;
+    return res.status(500).json({ error: e?.message || "Round-trip pair pricing failed", meta });
+  }
+});
+
 function selectedPmKey(pm) {
   return `${String(pm?.type || "").trim().toLowerCase()}|${String(pm?.name || "").trim().toLowerCase()}`;
 }
@@ -10388,13 +14650,14 @@ async function getOrComputePaymentSuggestions(v, cfg) {
 
 app.post("/payment-suggestions", async (req, res) => {
   const cfg = PAYMENT_RECOMMENDATION_CONFIG;
-  const v = validatePaymentRepriceRequest(req.body, cfg);
+  const v = resolvePaymentRepriceRequest(req.body, cfg);
 
   if (!v.ok) {
-    return res.status(400).json({ error: v.errors.join("; ") });
+    return res.status(v.status || 400).json({ error: v.errors.join("; ") });
   }
 
   try {
+    await ensureSearchSessionPricedFor(v);
     const responseBody = await getOrComputePaymentSuggestions(v, cfg);
     return res.json(responseBody);
   } catch (e) {
@@ -10759,5 +15022,13 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`SkyDeal backend listening on ${PORT}`);
+  // Warm the calibration table so the first search's carrier corrections
+  // (applied while mapping, before any pricing call loads it) are learned
+  // ones, not constants. Failure is logged inside and harmless.
+  getFareCalibrationTable().catch(() => {});
+  // See "Offer change history" - watch (or sweep) offers/offer_rules.
+  startOfferHistoryTracking().catch((err) => {
+    console.error("[SkyDeal] offer history tracking failed to start", err?.message || err);
+  });
 });
 
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * parse-offers.mjs — Offline T&C parser batch job.
+ *
+ * Plenty of offers reach pricing with only free text (rawText / terms.raw /
+ * rawDiscount), so index.js re-infers min transaction, percent, cap,
+ * booking days etc. from that text on every single search. This runs the
+ * same extractors ONCE over the whole `offers` collection
+ * (services/offerTextParser.js - the exact functions request-time
+ * inference uses, plus coupon code / flat / tiers / validity / travel
+ * period / exclusions) and writes what it finds into `parsedFields`, which
+ * pricing already reads before falling back to text.
+ *
+ * Safe by default:
+ *   - dry run unless --write is passed; the diff report is printed either way
+ *   - a field is only written when its confidence clears the threshold
+ *   - an existing parsedFields value that DISAGREES is reported, never
+ *     replaced, unless --overwrite is passed too
+ *   - every written offer gets parsedFields.textParser = { version,
+ *     parsedAt, confidence: {field: 0-1}, applied: [fields] } so a later
+ *     run (or a human) can see what came from here and how sure it was
+ *
+ * Usage:
+ *   node parse-offers.mjs                          # dry run, diff report for every offer
+ *   node parse-offers.mjs --only=HDFCFLY,CTDOM     # just these coupon codes
+ *   node parse-offers.mjs --limit=50 --json        # machine-readable report
+ *   node parse-offers.mjs --write                  # fill in missing parsedFields
+ *   node parse-offers.mjs --write --overwrite      # ...and replace disagreeing ones
+ *   OFFER_PARSER_MIN_CONFIDENCE=0.8 node parse-offers.mjs --write
+ *
+ * Env: MONGO_URI (required), MONGODB_DB, MONGO_COL - same names and
+ * defaults as index.js. Exit code 0 = finished, 1 = crashed.
+ */
+
+import { MongoClient } from "mongodb";
+import {
+  parseOfferText,
+  diffParsedFields,
+  OFFER_TEXT_PARSER_VERSION
+} from "./services/offerTextParser.js";
+
+const MONGO_URI = process.env.MONGO_URI;
+const MONGODB_DB = process.env.MONGODB_DB || "skydeal";
+const MONGO_COL = process.env.MONGO_COL || "offers";
+const MIN_CONFIDENCE = Number(process.env.OFFER_PARSER_MIN_CONFIDENCE || 0.7);
+const WRITE_BATCH_SIZE = 200;
+
+const argValue = (name) => (process.argv.find((a) => a.startsWith(`--${name}=`)) || "").replace(`--${name}=`, "");
+const WRITE = process.argv.includes("--write");
+const OVERWRITE = process.argv.includes("--overwrite");
+const AS_JSON = process.argv.includes("--json");
+const LIMIT = Number(argValue("limit")) || 0;
+const ONLY = argValue("only")
+  .split(",")
+  .map((s) => s.trim().toUpperCase())
+  .filter(Boolean);
+
+function offerCode(offer) {
+  return String(offer?.couponCode || offer?.code || offer?.parsedFields?.couponCode || "").trim().toUpperCase();
+}
+
+function offerLabel(offer) {
+  const portal = offer?.sourceMetadata?.sourcePortal || offer?.sourcePortal || "?";
+  return `${offerCode(offer) || "(no code)"} @ ${portal} [${offer?._id}]`;
+}
+
+// Which diff rows actually get written, given the flags.
+function fieldsToApply(diff) {
+  return diff.filter((d) => {
+    if (d.confidence < MIN_CONFIDENCE) return false;
+    if (d.status === "added") return true;
+    return d.status === "changed" && OVERWRITE;
+  });
+}
+
+function buildUpdate(offer, parsed, applied) {
+  const stamp = {
+    version: OFFER_TEXT_PARSER_VERSION,
+    parsedAt: new Date(),
+    confidence: Object.fromEntries(
+      Object.entries(parsed.fields)
+        .filter(([, r]) => r)
+        .map(([field, r]) => [field, r.confidence])
+    ),
+    applied: applied.map((d) => d.field)
+  };
+
+  // $set on "parsedFields.x" fails when parsedFields is null/missing-as-null,
+  // so those offers get the whole object in one go.
+  if (!offer.parsedFields || typeof offer.parsedFields !== "object") {
+    const parsedFields = Object.fromEntries(applied.map((d) => [d.field, d.parsed]));
+    return { $set: { parsedFields: { ...parsedFields, textParser: stamp } } };
+  }
+
+  const set = { "parsedFields.textParser": stamp };
+  for (const d of applied) set[`parsedFields.${d.field}`] = d.parsed;
+  return { $set: set };
+}
+
+function printOfferReport(offer, diff, applied) {
+  const interesting = diff.filter((d) => d.status !== "same");
+  if (interesting.length === 0) return;
+
+  console.log(`\n${offerLabel(offer)}`);
+  for (const d of interesting) {
+    const mark = applied.includes(d) ? (WRITE ? "✅" : "→ ") : d.confidence < MIN_CONFIDENCE ? "· " : "⚠️ ";
+    const before = d.status === "changed" ? ` (was ${JSON.stringify(d.existing)})` : "";
+    console.log(`  ${mark} ${d.field} ${d.status}: ${JSON.stringify(d.parsed)}${before}  conf=${d.confidence}`);
+  }
+}
+
+async function main() {
+  if (!MONGO_URI) {
+    console.error("[SkyDeal] parse-offers: missing MONGO_URI env var");
+    process.exit(1);
+  }
+
+  const client = new MongoClient(MONGO_URI, {});
+  await client.connect();
+
+  try {
+    const col = client.db(MONGODB_DB).collection(MONGO_COL);
+    let offers = await col.find({}).toArray();
+    if (ONLY.length) offers = offers.filter((o) => ONLY.includes(offerCode(o)));
+    if (LIMIT > 0) offers = offers.slice(0, LIMIT);
+
+    if (!AS_JSON) {
+      console.log(`SkyDeal offer text parser v${OFFER_TEXT_PARSER_VERSION} → ${MONGODB_DB}.${MONGO_COL}`);
+      console.log(
+        `${offers.length} offer(s), min confidence ${MIN_CONFIDENCE}, ` +
+        `${WRITE ? (OVERWRITE ? "WRITE + OVERWRITE" : "WRITE (missing fields only)") : "dry run"}`
+      );
+      console.log("Legend: ✅ written  → would write  ⚠️  disagrees (needs --overwrite)  · below confidence");
+    }
+
+    const summary = {};
+    const report = [];
+    const writes = [];
+    let pending = 0;
+
+    for (const offer of offers) {
+      const parsed = parseOfferText(offer);
+      const diff = diffParsedFields(offer.parsedFields, parsed);
+      const applied = fieldsToApply(diff);
+
+      for (const d of diff) {
+        const row = (summary[d.field] ||= { added: 0, changed: 0, same: 0, lowConfidence: 0, applied: 0 });
+        row[d.status]++;
+        if (d.confidence < MIN_CONFIDENCE) row.lowConfidence++;
+        if (applied.includes(d)) row.applied++;
+      }
+
+      if (AS_JSON) {
+        report.push({ id: String(offer._id), code: offerCode(offer) || null, diff, applied: applied.map((d) => d.field) });
+      } else {
+        printOfferReport(offer, diff, applied);
+      }
+
+      if (applied.length > 0) pending++;
+      if (WRITE && applied.length > 0) {
+        writes.push({ updateOne: { filter: { _id: offer._id }, update: buildUpdate(offer, parsed, applied) } });
+      }
+    }
+
+    let written = 0;
+    for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+      const res = await col.bulkWrite(writes.slice(i, i + WRITE_BATCH_SIZE), { ordered: false });
+      written += res.modifiedCount || 0;
+    }
+
+    if (AS_JSON) {
+      console.log(JSON.stringify({ version: OFFER_TEXT_PARSER_VERSION, minConfidence: MIN_CONFIDENCE, write: WRITE, overwrite: OVERWRITE, summary, written, offers: report }, null, 2));
+      return;
+    }
+
+    console.log("\nPer field (added / changed / same / below confidence / applied):");
+    for (const [field, row] of Object.entries(summary)) {
+      console.log(`  ${field.padEnd(20)} ${row.added} / ${row.changed} / ${row.same} / ${row.lowConfidence} / ${row.applied}`);
+    }
+    console.log(
+      WRITE
+        ? `\n✅ Updated ${written} offer(s).`
+        : `\nDry run - ${pending} offer(s) would be updated; re-run with --write to persist.`
+    );
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("[SkyDeal] parse-offers crashed:", err?.message || err);
+  process.exit(1);
+});
@@ -82,12 +82,16 @@ async function safeText(res) {
 /* ----------------- Core API call ---------------- */
 
 /**
- * Call RapidAPI "Kiwi.com Cheap Flights" (Round trip).
+ * Build the RapidAPI "Kiwi.com Cheap Flights" (Round trip) request without
+ * sending it: { url, headers }. Split out of kiwiRoundTrip so a caller with
+ * its own fetch/retry/concurrency handling (index.js's provider registry)
+ * can issue the exact same request.
  * For one-way, leave returnDate empty.
  */
-export async function kiwiRoundTrip({
+export function buildKiwiRoundTripRequest({
   from, to, departureDate, returnDate = "",
-  adults = 1, travelClass = "economy", currency = "INR"
+  adults = 1, children = 0, infants = 0,
+  travelClass = "economy", currency = "INR"
 }) {
   if (!process.env.RAPIDAPI_KEY) throw new Error("RAPIDAPI_KEY not set");
   if (!from || !to || !departureDate) throw new Error("from, to, departureDate required");
@@ -129,8 +133,8 @@ export async function kiwiRoundTrip({
 
   // Pax & cabin
   url.searchParams.set("adults", String(adults));
-  url.searchParams.set("children", "0");
-  url.searchParams.set("infants", "0");
+  url.searchParams.set("children", String(children || 0));
+  url.searchParams.set("infants", String(infants || 0));
   url.searchParams.set("selectedCabins", String(travelClass || "economy").toLowerCase());
 
   // Search behaviour (these matter for this wrapper)
@@ -149,13 +153,23 @@ url.searchParams.set("enableTrueHiddenCity", "false");
 url.searchParams.set("enableThrowAwayTicketing", "false");
 url.searchParams.set("allowOvernightStopover", "false");
 
-
-  const res = await fetch(url, {
+  return {
+    url: url.toString(),
     headers: {
       "X-RapidAPI-Key": process.env.RAPIDAPI_KEY,
       "X-RapidAPI-Host": "kiwi-com-cheap-flights.p.rapidapi.com",
     },
-  });
+  };
+}
+
+/**
+ * Call RapidAPI "Kiwi.com Cheap Flights" (Round trip).
+ * For one-way, leave returnDate empty. Pass `signal` to bound the call -
+ * this wrapper has no timeout of its own.
+ */
+export async function kiwiRoundTrip({ signal, ...params }) {
+  const { url, headers } = buildKiwiRoundTripRequest(params);
+  const res = await fetch(url, { signal, headers });
 
   if (!res.ok) {
     const body = await safeText(res);
@@ -166,7 +180,7 @@ url.searchParams.set("allowOvernightStopover", "false");
 
   // Echo the exact request URL for debugging via /kiwi/probe?debug=1
   if (json && typeof json === "object") {
-    json._meta = { requestUrl: url.toString() };
+    json._meta = { requestUrl: url };
   }
   return json;
 }
@@ -390,10 +404,13 @@ function sliceOutboundLegs(segs, ORG, DST) {
 
 /**
  * Normalize Kiwi wrapper payload into rows:
- * { carrier, flightNo, depTime, arrTime, depIATA, arrIATA, priceINR, source }
+ * { carrier, flightNo, flightNos, stops, segments, depTime, arrTime, depIATA, arrIATA, priceINR, source }
  * Supports both:
  *  - native segment arrays (if ever present)
  *  - encoded Base64 `id`/`shareId` with `route_data`
+ * With filter.from/filter.to set, only the ORG->DST slice of each itinerary
+ * is kept (itineraries that never connect ORG to DST are skipped); without
+ * them every segment is treated as the outbound leg.
  */
 export function normalizeKiwiItineraries(json, maxRows = 50, filter = {}) {
   const itins = Array.isArray(json?.itineraries) ? json.itineraries : [];
@@ -402,78 +419,64 @@ export function normalizeKiwiItineraries(json, maxRows = 50, filter = {}) {
   const DST = (filter.to || "").toUpperCase();
 
   for (const it of itins) {
-    let row = null;
+    let segs = [];
+    let decoded = null;
 
     // Try native segments first
-    let segsNative = collectSegmentsFrom(it);
+    const segsNative = collectSegmentsFrom(it);
     if (Array.isArray(segsNative) && segsNative.length) {
       // map to a uniform shape for slicing
-      const mapped = segsNative.map(seg => ({
+      segs = segsNative.map(seg => ({
         from: pickAirportCode((seg?.departure || seg)?.airport || seg?.origin || seg?.from || seg) || null,
         to:   pickAirportCode((seg?.arrival   || seg)?.airport || seg?.destination || seg?.to   || seg) || null,
         depIso: pickTimeNode(seg?.departure || seg?.depart || seg) || null,
         arrIso: pickTimeNode(seg?.arrival  || seg?.arrive  || seg) || null,
-        carrier: (pickCarrierCode(seg) || "").toUpperCase(),
+        carrier: (pickCarrierCode(seg) || pickCarrierCode(it) || "").toUpperCase(),
+        marketingCarrier: null,
         number: pickFlightNumber(seg) || null,
       }));
-
-      const slice = sliceOutboundLegs(mapped, ORG, DST);
-if (ORG && DST && (!slice || !slice.length)) continue; // skip non-matching itineraries
-
-      const slice = sliceOutboundLegs(segsEnc, ORG, DST);
-if (ORG && DST && (!slice || !slice.length)) continue; // skip non-matching itineraries
-
-
-      // prefer segment-level carrier/number
-      const carrierCode = (first.carrier || pickCarrierCode(it) || "").toUpperCase();
-      const flightNo = first.number ? `${carrierCode ? carrierCode + "-" : ""}${String(first.number).toUpperCase()}` : null;
-      const priceINR = pickPriceFromItinerary(it, null);
-
-      row = {
-        carrier: carrierCode || null,
-        flightNo: flightNo || null,
-        depTime: first.depIso || null,
-        arrTime: last.arrIso || null,
-        depIATA: first.from || null,
-        arrIATA: last.to || null,
-        priceINR: priceINR ?? null,
-        source: "kiwi-rapidapi"
-      };
-
-      // If filter provided, enforce it; discard if it doesn't match
-      if (ORG && row.depIATA !== ORG) row = null;
-      if (DST && row?.arrIATA !== DST) row = null;
-
     } else {
       // Fallback: decode Base64 id/shareId -> parse route_data
-      const decoded = decodeEmbedded(it);
-      const segsEnc = parseRouteData(decoded?.route_data);
-      if (segsEnc && segsEnc.length) {
-        const legslice = sliceOutboundLegs(segsEnc, ORG, DST) || segsEnc;
-        const first = slice[0];
-        const last  = slice[slice.length - 1];
-
-        const carrierCode = (first.marketingCarrier || first.carrier || "").toUpperCase();
-        const flightNo = first.number ? `${carrierCode ? carrierCode + "-" : ""}${String(first.number).toUpperCase()}` : null;
-        const priceINR = pickPriceFromItinerary(it, decoded);
-
-        row = {
-          carrier: carrierCode || null,
-          flightNo: flightNo || null,
-          depTime: first.depIso || null,
-          arrTime: last.arrIso || null,
-          depIATA: first.from || null,
-          arrIATA: last.to || null,
-          priceINR: priceINR ?? null,
-          source: "kiwi-rapidapi"
-        };
-
-        if (ORG && row.depIATA !== ORG) row = null;
-        if (DST && row?.arrIATA !== DST) row = null;
-      }
+      decoded = decodeEmbedded(it);
+      segs = parseRouteData(decoded?.route_data);
     }
 
-    if (row && (row.depTime || row.arrTime || row.priceINR != null)) {
+    if (!segs.length) continue;
+
+    const slice = ORG && DST ? sliceOutboundLegs(segs, ORG, DST) : segs;
+    if (!slice || !slice.length) continue; // skip non-matching itineraries
+
+    const first = slice[0];
+    const last  = slice[slice.length - 1];
+
+    const flightNos = slice.map((seg) => {
+      const code = (seg.marketingCarrier || seg.carrier || "").toUpperCase();
+      return seg.number ? `${code ? code + "-" : ""}${String(seg.number).toUpperCase()}` : null;
+    });
+    const carrierCode = (first.marketingCarrier || first.carrier || "").toUpperCase();
+    const priceINR = pickPriceFromItinerary(it, decoded);
+
+    const row = {
+      carrier: carrierCode || null,
+      flightNo: flightNos[0] || null,
+      flightNos: flightNos.filter(Boolean),
+      stops: slice.length - 1,
+      segments: slice.map((seg) => ({
+        carrier: (seg.marketingCarrier || seg.carrier || "").toUpperCase() || null,
+        from: seg.from || null,
+        to: seg.to || null,
+        depTime: seg.depIso || null,
+        arrTime: seg.arrIso || null,
+      })),
+      depTime: first.depIso || null,
+      arrTime: last.arrIso || null,
+      depIATA: first.from || null,
+      arrIATA: last.to || null,
+      priceINR: priceINR ?? null,
+      source: "kiwi-rapidapi"
+    };
+
+    if (row.depTime || row.arrTime || row.priceINR != null) {
       out.push(row);
       if (out.length >= maxRows) break;
     }
@@ -481,4 +484,3 @@ if (ORG && DST && (!slice || !slice.length)) continue; // skip non-matching itin
 
   return out;
 }
-
@@ -0,0 +1,772 @@
+// services/offerTextParser.js — ESM
+// Offer free-text (title / rawDiscount / rawText / terms) -> structured fields.
+// Shared by index.js (request-time inference for offers nobody has parsed
+// yet) and parse-offers.mjs (the offline batch job that writes the results
+// into parsedFields so pricing stops re-deriving them on every search).
+// No Mongo, no Express - pure functions only, so the batch job can import
+// this without booting the server.
+
+/* ---------------- Text helpers ---------------- */
+export function normalizeText(s) {
+  return String(s || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[^\w\s]/g, "");
+}
+
+/* ---------------- Card families / EMI tenures ---------------- */
+// Single source of truth for card-family/product-name canonicalization,
+// shared by the SELECTION side (normalizeSelectedPM, reading the user's own
+// cardFamily/cardVariant pick) and the OFFER side
+// (extractOfferCardFamilyRestrictions, text-mining an offer's own
+// title/rawDiscount/terms/structured eligiblePaymentMethods). These two used
+// to be independently hand-maintained lists and had already drifted - e.g.
+// "Select" (IDFC First's card tier) existed only on the selection side, so
+// an IDFC First Select-exclusive offer could never be recognized as
+// family-restricted and would incorrectly apply to any IDFC First card
+// (extractOfferCardFamilyRestrictions had no rule for it at all).
+//
+// Each rule's `terms` are ALL required (AND, any order, anywhere in the
+// blob) rather than one literal phrase - this is what fixes the
+// AMAZON_PAY_ICICI matching bug: real scraped offer titles read "ICICI
+// Bank Amazon Pay Credit Card...", not "Amazon Pay ICICI" in that order, so
+// a rule requiring that exact contiguous phrase silently failed on real
+// data (verified 2026-08-04 against a live offer title). Requiring "amazon
+// pay" and "icici" as independent terms - or just "amazon pay" alone,
+// since it's an ICICI-exclusive product in India - matches regardless of
+// word order.
+//
+// Tier names that are common English words shared across many banks' base
+// products (Platinum, Gold, Signature, Select, Wealth, Premier) are scoped
+// to also require their own bank's name in the blob, so e.g. IDFC First's
+// "Select" tier doesn't accidentally match unrelated boilerplate text, or
+// a different bank's own "Select"/"Premier" tier.
+const CARD_FAMILY_RULES = [
+  { code: "FLIPKART_AXIS", terms: [/\bflipkart\b/, /\baxis\b/] },
+  { code: "AXIS_ATLAS", terms: [/\baxis\b/, /\batlas\b/] },
+  { code: "AXIS_ACE", terms: [/\baxis\b/, /\bace\b/] },
+  { code: "AXIS_NEO", terms: [/\baxis\b/, /\bneo\b/] },
+  { code: "AXIS_REWARDS", terms: [/\baxis\b/, /\brewards\b/] },
+  { code: "AXIS_VISTARA", terms: [/\baxis\b/, /\bvistara\b/] },
+  { code: "AXIS_MAGNUS", terms: [/\baxis\b/, /\bmagnus\b/] },
+  { code: "AXIS_RESERVE", terms: [/\baxis\b/, /\breserve\b/] },
+  { code: "AXIS_SELECT", terms: [/\baxis\b/, /\bselect\b/] },
+  { code: "AXIS_MYZONE", terms: [/\baxis\b/, /\bmyzone\b/] },
+  { code: "AMAZON_PAY_ICICI", terms: [/\bamazon\s*pay\b/] },
+  { code: "MMT_ICICI", terms: [/\b(mmt|makemytrip)\b/, /\bicici\b/] },
+  { code: "TATA_NEU", terms: [/\btata\s*neu\b/] },
+  { code: "SWIGGY_HDFC", terms: [/\bswiggy\b/, /\bhdfc\b/] },
+  { code: "DINERS", terms: [/\bdiners\b/] },
+  { code: "INFINIA", terms: [/\binfinia\b/] },
+  { code: "REGALIA_GOLD", terms: [/\bregalia\b/, /\bgold\b/] },
+  { code: "REGALIA", terms: [/\bregalia\b/] },
+  { code: "MILLENNIA", terms: [/\bmillennia\b/] },
+  { code: "HDFC_MONEYBACK_PLUS", terms: [/\bhdfc\b/, /\bmoneyback\b/] },
+  { code: "HDFC_FREEDOM", terms: [/\bhdfc\b/, /\bfreedom\b/] },
+  { code: "MARRIOTT_HDFC", terms: [/\bmarriott\b/] },
+  { code: "INDIANOIL_HDFC", terms: [/\bindianoil\b/, /\bhdfc\b/] },
+  { code: "INDIGO_HDFC", terms: [/\b6e\s*rewards\b/] },
+  { code: "SBI_CASHBACK", terms: [/\bsbi\b/, /\bcashback\b/] },
+  { code: "SIMPLYCLICK", terms: [/\bsimplyclick\b/] },
+  { code: "SIMPLYSAVE", terms: [/\bsimplysave\b/] },
+  { code: "SBI_AURUM", terms: [/\bsbi\b/, /\baurum\b/] },
+  { code: "SBI_IRCTC", terms: [/\birctc\b/, /\bsbi\b/] },
+  { code: "SBI_BPCL", terms: [/\bbpcl\b/, /\bsbi\b/] },
+  { code: "CORAL", terms: [/\bcoral\b/] },
+  { code: "RUBYX", terms: [/\brubyx\b/] },
+  { code: "SAPPHIRO", terms: [/\bsapphiro\b/] },
+  { code: "EMERALDE", terms: [/\bemeralde\b/] },
+  { code: "HSBC_TRAVELONE", terms: [/\btravelone\b/] },
+  { code: "HSBC_CASHBACK", terms: [/\bhsbc\b/, /\bcashback\b/] },
+  { code: "HSBC_PREMIER", terms: [/\bhsbc\b/, /\bpremier\b/] },
+  { code: "MYNTRA_KOTAK", terms: [/\bmyntra\b/, /\bkotak\b/] },
+  { code: "KOTAK_WHITE", terms: [/\bkotak\b/, /\bwhite\b/] },
+  { code: "KOTAK_LEAGUE", terms: [/\bkotak\b/, /\bleague\b/] },
+  { code: "KOTAK_ZEN", terms: [/\bkotak\b/, /\bzen\b/] },
+  { code: "KOTAK_811", terms: [/\bkotak\b/, /\b811\b/] },
+  { code: "KOTAK_ROYALE", terms: [/\bkotak\b/, /\broyale\b/] },
+  { code: "AMEX_MEMBERSHIP_REWARDS", terms: [/\bmembership\s*rewards\b/] },
+  { code: "AMEX_SMARTEARN", terms: [/\bsmartearn\b/] },
+  { code: "AMEX_PLATINUM_TRAVEL", terms: [/\bplatinum\s*travel\b/] },
+  { code: "AMEX_PLATINUM_RESERVE", terms: [/\bplatinum\s*reserve\b/] },
+  { code: "INDUSIND_LEGEND", terms: [/\bindusind\b/, /\blegend\b/] },
+  { code: "INDUSIND_TIGER", terms: [/\bindusind\b/, /\btiger\b/] },
+  { code: "INDUSIND_PINNACLE", terms: [/\bindusind\b/, /\bpinnacle\b/] },
+  { code: "INDUSIND_AVIOS", terms: [/\bindusind\b/, /\bavios\b/] },
+  { code: "INDUSIND_EAZYDINER", terms: [/\bindusind\b/, /\beazydiner\b/] },
+  { code: "IDFC_SELECT", terms: [/\bidfc\b/, /\bselect\b/] },
+  { code: "IDFC_WEALTH", terms: [/\bidfc\b/, /\bwealth\b/] },
+  { code: "IDFC_MILLENNIA", terms: [/\bidfc\b/, /\bmillennia\b/] },
+  { code: "IDFC_MAYURA", terms: [/\bidfc\b/, /\bmayura\b/] },
+  { code: "AU_ALTURA", terms: [/\baltura\b/] },
+  { code: "AU_ZENITH", terms: [/\bzenith\b/] },
+  { code: "AU_VETTA", terms: [/\bvetta\b/] },
+  { code: "YES_PROSPERITY", terms: [/\bprosperity\b/] },
+  { code: "YES_MARQUEE", terms: [/\byes\s*bank\b/, /\bmarquee\b/] },
+  { code: "YES_FIRST_PREFERRED", terms: [/\byes\s*bank\b/, /\bfirst\s*preferred\b/] },
+  { code: "YES_PRIVATE", terms: [/\byes\s*bank\b/, /\bprivate\b/] },
+  { code: "SCAPIA_FEDERAL", terms: [/\bscapia\b/] },
+  { code: "FEDERAL_IMPERIO", terms: [/\bfederal\b/, /\bimperio\b/] },
+  { code: "FEDERAL_CELESTA", terms: [/\bfederal\b/, /\bcelesta\b/] },
+  { code: "BOB_ETERNA", terms: [/\b(bank\s*of\s*baroda|bobcard|bob)\b/, /\beterna\b/] },
+  { code: "BOB_PREMIER", terms: [/\b(bank\s*of\s*baroda|bobcard|bob)\b/, /\bpremier\b/] },
+  { code: "BOB_SELECT", terms: [/\b(bank\s*of\s*baroda|bobcard|bob)\b/, /\bselect\b/] },
+  { code: "ONECARD", terms: [/\bonecard\b/] },
+  { code: "PNB_LUXURA", terms: [/\bluxura\b/] },
+  { code: "SC_EASEMYTRIP", terms: [/\beasemytrip\b/, /\b(standard\s*chartered|stanchart|scb)\b/] },
+  { code: "BUSINESS_PLATINUM", terms: [/\bbusiness\s*platinum\b/] },
+  { code: "PLATINUM", terms: [/\bplatinum\b/] },
+  { code: "SIGNATURE", terms: [/\bsignature\b/] },
+  { code: "GOLD", terms: [/\bgold\b/] },
+];
+
+// Selection side: a user's own card can only be one family at a time, so
+// return the first matching rule. Order matters - specific/unique product
+// names are listed above the generic shared-tier fallbacks (Platinum,
+// Signature, Gold) so those never shadow a more specific match.
+export function canonicalizeCardFamily(text) {
+  // Hyphens get silently dropped (not spaced) by normalizeText's punctuation
+  // strip, which would merge a hyphenated name like "MMT-ICICI" into one
+  // unmatchable token "mmticici" - replace with a space first so each half
+  // stays a separate word for the \b-bounded terms below.
+  const blob = normalizeText(String(text || "").replace(/-/g, " "));
+  if (!blob) return null;
+  for (const rule of CARD_FAMILY_RULES) {
+    if (rule.terms.every((re) => re.test(blob))) return rule.code;
+  }
+  return null;
+}
+
+// Offer side: an offer's eligibility text could in principle mention more
+// than one family (rare in practice), so collect every match rather than
+// stopping at the first.
+export function canonicalizeAllCardFamilies(text) {
+  const blob = normalizeText(String(text || "").replace(/-/g, " "));
+  if (!blob) return [];
+  const codes = [];
+  for (const rule of CARD_FAMILY_RULES) {
+    if (rule.terms.every((re) => re.test(blob))) codes.push(rule.code);
+  }
+  return codes;
+}
+
+export function extractAllowedEmiTenuresFromOffer(offer, pm = null) {
+  const rawSources = [
+    pm?.conditions || "",
+    pm?.raw || "",
+    offer?.title || "",
+    offer?.rawDiscount || "",
+    offer?.offerSummary || "",
+    offer?.rawText || "",
+    offer?.terms?.raw || offer?.terms || "",
+  ]
+    .map((x) => String(x || ""))
+    .join(" ");
+
+  const lowerRaw = rawSources.toLowerCase();
+  const blob = normalizeText(rawSources);
+
+  if (!/\bemi\b/.test(blob)) return [];
+
+  const found = new Set();
+
+  let m;
+
+  // Raw text patterns: "3 & 6 Months", "3 and 6 month", "3/6 months"
+  const rawPairRegex = /(\d{1,2})\s*(?:&|and|\/|\+|,)\s*(\d{1,2})\s*month(s)?/gi;
+  while ((m = rawPairRegex.exec(lowerRaw)) !== null) {
+    const a = Number(m[1]);
+    const b = Number(m[2]);
+    if (Number.isFinite(a)) found.add(a);
+    if (Number.isFinite(b)) found.add(b);
+  }
+
+  // Normalized fallback after symbols were stripped: "3 6 month"
+  const normalizedPairRegex = /(\d{1,2})\s+(\d{1,2})\s+month(s)?/gi;
+  while ((m = normalizedPairRegex.exec(blob)) !== null) {
+    const a = Number(m[1]);
+    const b = Number(m[2]);
+    if (Number.isFinite(a)) found.add(a);
+    if (Number.isFinite(b)) found.add(b);
+  }
+
+  // Range patterns: "3 to 6 months"
+  const rangeRegex = /(\d{1,2})\s*(?:to|-)\s*(\d{1,2})\s*month(s)?/gi;
+  while ((m = rangeRegex.exec(lowerRaw)) !== null) {
+    const a = Number(m[1]);
+    const b = Number(m[2]);
+    if (Number.isFinite(a) && Number.isFinite(b)) {
+      found.add(a);
+      found.add(b);
+    }
+  }
+
+  // Single patterns: "6 month EMI"
+  const singleRegex = /(\d{1,2})\s*month(s)?/gi;
+  while ((m = singleRegex.exec(lowerRaw)) !== null) {
+    const n = Number(m[1]);
+    if (Number.isFinite(n)) found.add(n);
+  }
+
+  return Array.from(found)
+    .filter((n) => n >= 2 && n <= 60)
+    .sort((a, b) => a - b);
+}
+
+export function extractOfferCardFamilyRestrictions(offer, pm = null) {
+  // pm?.bank/pm?.cardVariant are the scraper's own structured fields when
+  // present (cleaner and more reliable than mining title/rawDiscount text) -
+  // folding them into the blob lets bank-scoped generic-tier rules (e.g.
+  // IDFC_SELECT) match even when the offer's freeform text never states
+  // the bank name right next to the tier word.
+  //
+  // Note: a bare "select cards" phrase (e.g. "Applicable to select AU Small
+  // Finance Bank credit cards") means "eligible cards", not IDFC's "Select"
+  // product - IDFC_SELECT's rule requires "idfc" in the same blob, so this
+  // kind of unrelated-bank boilerplate can't false-positive it.
+  const blob = `${pm?.bank || ""} ${pm?.cardVariant || ""} ${pm?.raw || ""} ${pm?.conditions || ""} ${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms?.raw || offer?.terms || ""}`;
+
+  return canonicalizeAllCardFamilies(blob);
+}
+
+/* ---------------- Amounts ---------------- */
+// Text-only halves of inferMinTxnFromText / parsePercentFromRawDiscount /
+// getOfferMaxDiscountAmount in index.js - those still check compiled rules
+// and structured fields first and only fall through to these.
+export function minTransactionFromText(offer) {
+  const blob = String(
+    `${offer?.title || ""} ${offer?.rawDiscount || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""} ${offer?.terms || ""}`
+  );
+
+  // Only trust amounts when they appear near min txn language
+  const patterns = [
+    /min(?:imum)?\s*(?:txn|transaction|booking|purchase)\s*(?:amount|value)?[^₹\d]{0,30}(?:₹|rs\.?|inr)?\s*([\d,]{3,})/i,
+    /valid\s*on\s*(?:minimum)?\s*(?:transaction|booking)\s*(?:amount|value)?[^₹\d]{0,30}(?:₹|rs\.?|inr)?\s*([\d,]{3,})/i,
+    /(?:minimum|min\.)\s*(?:amount|value)\s*[:\-]?\s*(?:₹|rs\.?|inr)?\s*([\d,]{3,})/i,
+  ];
+
+  // ✅ FIX #2: Flight-safe inference:
+  // If coupon appears across verticals (Flights + Hotels), don't accidentally pick hotel min amount.
+  // We only accept a match if a nearby window mentions "flight(s)" and does NOT mention "hotel(s)".
+  const lower = blob.toLowerCase();
+  for (const re of patterns) {
+    const m = re.exec(blob);
+    if (m && m[1]) {
+      const idx = m.index != null ? m.index : -1;
+      const winStart = Math.max(0, idx - 120);
+      const winEnd = Math.min(lower.length, idx + 200);
+      const windowTxt = lower.slice(winStart, winEnd);
+
+      const hasFlightNearby = /\bflight(s)?\b|\bair\s*ticket(s)?\b|\bairfare\b/.test(windowTxt);
+      const hasHotelNearby = /\bhotel(s)?\b/.test(windowTxt);
+
+      if (!hasFlightNearby || hasHotelNearby) continue;
+
+      const n = Number(String(m[1]).replace(/,/g, ""));
+      if (Number.isFinite(n) && n > 0) return n;
+    }
+  }
+
+  return 0;
+}
+
+export function discountPercentFromText(offer) {
+  const txt = String(
+    offer?.rawDiscount ||
+    offer?.parsedFields?.rawDiscount ||
+    offer?.offerSummary ||
+    offer?.rawText ||
+    ""
+  );
+
+  if (!txt) return null;
+
+  const lower = txt.toLowerCase();
+
+  // 1) Prefer explicit instant/upfront discount percentage when present
+  const instantPct =
+    lower.match(/(\d{1,2})\s*%\s*instant\s*discount/i) ||
+    lower.match(/instant\s*discount[^%]{0,40}(\d{1,2})\s*%/i) ||
+    lower.match(/(\d{1,2})\s*%\s*instant\s*off/i) ||
+    lower.match(/instant\s*off[^%]{0,40}(\d{1,2})\s*%/i) ||
+    lower.match(/\bflat\s*(\d{1,2})\s*%\s*off\b/i) ||
+    lower.match(/\b(\d{1,2})\s*%\s*off\b/i);
+
+  if (instantPct) {
+    return Number(instantPct[1]);
+  }
+
+  // 2) Mixed offers: choose the first non-cashback percentage chunk
+  const percentMatches = [...lower.matchAll(/(\d{1,2})\s*%/g)].map((m) => ({
+    pct: Number(m[1]),
+    idx: m.index ?? 0,
+  }));
+
+  if (percentMatches.length > 0) {
+    for (const m of percentMatches) {
+      const windowTxt = lower.slice(Math.max(0, m.idx - 35), Math.min(lower.length, m.idx + 55));
+
+      // skip cashback/reward/coins/wallet/statement-credit percentages
+      if (
+        /cashback/.test(windowTxt) ||
+        /reward/.test(windowTxt) ||
+        /supercoin/.test(windowTxt) ||
+        /coin/.test(windowTxt) ||
+        /wallet/.test(windowTxt) ||
+        /statement/.test(windowTxt)
+      ) {
+        continue;
+      }
+
+      // Prefer explicit discount/off context
+      if (
+        /instant/.test(windowTxt) ||
+        /discount/.test(windowTxt) ||
+        /\boff\b/.test(windowTxt)
+      ) {
+        return m.pct;
+      }
+    }
+  }
+
+  return null;
+}
+
+export function maxDiscountFromText(offer) {
+  const blob = String(
+    `${offer?.rawDiscount || ""} ${offer?.title || ""} ${offer?.offerSummary || ""} ${offer?.rawText || ""}`
+  );
+
+  const m =
+    blob.match(/\bup to\s*(?:rs\.?|inr|₹)\s*([\d,]{3,})/i) ||
+    blob.match(/\bcapped at\s*(?:rs\.?|inr|₹)\s*([\d,]{3,})/i) ||
+    blob.match(/\bmax(?:imum)?\s*(?:discount)?\s*(?:of)?\s*(?:rs\.?|inr|₹)\s*([\d,]{3,})/i);
+
+  if (m && m[1]) {
+    const n = Number(String(m[1]).replace(/,/g, ""));
+    if (Number.isFinite(n) && n > 0) return n;
+  }
+
+  return null;
+}
+
+/* ---------------- Booking weekdays ---------------- */
+const WEEKDAY_ALIASES = {
+  monday: "Monday", mon: "Monday",
+  tuesday: "Tuesday", tue: "Tuesday", tues: "Tuesday",
+  wednesday: "Wednesday", wed: "Wednesday",
+  thursday: "Thursday", thu: "Thursday", thur: "Thursday", thurs: "Thursday",
+  friday: "Friday", fri: "Friday",
+  saturday: "Saturday", sat: "Saturday",
+  sunday: "Sunday", sun: "Sunday"
+};
+
+export function normalizeWeekdayToken(token) {
+  const key = String(token || "").trim().toLowerCase().replace(/[^a-z]/g, "");
+  return WEEKDAY_ALIASES[key] || null;
+}
+
+export function extractWeekdaysFromText(text) {
+  const out = new Set();
+  const re = /\b(monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)\b/gi;
+
+  let m;
+  while ((m = re.exec(String(text || ""))) !== null) {
+    const day = normalizeWeekdayToken(m[1]);
+    if (day) out.add(day);
+  }
+
+  return Array.from(out);
+}
+
+function offerWeekdayBlob(offer) {
+  const terms =
+    typeof offer?.terms === "string"
+      ? offer.terms
+      : offer?.terms?.raw
+        ? String(offer.terms.raw)
+        : "";
+
+  return [
+    offer?.bookingDays,
+    offer?.applicableDays,
+    offer?.bookingDayRestriction,
+    offer?.validityPeriod?.raw,
+    offer?.parsedFields?.validityPeriod?.raw,
+    terms,
+    offer?.rawText,
+    offer?.title,
+    offer?.rawDiscount
+  ]
+    .flat()
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Text half of extractBookingDayRule (index.js), which checks compiled rules
+// and the scrapers' dayOfWeekRestrictions before falling back to this.
+export function bookingDayRuleFromText(offer) {
+  const blobRaw = offerWeekdayBlob(offer);
+  const blob = String(blobRaw || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+  if (!blob) return null;
+
+  // Explicit everyday/all-days wording means no weekday restriction.
+  // But if it also says "except Tuesday", the exception must still be enforced.
+  const hasAllDaysSignal =
+    /\bevery\s*day\b|\beveryday\b|\ball\s+days\b|\bmonday\s*(?:to|-|–|—)\s*sunday\b|\bmon\s*(?:to|-|–|—)\s*sun\b/.test(blob);
+
+  const exceptMatch = blob.match(/\bexcept\s+((?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)(?:\s*(?:,|&|and|\/)\s*(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun))*)/i);
+
+  if (exceptMatch) {
+    const days = extractWeekdaysFromText(exceptMatch[1]);
+
+    if (days.length > 0) {
+      return {
+        mode: "exclude",
+        days,
+        source: exceptMatch[0]
+      };
+    }
+  }
+
+  if (hasAllDaysSignal) return null;
+
+  // Only treat weekday mentions as restrictions when there is a strong validity/booking-day signal nearby.
+  const restrictionSignals = [
+    /\bvalid\s+(?:only\s+)?(?:on\s+)?(?:all\s+)?(?:every\s+)?(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
+    /\bvalid\s+for\s+(?:transactions|bookings)\s+made\s+(?:on\s+)?(?:all\s+)?(?:every\s+)?(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
+    /\btransactions\s+made\s+(?:every\s+|on\s+)?(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
+    /\bbookings\s+made\s+(?:every\s+|on\s+)?(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
+    /\boffer\s+(?:can\s+be\s+availed|is\s+valid)\s+(?:every\s+|on\s+)?(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
+    /\bevery\s+(?:monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)/i,
+    /\b(?:sat|saturday)\s*(?:&|and|\/)\s*(?:sun|sunday)\s+only\b/i
+  ];
+
+  const matchedSignal = restrictionSignals.find((re) => re.test(blob));
+
+  if (!matchedSignal) return null;
+
+  const days = extractWeekdaysFromText(blob);
+
+  if (days.length === 0) return null;
+
+  return {
+    mode: "include",
+    days,
+    source: matchedSignal.toString()
+  };
+}
+
+/* ---------------- Offline parser ---------------- */
+// Bumped whenever an extractor below changes what it would write, so the
+// batch job can tell stale parsedFields.textParser stamps from fresh ones.
+export const OFFER_TEXT_PARSER_VERSION = 1;
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH_RE = "(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const DATE_RE = `(?:\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH_RE}[,']?\\s*\\d{4}|${MONTH_RE}\\s+\\d{1,2}(?:st|nd|rd|th)?[,]?\\s+\\d{4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{4})`;
+
+function offerTextBlob(offer) {
+  const terms =
+    typeof offer?.terms === "string"
+      ? offer.terms
+      : offer?.terms?.raw
+        ? String(offer.terms.raw)
+        : "";
+
+  return [
+    offer?.title,
+    offer?.rawDiscount,
+    offer?.offerSummary,
+    offer?.rawText,
+    terms,
+    offer?.validityPeriod?.raw
+  ]
+    .filter(Boolean)
+    .map(String)
+    .join(" \n ");
+}
+
+// The offer's own headline - what request-time inference treats as the
+// discount statement. Anything found only in rawText / T&C is scored at
+// TEXT_ONLY_CONFIDENCE, below parse-offers.mjs's default write threshold
+// (0.7): T&C text is full of amounts about other things ("Rs 250 off on
+// your next hotel booking"), and pricing reads parsedFields as an instant
+// flight discount.
+function offerHeadlineText(offer) {
+  return [offer?.title, offer?.rawDiscount, offer?.parsedFields?.rawDiscount, offer?.offerSummary]
+    .filter((v) => typeof v === "string" && v.trim())
+    .join(" \n ");
+}
+
+const TEXT_ONLY_CONFIDENCE = 0.5;
+
+// Amounts paid back later (or off something else) - never an upfront
+// flight price cut. Same signals as index.js isCashbackStyleOffer, plus
+// "off your next booking".
+const CASHBACK_TEXT_RE = /\bcash\s*back\b|\breward points?\b|\bsupercoins?\b|\bwallet credit\b|\bcredited (?:later|within)\b|\bstatement credit\b|\bnext (?:booking|transaction|purchase|trip)\b|\bvouchers?\b/i;
+const NON_FLIGHT_TEXT_RE = /\bhotels?\b|\bholidays?\b|\bbus(?:es)?\b|\bcabs?\b|\btrains?\b|\bvisa\b|\bforex\b|\bactivit(?:y|ies)\b/i;
+
+function amountOf(raw) {
+  const n = Number(String(raw || "").replace(/,/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// "1st Oct 2026", "Oct 1, 2026", "2026-10-01", "01/10/2026" (Indian
+// day-first) -> "2026-10-01". Built with Date.UTC so the server's own
+// timezone can't shift the calendar day.
+export function isoDateFromText(raw) {
+  const s = String(raw || "").trim().toLowerCase().replace(/(\d+)(st|nd|rd|th)/g, "$1");
+  let y, m, d;
+
+  let hit = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (hit) [, y, m, d] = hit.map(Number);
+
+  if (!hit && (hit = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+    [d, m, y] = [Number(hit[1]), Number(hit[2]), Number(hit[3])];
+  }
+  if (!hit && (hit = s.match(/^(\d{1,2})\s+([a-z]+)[,']?\s*(\d{4})$/))) {
+    [d, m, y] = [Number(hit[1]), MONTHS[hit[2].slice(0, 3)], Number(hit[3])];
+  }
+  if (!hit && (hit = s.match(/^([a-z]+)\s+(\d{1,2})[,]?\s+(\d{4})$/))) {
+    [m, d, y] = [MONTHS[hit[1].slice(0, 3)], Number(hit[2]), Number(hit[3])];
+  }
+  if (!hit || !m || !d || !y) return null;
+
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// Finds the first `hint` phrase and reads up to two dates out of the clause
+// after it. One date only becomes `from` when the clause says so ("from",
+// "starting"), otherwise it's taken as the end ("till", "by", bare date).
+function periodFromText(text, hintRe, stopRe = null) {
+  const hint = hintRe.exec(text);
+  if (!hint) return null;
+
+  let clause = text.slice(hint.index, hint.index + 160);
+  const end = clause.search(/[.;\n]\s/);
+  if (end > 0) clause = clause.slice(0, end);
+  if (stopRe) {
+    const stop = clause.slice(hint[0].length).search(stopRe);
+    if (stop >= 0) clause = clause.slice(0, hint[0].length + stop);
+  }
+
+  const dates = [...clause.matchAll(new RegExp(DATE_RE, "gi"))]
+    .map((m) => ({ iso: isoDateFromText(m[0]), idx: m.index }))
+    .filter((d) => d.iso);
+  if (dates.length === 0) return null;
+
+  const raw = clause.trim();
+  if (dates.length >= 2) {
+    return { value: { from: dates[0].iso, to: dates[1].iso, raw }, confidence: 0.85 };
+  }
+
+  const before = clause.slice(0, dates[0].idx).toLowerCase();
+  if (/\b(from|starting|starts|w\.?e\.?f)\b/.test(before) && !/\b(till|until|upto|up to|by|ends?)\b/.test(before)) {
+    return { value: { from: dates[0].iso, to: null, raw }, confidence: 0.7 };
+  }
+  return { value: { from: null, to: dates[0].iso, raw }, confidence: 0.7 };
+}
+
+const VALIDITY_HINT_RE = /\b(?:offer|booking|campaign|promo(?:tion)?)\s*(?:period|validity|is valid|valid)\b|\bvalid\s*(?:from|till|until|upto|up to|between|on bookings)\b|\bvalidity\b|\bbook\s*by\b|\bexpires?\s*on\b|\boffer\s*ends\b/i;
+const TRAVEL_HINT_RE = /\btravel\s*(?:period|dates?|window|between|from|till|until|valid|validity)\b|\bvalid\s*(?:for|on)\s*travel\b|\bfly(?:ing)?\s*(?:between|till|until|by)\b/i;
+
+function couponCodeFromText(text) {
+  // Case-sensitive capture on purpose: codes are printed in caps, and
+  // requiring that keeps "use code at checkout" from yielding "AT".
+  const re = /\b([Uu]se|[Aa]pply|[Ee]nter|[Ww]ith)?\s*(?:[Cc]oupon|[Pp]romo|[Oo]ffer)?\s*[Cc]ode\s*[:\-–]?\s*["'“‘]?([A-Z0-9]{4,20})\b/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const code = m[2];
+    if (!/[A-Z]/.test(code)) continue;
+    return { value: code, confidence: m[1] ? 0.95 : 0.8 };
+  }
+  return null;
+}
+
+// The clause (sentence) a match sits in - enough to tell "₹500 off on
+// flights" from "₹250 off on your next hotel booking".
+function clauseAround(text, index) {
+  const start = Math.max(text.lastIndexOf(".", index), text.lastIndexOf("\n", index), text.lastIndexOf(";", index)) + 1;
+  const ends = [".", "\n", ";"].map((c) => text.indexOf(c, index)).filter((i) => i >= 0);
+  return text.slice(start, ends.length > 0 ? Math.min(...ends) : text.length);
+}
+
+// Flat amounts are only trusted from the headline; a whole-text match is
+// reported for the diff but scored below the write threshold, and any
+// match inside a cashback / other-vertical clause is dropped.
+function flatDiscountFromText(headline, text) {
+  if (CASHBACK_TEXT_RE.test(headline)) return null;
+
+  const flat = headline.match(/\bflat\s*(?:rs\.?|inr|₹)\s*([\d,]{2,})\s*(?:instant\s*)?(?:off|discount)\b/i);
+  if (flat) return { value: amountOf(flat[1]), confidence: 0.9 };
+
+  const headlineMatch = flatAmountMatch(headline);
+  if (headlineMatch) return { value: headlineMatch, confidence: /%/.test(headline) ? 0.6 : 0.75 };
+
+  const textMatch = flatAmountMatch(text);
+  return textMatch ? { value: textMatch, confidence: TEXT_ONLY_CONFIDENCE } : null;
+}
+
+function flatAmountMatch(text) {
+  const re = /(?:rs\.?|inr|₹)\s*([\d,]{2,})\s*(?:instant\s*)?(?:off|discount)\b/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    // "up to ₹1000 off" is a cap on a percentage, not a flat amount.
+    const lead = text.slice(Math.max(0, m.index - 12), m.index).toLowerCase();
+    if (/up\s*to\s*$|upto\s*$|max(?:imum)?\s*$/.test(lead)) continue;
+    const clause = clauseAround(text, m.index);
+    if (CASHBACK_TEXT_RE.test(clause) || NON_FLIGHT_TEXT_RE.test(clause)) continue;
+    return amountOf(m[1]);
+  }
+  return null;
+}
+
+// "₹750 off on transactions of ₹7,500 - ₹14,999" / "12% off on bookings
+// above ₹15,000" - only reported when at least two brackets are found,
+// since a single one is just the min transaction already captured above.
+function discountTiersFromText(text) {
+  const re = /(?:(?:rs\.?|inr|₹)\s*([\d,]{2,})|(\d{1,2})\s*%)\s*(?:instant\s*)?(?:off|discount)[^.;\n]{0,60}?(?:transactions?|bookings?|purchases?|spends?)\s*(?:value\s*)?(?:of|above|between|from|worth|over)?\s*(?:rs\.?|inr|₹)\s*([\d,]{3,})(?:\s*(?:-|–|to|and)\s*(?:rs\.?|inr|₹)?\s*([\d,]{3,}))?/gi;
+  const tiers = [];
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const tier = { minTransactionValue: amountOf(m[3]) };
+    if (m[4]) tier.maxTransactionValue = amountOf(m[4]);
+    if (m[1]) tier.flatDiscountAmount = amountOf(m[1]);
+    else tier.discountPercent = Number(m[2]);
+    tiers.push(tier);
+  }
+  if (tiers.length < 2) return null;
+  tiers.sort((a, b) => a.minTransactionValue - b.minTransactionValue);
+  return { value: tiers, confidence: 0.6 };
+}
+
+// Codes are deliberately coarse - they're for the diff report and for a
+// human to confirm, not (yet) read by pricing.
+const EXCLUSION_RULES = [
+  { code: "CORPORATE_CARDS", re: /\bnot (?:valid|applicable) on\b[^.]{0,80}\b(?:corporate|commercial|business)\b[^.]{0,40}\bcards?\b|\bexcluding (?:corporate|commercial)\b/ },
+  { code: "EMI", re: /\bnot (?:valid|applicable) on emi\b|\bemi transactions? (?:are )?(?:not eligible|excluded)\b/ },
+  { code: "DEBIT_CARDS", re: /\bnot (?:valid|applicable) on debit cards?\b/ },
+  { code: "CREDIT_CARDS", re: /\bnot (?:valid|applicable) on credit cards?\b/ },
+  { code: "UPI", re: /\bnot (?:valid|applicable) on upi\b/ },
+  { code: "WALLETS", re: /\bnot (?:valid|applicable) on (?:mobile )?wallets?\b/ },
+  { code: "INTERNATIONAL_FLIGHTS", re: /\bnot (?:valid|applicable) on international\b/ },
+  { code: "DOMESTIC_FLIGHTS", re: /\bnot (?:valid|applicable) on domestic\b/ },
+  { code: "GROUP_BOOKINGS", re: /\bnot (?:valid|applicable) (?:on|for) group bookings?\b/ },
+  { code: "CONVENIENCE_FEE", re: /\b(?:not (?:valid|applicable) on|excluding|excludes) convenience fees?\b/ },
+  { code: "AIRLINE_AIR_INDIA_EXPRESS", re: /\bnot (?:valid|applicable) on\b[^.]{0,60}\bair india express\b/ },
+  { code: "AIRLINE_AIR_INDIA", re: /\bnot (?:valid|applicable) on\b[^.]{0,60}\bair india\b(?! express)/ },
+  { code: "AIRLINE_INDIGO", re: /\bnot (?:valid|applicable) on\b[^.]{0,60}\bindigo\b/ },
+  { code: "AIRLINE_SPICEJET", re: /\bnot (?:valid|applicable) on\b[^.]{0,60}\bspicejet\b/ },
+  { code: "AIRLINE_AKASA", re: /\bnot (?:valid|applicable) on\b[^.]{0,60}\bakasa\b/ }
+];
+
+function exclusionsFromText(text) {
+  // Sentence-level lowercase rather than normalizeText: the "[^.]" bounds
+  // above need the full stops normalizeText would strip.
+  const lower = text.toLowerCase().replace(/\s+/g, " ");
+  const codes = EXCLUSION_RULES.filter((r) => r.re.test(lower)).map((r) => r.code);
+  return codes.length > 0 ? { value: codes, confidence: 0.75 } : null;
+}
+
+// One pass over an offer's free text. Every field comes back as
+// { value, confidence } (0-1) or null when the text doesn't say; nothing
+// here reads the offer's existing structured/parsed values except through
+// the shared extractors that already did.
+export function parseOfferText(offer) {
+  const text = offerTextBlob(offer);
+  const fields = {};
+
+  fields.couponCode = couponCodeFromText(text);
+
+  // The headline first (see offerHeadlineText), then the whole text - a
+  // percent only stated in the T&C stays below the write threshold.
+  const headline = offerHeadlineText(offer);
+  const headlinePct = headline ? discountPercentFromText({ rawDiscount: headline }) : null;
+  const pct = headlinePct ?? discountPercentFromText({ rawText: text });
+  fields.discountPercent = pct
+    ? {
+        value: pct,
+        confidence: headlinePct
+          ? Number((0.85 - (CASHBACK_TEXT_RE.test(headline) ? 0.2 : 0)).toFixed(2))
+          : TEXT_ONLY_CONFIDENCE
+      }
+    : null;
+
+  fields.discountTiers = discountTiersFromText(text);
+
+  // A tiered offer's per-bracket amounts would otherwise read as a flat one.
+  fields.flatDiscountAmount = fields.discountTiers ? null : flatDiscountFromText(headline, text);
+
+  const cap = maxDiscountFromText(offer);
+  fields.maxDiscountAmount = cap ? { value: cap, confidence: pct ? 0.85 : 0.6 } : null;
+
+  const minTxn = minTransactionFromText(offer);
+  fields.minTransactionValue = minTxn ? { value: minTxn, confidence: 0.85 } : null;
+
+  const families = extractOfferCardFamilyRestrictions(offer);
+  fields.cardFamilies = families.length > 0 ? { value: families, confidence: 0.7 } : null;
+
+  const tenures = extractAllowedEmiTenuresFromOffer(offer);
+  fields.emiTenures = tenures.length > 0 ? { value: tenures, confidence: 0.8 } : null;
+
+  const dayRule = bookingDayRuleFromText(offer);
+  fields.bookingDays = dayRule
+    ? { value: { mode: dayRule.mode, days: dayRule.days }, confidence: 0.8 }
+    : null;
+
+  fields.validityPeriod = periodFromText(text, VALIDITY_HINT_RE, /\btravel\b/i);
+  fields.travelPeriod = periodFromText(text, TRAVEL_HINT_RE);
+  fields.exclusions = exclusionsFromText(text);
+
+  return { version: OFFER_TEXT_PARSER_VERSION, fields };
+}
+
+function comparableValue(field, value) {
+  if (value == null) return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+  // validityPeriod/travelPeriod: the raw clause is provenance, not the value.
+  if ((field === "validityPeriod" || field === "travelPeriod") && typeof value === "object") {
+    const from = value.from ? isoDateFromText(value.from) || String(value.from).slice(0, 10) : null;
+    const to = value.to ? isoDateFromText(value.to) || String(value.to).slice(0, 10) : null;
+    return from || to ? JSON.stringify({ from, to }) : null;
+  }
+  if (field === "couponCode") return String(value).trim().toUpperCase();
+  return JSON.stringify(value);
+}
+
+// Per-field comparison of a parseOfferText() result against what's already
+// in the offer's parsedFields. status: "added" (nothing stored yet),
+// "changed" (stored value disagrees) or "same". Fields the parser found
+// nothing for are left out - silence in the text is not a reason to clear
+// a stored value.
+export function diffParsedFields(existingParsedFields, parsed) {
+  const existing = existingParsedFields && typeof existingParsedFields === "object" ? existingParsedFields : {};
+  const out = [];
+
+  for (const [field, result] of Object.entries(parsed?.fields || {})) {
+    if (!result) continue;
+
+    const before = existing[field] ?? null;
+    const beforeKey = comparableValue(field, before);
+    const afterKey = comparableValue(field, result.value);
+
+    out.push({
+      field,
+      status: beforeKey == null ? "added" : beforeKey === afterKey ? "same" : "changed",
+      existing: before,
+      parsed: result.value,
+      confidence: result.confidence
+    });
+  }
+
+  return out;
+}
@@ -0,0 +1,381 @@
+// services/promoPageImporter.js — ESM
+// Saved portal promo pages (the "offer details" HTML an OTA publishes per
+// campaign) -> offer documents in the shape getOffersForSearch reads from
+// the offers collection. Fully offline: input is HTML text, nothing here
+// fetches. One adapter per portal; see PROMO_PAGE_ADAPTERS.
+//
+// No HTML parser dependency on purpose - promo pages are flat CMS markup
+// (a coupon table plus headed <ul> bullet lists), and a handful of
+// tag-level regexes below cover that without pulling in a DOM library.
+
+import { bookingDayRuleFromText, isoDateFromText, parseOfferText } from "./offerTextParser.js";
+
+/* ---------------- HTML helpers ---------------- */
+const ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ",
+  rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", ndash: "–", mdash: "—", bull: "•", hellip: "…"
+};
+
+function decodeEntities(s) {
+  return String(s || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function htmlToText(fragment) {
+  return decodeEntities(
+    String(fragment || "")
+      .replace(/<br\s*\/?>/gi, " ")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function stripNonContent(html) {
+  return String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|svg)\b[\s\S]*?<\/\1>/gi, "");
+}
+
+// Browsers stamp "saved from url=(NNNN)https://..." on Save Page As; the
+// canonical link is the fallback for pages saved any other way.
+function pageUrlOf(html) {
+  const saved = String(html || "").match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+  if (saved) return saved[1];
+  const canonical = String(html || "").match(/<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)["']/i)
+    || String(html || "").match(/<meta[^>]+property=["']og:url["'][^>]*content=["']([^"']+)["']/i);
+  return canonical ? canonical[1] : null;
+}
+
+function tablesOf(html) {
+  const tables = [];
+  for (const t of html.matchAll(/<table\b[\s\S]*?<\/table>/gi)) {
+    const rows = [...t[0].matchAll(/<tr\b[\s\S]*?<\/tr>/gi)].map((r) =>
+      [...r[0].matchAll(/<t([hd])\b([^>]*)>([\s\S]*?)<\/t\1>/gi)].map((c) => htmlToText(c[3]))
+    );
+    tables.push(rows.filter((r) => r.length > 0));
+  }
+  return tables;
+}
+
+// Each <li>'s own text, up to where a nested list starts, so an "e.g.:"
+// bullet with sub-bullets doesn't swallow them.
+function bulletsOf(fragment) {
+  return String(fragment || "")
+    .split(/<li\b[^>]*>/i)
+    .slice(1)
+    .map((piece) => htmlToText(piece.split(/<\/li>|<ul\b|<ol\b/i)[0]))
+    .filter(Boolean);
+}
+
+// Headed bullet sections: [{ heading, bullets }]. Bullets before the first
+// heading land under heading null.
+function sectionsOf(html) {
+  const headings = [...html.matchAll(/<h([1-4])\b[^>]*>([\s\S]*?)<\/h\1>/gi)];
+  const sections = [];
+  let cursor = 0;
+  let heading = null;
+
+  for (const h of headings) {
+    const bullets = bulletsOf(html.slice(cursor, h.index));
+    if (bullets.length) sections.push({ heading, bullets });
+    heading = htmlToText(h[2]).replace(/:$/, "");
+    cursor = h.index + h[0].length;
+  }
+  const bullets = bulletsOf(html.slice(cursor));
+  if (bullets.length) sections.push({ heading, bullets });
+
+  return sections;
+}
+
+function firstTextOf(html, re) {
+  const m = html.match(re);
+  return m ? htmlToText(m[1]) || null : null;
+}
+
+/* ---------------- Field extraction ---------------- */
+const PROMO_PAGE_BANKS = [
+  ["HDFC Bank", /\bhdfc\b/i],
+  ["ICICI Bank", /\bicici\b/i],
+  ["Axis Bank", /\baxis\b/i],
+  ["SBI", /\bsbi\b|\bstate bank of india\b/i],
+  ["Kotak Mahindra Bank", /\bkotak\b/i],
+  ["Yes Bank", /\byes bank\b/i],
+  ["IndusInd Bank", /\bindusind\b/i],
+  ["IDFC First Bank", /\bidfc\b/i],
+  ["RBL Bank", /\brbl\b/i],
+  ["AU Small Finance Bank", /\bau small finance\b|\bau bank\b/i],
+  ["Federal Bank", /\bfederal bank\b/i],
+  ["HSBC", /\bhsbc\b/i],
+  ["Standard Chartered", /\bstandard chartered\b/i],
+  ["American Express", /\bamerican express\b|\bamex\b/i],
+  ["Bank of Baroda", /\bbank of baroda\b|\bbobcard\b/i],
+  ["OneCard", /\bonecard\b/i],
+  ["Bajaj Finserv", /\bbajaj\b/i],
+  ["Canara Bank", /\bcanara\b/i],
+  ["Punjab National Bank", /\bpunjab national bank\b|\bpnb\b/i],
+  ["DBS", /\bdbs\b/i],
+  ["Citibank", /\bciti\s*bank\b/i]
+];
+
+const NEGATIVE_LINE_RE = /\bnot\b|\bcannot\b|\bexcluding\b|\bexcluded\b|\bineligible\b/i;
+const ELIGIBILITY_LINE_RE = /\bvalid\b|\bapplicable\b|\bpay(?:ing|ment)?\b|\busing\b|\bavailable\b|\bwith\b/i;
+
+// Payment methods come from the lines that grant eligibility only - T&C
+// pages list far more banks/cards in their "not applicable on ..." lines
+// than in the offer itself (the Bajaj page names debit cards, netbanking
+// and wallets purely to exclude them).
+function paymentMethodsFromLines(lines) {
+  const positive = lines.filter((l) => ELIGIBILITY_LINE_RE.test(l) && !NEGATIVE_LINE_RE.test(l)).join(" \n ");
+  // "Credit EMI" / "credit card EMI" is an EMI product, not a plain card.
+  const text = positive.replace(/\b(?:credit|debit)\s+(?:card\s+)?emi\b/gi, "EMI");
+
+  const types = [];
+  if (/\bemi\b/i.test(text)) types.push("EMI");
+  if (/\bcredit\s*cards?\b/i.test(text)) types.push("Credit Card");
+  if (/\bdebit\s*cards?\b/i.test(text)) types.push("Debit Card");
+  if (/\bnet\s*banking\b|\binternet\s*banking\b/i.test(text)) types.push("Net Banking");
+  if (/\bupi\b/i.test(text)) types.push("UPI");
+  if (types.length === 0) return [];
+
+  const banks = PROMO_PAGE_BANKS.filter(([, re]) => re.test(text)).map(([name]) => name);
+  const out = [];
+  for (const type of types) {
+    for (const bank of banks.length ? banks : [null]) {
+      if (!bank && type !== "UPI") continue;
+      out.push({ type, bank, emiOnly: type === "EMI", raw: positive.slice(0, 300) });
+    }
+  }
+  return out;
+}
+
+function amountOf(raw) {
+  const n = Number(String(raw || "").replace(/,/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Coupon-table "offer details" cells: "Flat 12% off upto INR 1,000 ... |
+// MTV INR 5,500". MTV/MOV are the MMT-group abbreviations for minimum
+// transaction/order value.
+function amountsFromDetails(details) {
+  const s = String(details || "");
+  const pct = s.match(/(\d{1,2})\s*%\s*(?:instant\s*)?(?:off|discount)/i);
+  const flat = pct ? null : s.match(/\bflat\s*(?:INR|Rs\.?|₹)\s*([\d,]+)/i);
+  const cap = s.match(/\bup\s*to\s*(?:(?:INR|Rs\.?|₹)\s*)+([\d,]+)/i);
+  const minTxn = s.match(/\b(?:MTV|MOV|min(?:imum)?\.?\s*(?:transaction|booking|order)\s*(?:value|amount)?)\s*(?:of\s*)?(?:INR|Rs\.?|₹)\s*([\d,]+)/i);
+
+  return {
+    discountPercent: pct ? Number(pct[1]) : null,
+    flatDiscountAmount: flat ? amountOf(flat[1]) : null,
+    maxDiscountAmount: pct && cap ? amountOf(cap[1]) : null,
+    minTransactionValue: minTxn ? amountOf(minTxn[1]) : null
+  };
+}
+
+const DAY_MONTH_RE = "\\d{1,2}(?:st|nd|rd|th)?\\s+[a-z]+";
+
+// "valid from 9th July & 31st July 2025" - promo copy often states the year
+// once, on the end date only.
+function validityFromLines(lines) {
+  const re = new RegExp(`\\bvalid\\s+(?:from|between)\\s+(${DAY_MONTH_RE})(?:[,']?\\s*(\\d{4}))?\\s*(?:&|and|to|till|until|-|–)\\s*(${DAY_MONTH_RE})[,']?\\s*(\\d{4})`, "i");
+  for (const line of lines) {
+    const m = line.match(re);
+    if (!m) continue;
+    const to = isoDateFromText(`${m[3]} ${m[4]}`);
+    const from = isoDateFromText(`${m[1]} ${m[2] || m[4]}`);
+    if (from || to) return { from, to, raw: line };
+  }
+  return null;
+}
+
+/* ---------------- Documents ---------------- */
+function buildOfferDocument({ adapter, sourceUrl, importedAt, title, rawDiscount, offerSummary, couponCode, sections, row, category }) {
+  const bullets = sections.flatMap((s) => s.bullets);
+  const termsRaw = sections
+    .map((s) => [s.heading ? `${s.heading}:` : null, ...s.bullets.map((b) => `- ${b}`)].filter(Boolean).join("\n"))
+    .join("\n");
+
+  const doc = {
+    title,
+    rawDiscount: rawDiscount || null,
+    offerSummary: offerSummary || null,
+    couponCode: couponCode || null,
+    couponRequired: Boolean(couponCode),
+    offerCategories: ["flights"],
+    paymentMethods: paymentMethodsFromLines([offerSummary, rawDiscount, ...bullets].filter(Boolean)),
+    ...amountsFromDetails(rawDiscount),
+    validityPeriod: null,
+    terms: { raw: termsRaw },
+    rawText: [title, offerSummary, rawDiscount, termsRaw].filter(Boolean).join("\n"),
+    sourceMetadata: {
+      sourcePortal: adapter.portal,
+      sourceUrl: sourceUrl || null,
+      importer: `promo-page:${adapter.id}`,
+      importedAt: importedAt.toISOString(),
+      // With sourcePortal, sourceUrl and couponCode, what identifies the
+      // offer across re-imports - the row's details (and so the title)
+      // change whenever the portal edits the amount.
+      tableCategory: category || null,
+      tableRow: row || null
+    }
+  };
+
+  // Anything the page didn't state in a structured spot falls back to the
+  // same text parser parse-offers.mjs uses.
+  const parsed = parseOfferText(doc).fields;
+  doc.validityPeriod = validityFromLines(bullets) || parsed.validityPeriod?.value || null;
+  if (!doc.couponCode && parsed.couponCode) {
+    doc.couponCode = parsed.couponCode.value;
+    doc.couponRequired = true;
+  }
+  if (doc.minTransactionValue == null && parsed.minTransactionValue) {
+    doc.minTransactionValue = parsed.minTransactionValue.value;
+  }
+
+  // Include-only weekday lists become the structured field extractBookingDayRule
+  // trusts first; "except Tuesday" stays in the text, where it's enforced anyway.
+  const dayRule = bookingDayRuleFromText({ rawText: bullets.join(" \n ") });
+  if (dayRule?.mode === "include") doc.dayOfWeekRestrictions = dayRule.days;
+
+  for (const key of Object.keys(doc)) {
+    if (doc[key] === null) delete doc[key];
+  }
+  return doc;
+}
+
+// The coupon table: header row names a code column, every other row is one
+// offer line ("Domestic Flights | MMTBAJAJEMI | Flat 12% off ...").
+function couponTableRows(tables) {
+  for (const rows of tables) {
+    const header = rows[0] || [];
+    const codeCol = header.findIndex((h) => /\bcode\b/i.test(h));
+    if (codeCol < 0) continue;
+
+    const categoryCol = header.findIndex((h) => /categor|product|\blob\b|vertical/i.test(h));
+    const detailsCol = header.findIndex((h, i) => i !== codeCol && /detail|offer|discount|benefit/i.test(h));
+
+    return rows.slice(1).map((cells) => ({
+      category: categoryCol >= 0 ? cells[categoryCol] || null : null,
+      couponCode: String(cells[codeCol] || "").trim().toUpperCase() || null,
+      details: detailsCol >= 0 ? cells[detailsCol] || null : null,
+      cells
+    }));
+  }
+  return null;
+}
+
+function isFlightRow(row) {
+  const blob = `${row.category || ""} ${row.details || ""}`;
+  // DF / IF: MMT-group shorthand for domestic / international flights.
+  if (/\bflight(s)?\b|\bair\s*ticket(s)?\b|\bairfare\b/i.test(blob) || /\b(DF|IF)\b/.test(blob)) return true;
+  return !row.category;
+}
+
+// Shared by every adapter: the coupon table (if any) drives one document
+// per flight row; without one, the page is a single offer.
+function parsePromoPage(html, adapter, { sourceUrl, importedAt }) {
+  const content = stripNonContent(html);
+  // CMS templates can emit a generic <title> before the campaign's own.
+  const titles = [...content.matchAll(/<title[^>]*>([\s\S]*?)<\/title>/gi)].map((m) => htmlToText(m[1])).filter(Boolean);
+  const pageTitle = titles[titles.length - 1] || null;
+  const headline = adapter.headline?.(content) || firstTextOf(content, /<h1\b[^>]*>([\s\S]*?)<\/h1>/i) || pageTitle;
+  const summary = adapter.summary?.(content) || null;
+  const sections = sectionsOf(content);
+  const rows = couponTableRows(tablesOf(content));
+
+  const documents = [];
+  const skipped = [];
+  const warnings = [];
+
+  if (!rows) {
+    if (!headline) {
+      warnings.push("No coupon table and no headline found - nothing to import");
+    } else {
+      documents.push(buildOfferDocument({ adapter, sourceUrl, importedAt, title: headline, rawDiscount: summary, offerSummary: summary, couponCode: null, sections }));
+    }
+  } else {
+    for (const row of rows) {
+      if (!isFlightRow(row)) {
+        skipped.push({ category: row.category, couponCode: row.couponCode, reason: "NOT_A_FLIGHT_OFFER" });
+        continue;
+      }
+      const title = [row.category, row.details].filter(Boolean).join(": ") || headline;
+      documents.push(buildOfferDocument({
+        adapter, sourceUrl, importedAt, title,
+        rawDiscount: row.details, offerSummary: [headline, summary].filter(Boolean).join(" - "),
+        couponCode: row.couponCode, sections, row: row.cells, category: row.category
+      }));
+    }
+  }
+
+  for (const doc of documents) {
+    if (!doc.couponCode) warnings.push(`"${doc.title}": no coupon code found`);
+    if (!doc.paymentMethods?.length) warnings.push(`"${doc.title}": no payment method found - imported as a portal-wide offer`);
+    if (!doc.validityPeriod?.to) warnings.push(`"${doc.title}": no validity end date found`);
+  }
+
+  return { documents, skipped, warnings };
+}
+
+// hosts: matched against the page's own URL for auto-detection.
+// verifiedFixture: an adapter is only "verified" once a real saved page
+// for that portal has been run through it - the rest use the shared
+// table/bullet extraction and say so in their warnings.
+export const PROMO_PAGE_ADAPTERS = [
+  {
+    id: "makemytrip",
+    portal: "MakeMyTrip",
+    hosts: ["makemytrip.com"],
+    verifiedFixture: "mmt-offers.html",
+    // MMT's promo CMS: <p class="head"> is the campaign headline, the first
+    // <p> under .smlTxt the eligibility one-liner.
+    headline: (html) => firstTextOf(html, /<p\b[^>]*class=["'][^"']*\bhead\b[^"']*["'][^>]*>([\s\S]*?)<\/p>/i),
+    summary: (html) => firstTextOf(html, /class=["'][^"']*\bsmlTxt\b[^"']*["'][^>]*>\s*<p\b[^>]*>([\s\S]*?)<\/p>/i)
+  },
+  { id: "goibibo", portal: "Goibibo", hosts: ["goibibo.com"] },
+  { id: "cleartrip", portal: "Cleartrip", hosts: ["cleartrip.com"] },
+  { id: "yatra", portal: "Yatra", hosts: ["yatra.com"] },
+  { id: "easemytrip", portal: "EaseMyTrip", hosts: ["easemytrip.com"] },
+  { id: "ixigo", portal: "Ixigo", hosts: ["ixigo.com"] }
+];
+
+function findAdapter({ portal, url }) {
+  if (portal) {
+    const key = String(portal).trim().toLowerCase().replace(/\s+/g, "");
+    return PROMO_PAGE_ADAPTERS.find((a) => a.id === key || a.portal.toLowerCase() === key) || null;
+  }
+  let host = "";
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  return PROMO_PAGE_ADAPTERS.find((a) => a.hosts.some((h) => host === h || host.endsWith(`.${h}`))) || null;
+}
+
+// Entry point. `portal` overrides detection from the page's saved-from /
+// canonical URL. Returns { error } rather than throwing for pages it can't
+// place, so a batch over a folder of saved pages keeps going.
+export function importPromoPage(html, { portal = null, url = null, importedAt = new Date() } = {}) {
+  const sourceUrl = url || pageUrlOf(html);
+  const adapter = findAdapter({ portal, url: sourceUrl });
+  if (!adapter) {
+    return {
+      error: portal
+        ? `Unknown portal "${portal}" - expected one of ${PROMO_PAGE_ADAPTERS.map((a) => a.portal).join(", ")}`
+        : `Could not tell which portal this page is from (url: ${sourceUrl || "none"}) - pass a portal`
+    };
+  }
+
+  const result = parsePromoPage(html, adapter, { sourceUrl, importedAt });
+  if (!adapter.verifiedFixture) {
+    result.warnings.unshift(`No saved ${adapter.portal} page has been verified against this importer yet - generic table/bullet extraction, review before loading`);
+  }
+
+  return { portal: adapter.portal, adapter: adapter.id, sourceUrl, ...result };
+}
@@ -12,6 +12,7 @@
  *   node verify-contract.mjs                 # checks /payment-options only (FREE, no FlightAPI quota)
  *   node verify-contract.mjs --live          # ALSO checks /search + /compare-selected-trip (uses ~2 FlightAPI calls)
  *   BACKEND=http://localhost:10000 node verify-contract.mjs   # override target
+ *   DEBUG_KEY=... node verify-contract.mjs  # ALSO checks open-jaw offer trip types per portal (FREE, needs the backend's debug endpoints)
  *
  * Exit code 0 = contract intact, 1 = a checked field is missing/wrong.
  */
@@ -19,6 +20,7 @@
 const BACKEND = process.env.BACKEND || "https://skydeal-backend.onrender.com";
 const RUN_LIVE = process.argv.includes("--live") || process.env.RUN_LIVE === "1";
 const TIMEOUT_MS = Number(process.env.CONTRACT_TIMEOUT_MS || 60000);
+const DEBUG_KEY = process.env.DEBUG_KEY || "";
 
 let failures = 0;
 let checks = 0;
@@ -154,6 +156,47 @@ async function checkCompare() {
   check("tripComparison has bestDeal key", json?.tripComparison && "bestDeal" in json.tripComparison);
 }
 
+// --- 4. POST /debug/simulate-offer (free, needs DEBUG_KEY) ---------------
+// Open-jaw is priced as whatever trip type each portal books it as
+// (OPEN_JAW_OFFER_TRIP_TYPE_BY_PORTAL / the registry's openJawOfferTripType).
+// A round-trip-only and a one-way-only offer must each apply exactly on the
+// portals that resolve open-jaw to their trip type - and neither on a
+// portal that books it as multi-city.
+const OPEN_JAW_PORTALS = ["Goibibo", "MakeMyTrip", "Yatra", "EaseMyTrip", "Cleartrip", "Ixigo"];
+
+async function simulateOpenJawOffer(portal, tripTypes) {
+  const { res, json } = await fetchJson("/debug/simulate-offer", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-debug-key": DEBUG_KEY },
+    body: JSON.stringify({
+      portal,
+      offer: {
+        title: "Flat Rs 300 off on flights",
+        rawDiscount: "Flat Rs 300 off on flight bookings",
+        couponCode: `CONTRACT${tripTypes[0].replace("-", "").toUpperCase()}`,
+        flatDiscountAmount: 300,
+        offerCategories: ["flights"],
+        sourceMetadata: { sourcePortal: portal },
+        rules: { schemaVersion: 1, tripTypes, discount: { flatAmount: 300 } }
+      },
+      flight: { from: "DEL", to: "GOI", airlineName: "IndiGo", stops: 0, price: 6000, tripType: "open-jaw" }
+    })
+  });
+  return res.status === 200 ? json : null;
+}
+
+async function checkOpenJawTripTypes() {
+  console.log("\n[4] POST /debug/simulate-offer  (open-jaw offer trip type per portal)");
+  for (const portal of OPEN_JAW_PORTALS) {
+    const roundTripOnly = await simulateOpenJawOffer(portal, ["round-trip"]);
+    const oneWayOnly = await simulateOpenJawOffer(portal, ["one-way"]);
+    const resolved = roundTripOnly?.flight?.tripType;
+    check(`${portal}: open-jaw resolves to an offer trip type (${resolved})`, ["one-way", "round-trip", "multi-city"].includes(resolved));
+    check(`${portal}: round-trip-only offer applies only if booked as round-trip`, roundTripOnly?.verdict?.applied === (resolved === "round-trip"));
+    check(`${portal}: one-way-only offer applies only if booked as one-way`, oneWayOnly?.verdict?.applied === (resolved === "one-way"));
+  }
+}
+
 function nextWeekISO() {
   const d = new Date();
   d.setDate(d.getDate() + 7);
@@ -169,6 +212,9 @@ async function main() {
     await checkSearch();
     await checkCompare();
   }
+  if (DEBUG_KEY) {
+    await checkOpenJawTripTypes();
+  }
 
   console.log(`\n${failures === 0 ? "✅ PASS" : "❌ FAIL"} — ${checks - failures}/${checks} checks passed.`);
   process.exit(failures === 0 ? 0 : 1);